@@ -5,9 +5,15 @@ import express from "express";
 import cors from "cors";
 import nodemailer from "nodemailer";
 import Stripe from "stripe";
+import Database from "better-sqlite3";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import fontkit from "@pdf-lib/fontkit";
+import ExcelJS from "exceljs";
 import fs from "fs";
+import crypto from "crypto";
 import path from "path";
 import { fileURLToPath } from "url";
+import { createRequire } from "module";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,6 +25,7 @@ app.use(
   cors({
     origin: ["https://godsnbees.com", "https://www.godsnbees.com"],
     credentials: true,
+    exposedHeaders: ["Idempotent-Replayed"],
   })
 );
 
@@ -34,7 +41,18 @@ app.get("/api/public-config", (_req, res) => {
 const STRIPE_SECRET_KEY = (process.env.STRIPE_SECRET_KEY || "").trim();
 const STRIPE_WEBHOOK_SECRET = (process.env.STRIPE_WEBHOOK_SECRET || "").trim();
 
-const stripe = STRIPE_SECRET_KEY ? new Stripe(STRIPE_SECRET_KEY, { apiVersion: "2023-10-16" }) : null;
+// STRIPE_API_URL overrides the API host (e.g. a local Stripe stand-in for tests)
+const STRIPE_API_URL = (process.env.STRIPE_API_URL || "").trim();
+const stripeHost = STRIPE_API_URL ? new URL(STRIPE_API_URL) : null;
+
+const stripe = STRIPE_SECRET_KEY
+  ? new Stripe(STRIPE_SECRET_KEY, {
+      apiVersion: "2023-10-16",
+      ...(stripeHost
+        ? { host: stripeHost.hostname, port: stripeHost.port, protocol: stripeHost.protocol.replace(":", "") }
+        : {}),
+    })
+  : null;
 
 // ✅ Webhook MUST be BEFORE express.json()
 app.post("/api/stripe/webhook", express.raw({ type: "application/json" }), async (req, res) => {
@@ -50,19 +68,112 @@ app.post("/api/stripe/webhook", express.raw({ type: "application/json" }), async
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  if (event.type === "payment_intent.succeeded") {
-    const pi = event.data.object;
-    console.log("✅ payment_intent.succeeded:", pi.id);
+  // ✅ Stripe redelivers events: process each event.id only once
+  if (isWebhookEventProcessed("stripe", event.id)) {
+    return res.json({ received: true, duplicate: true });
+  }
+
+  try {
+    handleStripeEvent(event);
+  } catch (err) {
+    console.error("[STRIPE_WEBHOOK_ERROR]", { eventId: event.id, type: event.type, error: err?.message || String(err) });
+    return res.status(500).send("Webhook handler failed");
+  }
+
+  markWebhookEventProcessed("stripe", event.id, event.type);
+  res.json({ received: true });
+});
+
+// -------------------- PAYPAL --------------------
+const PAYPAL_CLIENT_ID = (process.env.PAYPAL_CLIENT_ID || "").trim();
+const PAYPAL_CLIENT_SECRET = (process.env.PAYPAL_CLIENT_SECRET || "").trim();
+const PAYPAL_WEBHOOK_ID = (process.env.PAYPAL_WEBHOOK_ID || "").trim();
+const PAYPAL_ENV = (process.env.PAYPAL_ENV || "sandbox").toLowerCase(); // sandbox | live
+
+// PAYPAL_API_URL overrides the base (e.g. a local PayPal stand-in for tests)
+const PAYPAL_API_BASE = stripTrailingSlash(
+  (process.env.PAYPAL_API_URL || "").trim() ||
+    (PAYPAL_ENV === "live" ? "https://api-m.paypal.com" : "https://api-m.sandbox.paypal.com")
+);
+
+// ✅ Webhook reads the raw body (like Stripe) so the event is verified exactly as PayPal sent it
+app.post("/api/paypal/webhook", express.raw({ type: "application/json" }), async (req, res) => {
+  if (!paypalEnabled()) return res.status(500).send("PayPal not configured");
+  if (!PAYPAL_WEBHOOK_ID) return res.status(500).send("Missing PAYPAL_WEBHOOK_ID");
+
+  let event;
+  try {
+    event = JSON.parse(Buffer.from(req.body || "").toString("utf8"));
+  } catch {
+    return res.status(400).send("Invalid JSON");
+  }
+
+  try {
+    const verified = await verifyPayPalWebhook(req.headers, event);
+    if (!verified) return res.status(400).send("Invalid PayPal webhook signature");
+  } catch (err) {
+    console.error("[PAYPAL_WEBHOOK_VERIFY_ERROR]", err?.message || err);
+    return res.status(502).send("PayPal signature verification failed");
+  }
+
+  if (isWebhookEventProcessed("paypal", event.id)) {
+    return res.json({ received: true, duplicate: true });
   }
 
-  if (event.type === "payment_intent.payment_failed") {
-    const pi = event.data.object;
-    console.log("❌ payment_intent.payment_failed:", pi.id);
+  try {
+    handlePayPalEvent(event);
+  } catch (err) {
+    console.error("[PAYPAL_WEBHOOK_ERROR]", { eventId: event.id, type: event.event_type, error: err?.message || String(err) });
+    return res.status(500).send("Webhook handler failed");
   }
 
+  markWebhookEventProcessed("paypal", event.id, event.event_type);
   res.json({ received: true });
 });
 
+// -------------------- BOXNOW WEBHOOK --------------------
+const BOXNOW_WEBHOOK_SECRET = (process.env.BOXNOW_WEBHOOK_SECRET || "").trim();
+
+// ✅ Raw body (like Stripe) so the HMAC is checked over the exact bytes BoxNow sent.
+// Replay a recorded payload locally with:
+//   sig=$(openssl dgst -sha256 -hmac "$BOXNOW_WEBHOOK_SECRET" -hex < payload.json | sed 's/^.* //')
+//   curl -H "Content-Type: application/json" -H "X-BoxNow-Signature: $sig" --data-binary @payload.json .../api/boxnow/webhook
+app.post("/api/boxnow/webhook", express.raw({ type: "application/json" }), (req, res) => {
+  if (!BOXNOW_WEBHOOK_SECRET) return res.status(500).send("Missing BOXNOW_WEBHOOK_SECRET");
+
+  const raw = Buffer.from(req.body || "");
+  let payload;
+  try {
+    payload = JSON.parse(raw.toString("utf8"));
+  } catch {
+    return res.status(400).send("Invalid JSON");
+  }
+
+  if (!verifyBoxNowWebhook(raw, payload, req.headers["x-boxnow-signature"])) {
+    return res.status(401).send("Invalid BoxNow webhook signature");
+  }
+
+  const events = Array.isArray(payload) ? payload : [payload];
+  const results = [];
+
+  try {
+    for (const event of events) {
+      const eventId = String(event?.id || crypto.createHash("sha256").update(JSON.stringify(event)).digest("hex"));
+      if (isWebhookEventProcessed("boxnow", eventId)) {
+        results.push({ eventId, duplicate: true });
+        continue;
+      }
+      results.push({ eventId, ...handleBoxNowWebhookEvent(eventId, event) });
+      markWebhookEventProcessed("boxnow", eventId, event?.type || null);
+    }
+  } catch (err) {
+    console.error("[BOXNOW_WEBHOOK_ERROR]", err?.message || err);
+    return res.status(500).send("Webhook handler failed");
+  }
+
+  res.json({ received: true, results });
+});
+
 // ✅ JSON middleware for everything else
 app.use(express.json({ limit: "1mb" }));
 
@@ -71,85 +182,122 @@ const HORIZONS_API_URL = (process.env.HORIZONS_API_URL || "https://api.horizons.
 const HORIZONS_STORE_ID = (process.env.HORIZONS_STORE_ID || "").trim();
 const HORIZONS_API_KEY = (process.env.HORIZONS_API_KEY || "").trim();
 
+// POST an order to the Horizons store; API errors throw with .status and .details
+async function createHorizonsOrder(orderData, { idempotencyKey = null } = {}) {
+  const {
+    orderNumber,
+    items = [],
+    customer = {},
+    totals = {},
+    metadata = {},
+    timestamp = new Date().toISOString(),
+  } = orderData;
+
+  const url = `${HORIZONS_API_URL}/stores/${encodeURIComponent(HORIZONS_STORE_ID)}/orders`;
+
+  const r = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${HORIZONS_API_KEY}`,
+      ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
+    },
+    body: JSON.stringify({
+      orderNumber,
+      items: items.map((item) => ({
+        name: item.name,
+        quantity: Number(item.quantity || 1),
+        price: Number(item.price || 0),
+        sku: item.id || item.sku || "",
+      })),
+      customer: {
+        firstName: customer.firstName || String(customer.name || "").split(" ")[0] || "",
+        lastName: customer.lastName || String(customer.name || "").split(" ").slice(1).join(" ") || "",
+        email: customer.email,
+        phone: customer.phone || "",
+      },
+      totals,
+      metadata,
+      timestamp,
+    }),
+  });
+
+  const text = await r.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    data = { raw: text };
+  }
+
+  if (!r.ok) {
+    const err = new Error(`Store API error ${r.status}`);
+    err.status = r.status;
+    err.details = data;
+    throw err;
+  }
+
+  return { storeOrderId: data?.id ?? data?.orderId ?? null, data };
+}
+
+// Legacy frontend call. Only orders we have are synced, from the stored copy through the sync queue
+// (so calling this for an already synced order doesn't create a second store order). Anything else in the
+// body (items, totals) is ignored: the store never gets an order the client made up.
 app.post("/api/store/create-order", async (req, res) => {
   try {
     if (!HORIZONS_STORE_ID) return res.status(500).json({ success: false, error: "Missing HORIZONS_STORE_ID" });
     if (!HORIZONS_API_KEY) return res.status(500).json({ success: false, error: "Missing HORIZONS_API_KEY" });
 
-    const orderData = req.body || {};
-    const {
-      orderNumber,
-      items = [],
-      customer = {},
-      totals = {},
-      metadata = {},
-      timestamp = new Date().toISOString(),
-    } = orderData;
+    const { orderNumber } = req.body || {};
+    if (!orderNumber) return res.status(400).json({ success: false, error: "Missing orderNumber" });
 
-    if (!orderNumber || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ success: false, error: "Missing orderNumber/items" });
-    }
-    if (!customer?.email) return res.status(400).json({ success: false, error: "Missing customer.email" });
-    if (totals?.total == null) return res.status(400).json({ success: false, error: "Missing totals.total" });
-
-    const url = `${HORIZONS_API_URL}/stores/${encodeURIComponent(HORIZONS_STORE_ID)}/orders`;
-
-    const r = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${HORIZONS_API_KEY}`,
-      },
-      body: JSON.stringify({
-        orderNumber,
-        items: items.map((item) => ({
-          name: item.name,
-          quantity: Number(item.quantity || 1),
-          price: Number(item.price || 0),
-          sku: item.id || item.sku || "",
-        })),
-        customer: {
-          firstName: customer.firstName || String(customer.name || "").split(" ")[0] || "",
-          lastName: customer.lastName || String(customer.name || "").split(" ").slice(1).join(" ") || "",
-          email: customer.email,
-          phone: customer.phone || "",
-        },
-        totals,
-        metadata,
-        timestamp,
-      }),
-    });
+    const stored = orderRepository.get(String(orderNumber));
+    if (!stored) return res.status(404).json({ success: false, error: "ORDER_NOT_FOUND" });
 
-    const text = await r.text();
-    let data;
-    try {
-      data = JSON.parse(text);
-    } catch {
-      data = { raw: text };
-    }
+    const storeOrderId = stored.metadata?.horizons?.storeOrderId;
+    if (storeOrderId) return res.json({ success: true, storeOrderId, alreadySynced: true });
 
-    if (!r.ok) {
-      return res.status(r.status).json({
+    // Same rule as the automatic sync: paid (or COD) and not cancelled
+    if (!shouldSyncToStore(stored)) {
+      return res.status(409).json({
         success: false,
-        error: `Store API error ${r.status}`,
-        details: data,
+        error: "ORDER_NOT_SYNCABLE",
+        message: `Order ${stored.orderNumber} is ${stored.status === "cancelled" ? "cancelled" : "not paid yet"}`,
       });
     }
 
-    const storeOrderId = data?.id || data?.orderId || null;
-
-    return res.json({ success: true, storeOrderId, data });
+    queueStoreSync(stored, "client", { retry: true, kick: false });
+    const job = await processStoreSyncJob(stored.orderNumber);
+    if (job?.status === "synced") return res.json({ success: true, storeOrderId: job.storeOrderId });
+    return res.status(502).json({ success: false, error: job?.lastError || "Store sync pending", job });
   } catch (e) {
+    if (e.details !== undefined) {
+      return res.status(e.status).json({ success: false, error: e.message, details: e.details });
+    }
     return res.status(500).json({ success: false, error: e?.message || String(e) });
   }
 });
 
 // ✅ Create PaymentIntent (returns clientSecret)
-app.post("/api/stripe/create-payment-intent", async (req, res) => {
+// Preferred: { orderNumber } -> amount comes from the stored order's server-computed totals.
+// Legacy: { amount } in integer cents, only with STRIPE_ALLOW_CLIENT_AMOUNT=true. Such intents carry no
+// order metadata, so the webhook never marks an order paid from them.
+const STRIPE_ALLOW_CLIENT_AMOUNT = String(process.env.STRIPE_ALLOW_CLIENT_AMOUNT || "false").toLowerCase() === "true";
+
+// PaymentIntent states that can still be confirmed by the browser
+const REUSABLE_INTENT_STATUSES = ["requires_payment_method", "requires_confirmation", "requires_action"];
+
+app.post("/api/stripe/create-payment-intent", idempotent("stripe.payment-intent"), async (req, res) => {
   try {
     if (!stripe) return res.status(500).json({ error: "Stripe not configured" });
 
-    const { amount, currency = "eur", metadata = {} } = req.body || {};
+    const { orderNumber, amount, currency = "eur" } = req.body || {};
+
+    if (orderNumber) return res.json(await createPaymentIntentForOrder(String(orderNumber)));
+
+    if (!STRIPE_ALLOW_CLIENT_AMOUNT) {
+      return res.status(400).json({ error: "Missing orderNumber" });
+    }
     if (!Number.isInteger(amount) || amount < 50) {
       return res.status(400).json({ error: "Invalid amount (integer cents, min 50)." });
     }
@@ -158,777 +306,6552 @@ app.post("/api/stripe/create-payment-intent", async (req, res) => {
       amount,
       currency,
       automatic_payment_methods: { enabled: true },
-      metadata,
     });
 
     return res.json({ clientSecret: pi.client_secret, id: pi.id });
   } catch (e) {
-    return res.status(400).json({ error: e.message });
+    return res.status(e.status || 400).json({ error: e.message, ...(e.code ? { code: e.code } : {}) });
   }
 });
 
-// -------------------- ORDER STORAGE --------------------
-const ORDERS_FILE = path.join(__dirname, "data", "orders.json");
-
-function ensureOrdersFile() {
-  const dir = path.dirname(ORDERS_FILE);
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-  if (!fs.existsSync(ORDERS_FILE)) fs.writeFileSync(ORDERS_FILE, JSON.stringify({ orders: [] }));
+function httpError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
 }
 
-function readOrders() {
-  ensureOrdersFile();
-  const data = fs.readFileSync(ORDERS_FILE, "utf8");
-  return JSON.parse(data);
+// Order must exist, not be cancelled and not already be paid by any provider
+function findPayableOrder(orderNumber) {
+  const order = findOrderForPayment({ orderNumber });
+  if (!order) throw httpError(404, "ORDER_NOT_FOUND", "Order not found");
+
+  const paymentStatus = order.metadata?.payment?.status || "pending";
+  if (SETTLED_PAYMENT_STATUSES.includes(paymentStatus)) {
+    throw httpError(409, "ORDER_ALREADY_PAID", `Order payment is ${paymentStatus}`);
+  }
+  if (paymentStatus === "amount_mismatch") {
+    throw httpError(409, "PAYMENT_NEEDS_REVIEW", "A payment with the wrong amount was received for this order");
+  }
+  if (order.status === "cancelled") throw httpError(409, "ORDER_CANCELLED", "Order is cancelled");
+
+  renewStockReservation(order);
+  return order;
 }
 
-function writeOrders(data) {
-  ensureOrdersFile();
-  fs.writeFileSync(ORDERS_FILE, JSON.stringify(data, null, 2));
+async function createPaymentIntentForOrder(orderNumber) {
+  const order = findPayableOrder(orderNumber);
+
+  const amount = Math.round(toNum(order.totals?.total) * 100);
+  if (amount < 50) throw httpError(400, "AMOUNT_TOO_SMALL", "Order total below Stripe minimum (50 cents)");
+
+  const metadata = { orderNumber: order.orderNumber };
+
+  // Reuse the order's open intent so retries don't pile up PaymentIntents
+  const existingId = order.metadata?.payment?.stripeIntentId;
+  if (existingId) {
+    const existing = await stripe.paymentIntents.retrieve(existingId).catch(() => null);
+    if (existing && existing.metadata?.orderNumber === order.orderNumber) {
+      if (existing.status === "succeeded" || existing.status === "processing") {
+        throw httpError(409, "ORDER_ALREADY_PAID", `PaymentIntent is ${existing.status}`);
+      }
+      if (REUSABLE_INTENT_STATUSES.includes(existing.status)) {
+        const pi = existing.amount === amount ? existing : await stripe.paymentIntents.update(existing.id, { amount });
+        return { clientSecret: pi.client_secret, id: pi.id, orderNumber: order.orderNumber, amount };
+      }
+    }
+  }
+
+  const pi = await stripe.paymentIntents.create({
+    amount,
+    currency: "eur",
+    automatic_payment_methods: { enabled: true },
+    metadata,
+  });
+
+  orderRepository.update(order.orderNumber, (o) => {
+    o.metadata = { ...o.metadata, payment: { ...(o.metadata?.payment || {}), stripeIntentId: pi.id } };
+  });
+
+  console.log("[STRIPE_INTENT_CREATED]", { orderNumber: order.orderNumber, intentId: pi.id, amount });
+
+  return { clientSecret: pi.client_secret, id: pi.id, orderNumber: order.orderNumber, amount };
 }
 
-function generateOrderNumber() {
-  return `ORD-${Date.now()}`;
+// A succeeded intent whose webhook hasn't arrived yet is applied now, through the same checks as the webhook
+async function syncStripeIntent(order) {
+  const intentId = order.metadata?.payment?.stripeIntentId;
+  if (!stripe || !intentId) return order;
+
+  const pi = await stripe.paymentIntents.retrieve(intentId).catch(() => null);
+  if (pi?.status !== "succeeded") return order;
+
+  handleStripeEvent({
+    id: null,
+    type: "payment_intent.succeeded",
+    created: Math.floor(Date.now() / 1000),
+    data: { object: pi },
+  });
+  return orderRepository.get(order.orderNumber);
 }
 
-function updateOrderMetadata(orderNumber, metadata) {
-  const data = readOrders();
-  const order = data.orders.find((o) => o.orderNumber === orderNumber);
-  if (!order) throw new Error(`Order ${orderNumber} not found`);
+// The order's intent, if the customer can still confirm it; returns the canceled intent (null when none)
+async function cancelOpenStripeIntent(orderNumber, reason = "abandoned") {
+  const intentId = orderRepository.get(orderNumber)?.metadata?.payment?.stripeIntentId;
+  if (!stripe || !intentId) return null;
 
-  order.metadata = { ...order.metadata, ...metadata };
-  writeOrders(data);
-  return order;
+  const pi = await stripe.paymentIntents.retrieve(intentId);
+  if (!REUSABLE_INTENT_STATUSES.includes(pi.status)) return null;
+
+  const canceled = await stripe.paymentIntents.cancel(intentId, { cancellation_reason: reason });
+  console.log("[STRIPE_INTENT_CANCELED]", { orderNumber, intentId, reason });
+  return canceled;
 }
 
-// -------------------- MONEY HELPERS (SERVER-SIDE TRUTH) --------------------
-function toNum(x) {
-  const n = Number(x);
-  return Number.isFinite(n) ? n : 0;
+// -------------------- PAYPAL CHECKOUT --------------------
+function paypalEnabled() {
+  return !!(PAYPAL_CLIENT_ID && PAYPAL_CLIENT_SECRET);
 }
 
-function priceToCents(item) {
-  if (item?.price_in_cents != null) return Math.max(0, Math.round(toNum(item.price_in_cents)));
-  if (item?.variant?.price_in_cents != null) return Math.max(0, Math.round(toNum(item.variant.price_in_cents)));
+let paypalToken = null;
+let paypalTokenExpiryMs = 0;
 
-  const eur =
-    item?.price != null
-      ? toNum(item.price)
-      : item?.variant?.price != null
-      ? toNum(item.variant.price)
-      : 0;
+async function paypalAuthToken() {
+  const now = Date.now();
+  if (paypalToken && now < paypalTokenExpiryMs - 30_000) return paypalToken;
 
-  return Math.max(0, Math.round(eur * 100));
+  const basic = Buffer.from(`${PAYPAL_CLIENT_ID}:${PAYPAL_CLIENT_SECRET}`).toString("base64");
+  const res = await fetch(`${PAYPAL_API_BASE}/v1/oauth2/token`, {
+    method: "POST",
+    headers: {
+      Authorization: `Basic ${basic}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+      accept: "application/json",
+    },
+    body: "grant_type=client_credentials",
+  });
+
+  const text = await res.text();
+  if (!res.ok) throw new Error(`PayPal auth failed: ${res.status} ${text.slice(0, 500)}`);
+
+  const data = JSON.parse(text);
+  if (!data.access_token) throw new Error("PayPal auth missing access_token");
+
+  paypalToken = data.access_token;
+  paypalTokenExpiryMs = Date.now() + Math.max(60, Number(data.expires_in || 3600) - 300) * 1000;
+  return paypalToken;
 }
 
-// ✅ CREATE ORDER ENDPOINT (server computes totals)
-app.post("/api/orders/create", async (req, res) => {
+async function paypalApiFetch(p, opts = {}) {
+  const token = await paypalAuthToken();
+  const r = await fetch(`${PAYPAL_API_BASE}${p}`, {
+    ...opts,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+      accept: "application/json",
+      ...(opts.headers || {}),
+    },
+  });
+
+  const text = await r.text();
+  let data;
   try {
-    const {
-      orderNumber = generateOrderNumber(),
-      items = [],
-      customer = {},
-      cartWeightKg = 0,
-      paymentMethod = "cod",
-      paymentDetails = {},
-      boxnow = {},
-      shippingCost = 0,
-      discountAmount = 0,
-    } = req.body || {};
+    data = text ? JSON.parse(text) : {};
+  } catch {
+    data = { raw: text };
+  }
+  return { ok: r.ok, status: r.status, data };
+}
 
-    if (!items.length) return res.status(400).json({ success: false, error: "No items in order" });
-    if (!customer.name || !customer.email || !customer.phone) {
-      return res.status(400).json({ success: false, error: "Missing customer details" });
+async function verifyPayPalWebhook(headers, event) {
+  const { ok, status, data } = await paypalApiFetch("/v1/notifications/verify-webhook-signature", {
+    method: "POST",
+    body: JSON.stringify({
+      auth_algo: headers["paypal-auth-algo"],
+      cert_url: headers["paypal-cert-url"],
+      transmission_id: headers["paypal-transmission-id"],
+      transmission_sig: headers["paypal-transmission-sig"],
+      transmission_time: headers["paypal-transmission-time"],
+      webhook_id: PAYPAL_WEBHOOK_ID,
+      webhook_event: event,
+    }),
+  });
+
+  if (!ok) throw new Error(`verify-webhook-signature failed (${status}): ${JSON.stringify(data).slice(0, 200)}`);
+  return data?.verification_status === "SUCCESS";
+}
+
+// Capture status -> our metadata.payment.status. A completed capture only counts as paid when it is the
+// stored total in EUR (buyers can create their own PayPal order with our custom_id and the public client id).
+function applyPayPalCapture(orderNumber, capture, { eventId = null, type }) {
+  const actor = eventId ? "paypal-webhook" : "paypal-capture";
+  const captureStatus = String(capture?.status || "").toUpperCase();
+  const fields = {
+    paypalCaptureId: capture?.id || null,
+    paypalCaptureStatus: captureStatus || null,
+  };
+
+  if (captureStatus === "COMPLETED") {
+    const order = orderRepository.get(orderNumber);
+    const captured = toNum(capture?.amount?.value);
+    const expected = toNum(safeMoney(order?.totals?.total));
+    const currency = capture?.amount?.currency_code || null;
+    if (currency !== "EUR" || Math.round(captured * 100) !== Math.round(expected * 100)) {
+      console.error("[PAYPAL_AMOUNT_MISMATCH]", { orderNumber, captured, expected, currency, eventId });
+      return applyPaymentUpdate(orderNumber, {
+        eventId,
+        type,
+        status: "amount_mismatch",
+        fields: { ...fields, capturedAmount: captured, capturedCurrency: currency },
+      });
     }
 
-    const subtotalCents = items.reduce((sum, item) => {
-      const qty = Math.max(1, Math.round(toNum(item.quantity || 1)));
-      return sum + priceToCents(item) * qty;
-    }, 0);
+    return applyPaymentUpdate(orderNumber, {
+      eventId,
+      type,
+      actor,
+      status: "paid",
+      orderStatus: "paid",
+      fields: { ...fields, paidAt: capture?.create_time || new Date().toISOString() },
+    });
+  }
+  if (captureStatus === "DECLINED" || captureStatus === "FAILED") {
+    return applyPaymentUpdate(orderNumber, { eventId, type, status: "failed", fields });
+  }
+  return applyPaymentUpdate(orderNumber, { eventId, type, fields });
+}
 
-    const shippingCents = Math.max(0, Math.round(toNum(shippingCost || 0) * 100));
-    const discountCents = Math.max(0, Math.round(toNum(discountAmount || 0) * 100));
-    const totalCents = Math.max(0, subtotalCents + shippingCents - discountCents);
+function handlePayPalEvent(event) {
+  const resource = event.resource || {};
+  const type = event.event_type;
 
-    const subtotal = subtotalCents / 100;
-    const shipping = shippingCents / 100;
-    const discount = discountCents / 100;
-    const total = totalCents / 100;
+  const orderNumber = resource.custom_id || resource.invoice_id || resource.purchase_units?.[0]?.custom_id || null;
+  const paypalOrderId =
+    resource.supplementary_data?.related_ids?.order_id || (type?.startsWith("CHECKOUT.ORDER.") ? resource.id : null);
 
-    const order = {
-      id: orderNumber,
-      orderNumber,
-      items: items.map((item) => {
-        const pc = priceToCents(item);
-        return {
-          id: item.id,
-          name: item.name,
-          price: Number((pc / 100).toFixed(2)),
-          price_in_cents: pc,
-          quantity: Math.max(1, Math.round(toNum(item.quantity || 1))),
-          weightKg: Number(item.weightKg || 0),
-        };
-      }),
-      customer: {
-        name: String(customer.name),
-        email: String(customer.email),
-        phone: String(customer.phone),
-      },
-      totals: {
-        subtotal: Number(subtotal.toFixed(2)),
-        shipping: Number(shipping.toFixed(2)),
-        discount: Number(discount.toFixed(2)),
-        total: Number(total.toFixed(2)),
-      },
-      cartWeightKg: Number(cartWeightKg || 0),
-      metadata: {
-        payment: {
-          method: String(paymentMethod),
-          stripeIntentId: paymentDetails.stripeIntentId || null,
-          paypalOrderId: paymentDetails.paypalOrderId || null,
-          status: paymentDetails.status || "pending",
-        },
-        boxnow: {
-          lockerId: boxnow.lockerId || null,
-          pickupName: boxnow.pickupName || null,
-          pickupAddress: boxnow.pickupAddress || null,
-          parcelId: null,
-          parcelIds: [],
-          trackingNumber: null,
-          labelUrl: null,
-          error: null,
-        },
-      },
-      status: "pending",
-      createdAt: new Date().toISOString(),
-    };
+  const order = findOrderForPayment({ orderNumber, paypalOrderId });
+  if (!order) {
+    console.warn("[PAYPAL_WEBHOOK_UNMATCHED]", { eventId: event.id, type, orderNumber, paypalOrderId });
+    return;
+  }
 
-    const data = readOrders();
-    data.orders.push(order);
-    writeOrders(data);
+  switch (type) {
+    case "PAYMENT.CAPTURE.COMPLETED":
+    case "PAYMENT.CAPTURE.DENIED":
+    case "PAYMENT.CAPTURE.DECLINED":
+    case "PAYMENT.CAPTURE.PENDING":
+      applyPayPalCapture(order.orderNumber, resource, { eventId: event.id, type });
+      break;
+
+    case "PAYMENT.CAPTURE.REFUNDED":
+    case "PAYMENT.CAPTURE.REVERSED": {
+      const refunded = toNum(
+        resource.seller_payable_breakdown?.total_refunded_amount?.value ?? resource.amount?.value ?? 0
+      );
+      const full = type === "PAYMENT.CAPTURE.REVERSED" || refunded >= toNum(order.totals?.total);
+      applyPaymentUpdate(order.orderNumber, {
+        eventId: event.id,
+        type,
+        status: full ? "refunded" : "partially_refunded",
+        fields: { refundedAt: resource.create_time || new Date().toISOString(), amountRefunded: refunded },
+      });
+      break;
+    }
 
-    console.log("[ORDER_CREATED]", {
-      orderId: order.id,
-      orderNumber: order.orderNumber,
-      paymentMethod,
-      subtotal,
-      shipping,
-      discount,
-      total,
-      cartWeightKg,
-    });
+    case "CHECKOUT.ORDER.APPROVED":
+      applyPaymentUpdate(order.orderNumber, { eventId: event.id, type, fields: { paypalOrderId: resource.id } });
+      break;
 
-    res.json({
-      success: true,
-      orderId: order.id,
-      orderNumber: order.orderNumber,
-      metadata: order.metadata,
-      totals: order.totals,
-    });
-  } catch (e) {
-    console.error("[ORDER_CREATE_ERROR]", e.message);
-    res.status(500).json({ success: false, error: e.message });
+    default:
+      return;
   }
-});
 
-// ✅ GET ORDER (returns order + recomputed totals)
-app.get("/api/orders/:orderNumber", (req, res) => {
+  console.log("[PAYPAL_PAYMENT_UPDATE]", { eventId: event.id, type, orderNumber: order.orderNumber });
+}
+
+// ✅ Create PayPal order from the stored order's server-computed total
+app.post("/api/paypal/create-order", async (req, res) => {
   try {
-    const { orderNumber } = req.params;
-    const data = readOrders();
-    const order = data.orders.find((o) => o.orderNumber === orderNumber);
-    if (!order) return res.status(404).json({ error: "Order not found" });
+    if (!paypalEnabled()) return res.status(500).json({ error: "PayPal not configured" });
 
-    const items = Array.isArray(order.items) ? order.items : [];
+    const orderNumber = String(req.body?.orderNumber || "").trim();
+    if (!orderNumber) return res.status(400).json({ error: "Missing orderNumber" });
 
-    const subtotalCents = items.reduce((sum, it) => {
-      const qty = Math.max(1, Math.round(toNum(it?.quantity || 1)));
-      const priceCents =
-        it?.price_in_cents != null
-          ? Math.max(0, Math.round(toNum(it.price_in_cents)))
-          : Math.max(0, Math.round(toNum(it?.price || 0) * 100));
-      return sum + priceCents * qty;
-    }, 0);
-
-    const shippingCents = Math.max(0, Math.round(toNum(order?.totals?.shipping || 0) * 100));
-    const discountCents = Math.max(0, Math.round(toNum(order?.totals?.discount || 0) * 100));
-    const totalCents = Math.max(0, subtotalCents + shippingCents - discountCents);
+    const order = findPayableOrder(orderNumber);
+    const value = safeMoney(order.totals?.total);
+    if (toNum(value) <= 0) return res.status(400).json({ error: "Order total must be positive" });
 
-    const fixedTotals = {
-      ...(order.totals || {}),
-      subtotal: Number((subtotalCents / 100).toFixed(2)),
-      shipping: Number((shippingCents / 100).toFixed(2)),
-      discount: Number((discountCents / 100).toFixed(2)),
-      total: Number((totalCents / 100).toFixed(2)),
-      _recomputed: true,
-    };
+    const { ok, status, data } = await paypalApiFetch("/v2/checkout/orders", {
+      method: "POST",
+      headers: { "PayPal-Request-Id": `create-${order.orderNumber}-${value}` },
+      body: JSON.stringify({
+        intent: "CAPTURE",
+        purchase_units: [
+          {
+            reference_id: order.orderNumber,
+            custom_id: order.orderNumber,
+            invoice_id: order.orderNumber,
+            description: `Gods n Bees – ${order.orderNumber}`,
+            amount: { currency_code: "EUR", value },
+          },
+        ],
+      }),
+    });
+
+    if (!ok) return res.status(502).json({ error: `PayPal API error ${status}`, details: data });
+
+    orderRepository.update(order.orderNumber, (o) => {
+      o.metadata = { ...o.metadata, payment: { ...(o.metadata?.payment || {}), paypalOrderId: data.id } };
+    });
+
+    console.log("[PAYPAL_ORDER_CREATED]", { orderNumber: order.orderNumber, paypalOrderId: data.id, value });
 
-    return res.json({ ...order, totals: fixedTotals });
+    return res.json({ id: data.id, status: data.status, orderNumber: order.orderNumber, amount: Number(value) });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    return res.status(e.status || 500).json({ error: e.message, ...(e.code ? { code: e.code } : {}) });
   }
 });
 
-// -------------------- ENV --------------------
-const RAW_API_URL = (process.env.BOXNOW_API_URL || "").trim();
-const CLIENT_ID = process.env.BOXNOW_CLIENT_ID;
-const CLIENT_SECRET = process.env.BOXNOW_CLIENT_SECRET;
+// ✅ Capture after buyer approval; amount is checked against the stored total
+app.post("/api/paypal/capture-order", async (req, res) => {
+  try {
+    if (!paypalEnabled()) return res.status(500).json({ error: "PayPal not configured" });
 
-const PARTNER_ID = (process.env.BOXNOW_PARTNER_ID || "").trim();
-const DEFAULT_ORIGIN_LOCATION_ID = String(process.env.BOXNOW_WAREHOUSE_ID || "2");
+    const orderNumber = String(req.body?.orderNumber || "").trim();
+    if (!orderNumber) return res.status(400).json({ error: "Missing orderNumber" });
 
-const ALLOW_COD = String(process.env.BOXNOW_ALLOW_COD || "false").toLowerCase() === "true";
-const FORCE_PREPAID = String(
-  process.env.BOXNOW_FORCED_PREPAID ?? process.env.BOXNOW_FORCE_PREPAID_ST ?? "false"
-).toLowerCase() === "true";
+    const order = findPayableOrder(orderNumber);
+    const paypalOrderId = order.metadata?.payment?.paypalOrderId;
+    if (!paypalOrderId) return res.status(409).json({ error: "Order has no PayPal order; call create-order first" });
 
-const BOXNOW_ENV = (process.env.BOXNOW_ENV || "").toLowerCase(); // stage | production
+    let { ok, status, data } = await paypalApiFetch(`/v2/checkout/orders/${encodeURIComponent(paypalOrderId)}/capture`, {
+      method: "POST",
+      headers: { "PayPal-Request-Id": `capture-${paypalOrderId}` },
+    });
 
-// -------------------- MAIL ENV --------------------
-const MAIL_HOST = (process.env.MAIL_HOST || "").trim();
-const MAIL_PORT = Number(process.env.MAIL_PORT || 465);
-const MAIL_SECURE = String(process.env.MAIL_SECURE || "true").toLowerCase() === "true";
-const MAIL_USER = (process.env.MAIL_USER || "").trim();
-const MAIL_PASS = process.env.MAIL_PASS || "";
+    // Already captured (e.g. double click): read the order instead
+    if (!ok && status === 422 && JSON.stringify(data).includes("ORDER_ALREADY_CAPTURED")) {
+      ({ ok, status, data } = await paypalApiFetch(`/v2/checkout/orders/${encodeURIComponent(paypalOrderId)}`));
+    }
+    if (!ok) return res.status(502).json({ error: `PayPal API error ${status}`, details: data });
 
-// Multiple recipients supported via comma
-const VOUCHER_EMAIL_TO = (process.env.VOUCHER_EMAIL_TO || MAIL_USER).trim();
+    const capture = data?.purchase_units?.[0]?.payments?.captures?.[0];
+    if (!capture) return res.status(502).json({ error: "PayPal response has no capture", details: data });
 
-// ✅ BoxNow "official" email recipient (manual: notifyOnAccepted)
-const BOXNOW_NOTIFY_EMAIL = (process.env.BOXNOW_NOTIFY_EMAIL || "").trim();
+    const updated = applyPayPalCapture(order.orderNumber, capture, { type: "paypal.capture" });
+    if (updated.metadata.payment.status === "amount_mismatch") {
+      return res.status(409).json({
+        error: "Captured amount does not match order total",
+        captured: updated.metadata.payment.capturedAmount,
+        expected: toNum(safeMoney(order.totals?.total)),
+      });
+    }
 
-function mailEnabled() {
-  return !!(MAIL_HOST && MAIL_PORT && MAIL_USER && MAIL_PASS && VOUCHER_EMAIL_TO);
+    return res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      paypalOrderId,
+      captureId: capture.id,
+      captureStatus: capture.status,
+      paymentStatus: updated.metadata.payment.status,
+    });
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message, ...(e.code ? { code: e.code } : {}) });
+  }
+});
+
+// -------------------- ORDER STORAGE --------------------
+const DATA_DIR = path.join(__dirname, "data");
+const DB_FILE = (process.env.DB_FILE || "").trim() || path.join(DATA_DIR, "godsnbees.db");
+
+// Pre-SQLite storage; imported once on boot, then renamed to *.migrated
+const LEGACY_ORDERS_FILE = path.join(DATA_DIR, "orders.json");
+const LEGACY_WEBHOOK_EVENTS_FILE = path.join(DATA_DIR, "webhook-events.json");
+
+function openDatabase() {
+  fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+
+  const conn = new Database(DB_FILE);
+  conn.pragma("journal_mode = WAL");
+  conn.pragma("busy_timeout = 5000");
+
+  conn.exec(`
+    CREATE TABLE IF NOT EXISTS orders (
+      order_number     TEXT PRIMARY KEY,
+      email            TEXT,
+      phone            TEXT,
+      stripe_intent_id TEXT,
+      paypal_order_id  TEXT,
+      status           TEXT NOT NULL,
+      created_at       TEXT NOT NULL,
+      updated_at       TEXT NOT NULL,
+      data             TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_orders_email ON orders (email);
+    CREATE INDEX IF NOT EXISTS idx_orders_stripe_intent ON orders (stripe_intent_id);
+    CREATE INDEX IF NOT EXISTS idx_orders_paypal_order ON orders (paypal_order_id);
+    CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders (created_at);
+
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      key          TEXT PRIMARY KEY,
+      type         TEXT,
+      processed_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_events_processed ON webhook_events (processed_at);
+
+    CREATE TABLE IF NOT EXISTS catalog (
+      sku         TEXT PRIMARY KEY,
+      name        TEXT NOT NULL,
+      price_cents INTEGER NOT NULL,
+      weight_kg   REAL NOT NULL,
+      length_cm   REAL,
+      width_cm    REAL,
+      height_cm   REAL,
+      active      INTEGER NOT NULL DEFAULT 1,
+      vat_rate    REAL,
+      source      TEXT NOT NULL,
+      updated_at  TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS coupons (
+      code               TEXT PRIMARY KEY,
+      type               TEXT NOT NULL,
+      value              REAL NOT NULL DEFAULT 0,
+      min_subtotal_cents INTEGER NOT NULL DEFAULT 0,
+      starts_at          TEXT,
+      expires_at         TEXT,
+      max_uses           INTEGER,
+      max_uses_per_email INTEGER,
+      skus               TEXT,
+      active             INTEGER NOT NULL DEFAULT 1,
+      created_at         TEXT NOT NULL,
+      updated_at         TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS coupon_redemptions (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      code           TEXT NOT NULL,
+      order_number   TEXT NOT NULL UNIQUE,
+      email          TEXT,
+      discount_cents INTEGER NOT NULL,
+      redeemed_at    TEXT NOT NULL,
+      expires_at     TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_code ON coupon_redemptions (code, email);
+
+    CREATE TABLE IF NOT EXISTS boxnow_dead_letters (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id    TEXT NOT NULL,
+      parcel_id   TEXT,
+      reason      TEXT NOT NULL,
+      payload     TEXT NOT NULL,
+      received_at TEXT NOT NULL,
+      resolved_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS boxnow_labels (
+      parcel_id    TEXT PRIMARY KEY,
+      order_number TEXT,
+      file         TEXT NOT NULL,
+      sha256       TEXT NOT NULL,
+      bytes        INTEGER NOT NULL,
+      fetched_at   TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_boxnow_labels_order ON boxnow_labels (order_number);
+
+    CREATE TABLE IF NOT EXISTS boxnow_lockers (
+      id          TEXT PRIMARY KEY,
+      postal_code TEXT,
+      lat         REAL,
+      lng         REAL,
+      data        TEXT NOT NULL,
+      synced_at   TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS email_outbox (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind            TEXT NOT NULL,
+      order_number    TEXT,
+      dedupe_key      TEXT UNIQUE,
+      payload         TEXT NOT NULL,
+      status          TEXT NOT NULL,
+      attempts        INTEGER NOT NULL DEFAULT 0,
+      last_error      TEXT,
+      next_attempt_at TEXT NOT NULL,
+      created_at      TEXT NOT NULL,
+      updated_at      TEXT NOT NULL,
+      sent_at         TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox (status, next_attempt_at);
+
+    CREATE TABLE IF NOT EXISTS store_sync_jobs (
+      order_number    TEXT PRIMARY KEY,
+      status          TEXT NOT NULL,
+      reason          TEXT,
+      attempts        INTEGER NOT NULL DEFAULT 0,
+      last_error      TEXT,
+      store_order_id  TEXT,
+      next_attempt_at TEXT NOT NULL,
+      created_at      TEXT NOT NULL,
+      updated_at      TEXT NOT NULL,
+      synced_at       TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_store_sync_jobs_due ON store_sync_jobs (status, next_attempt_at);
+
+    CREATE TABLE IF NOT EXISTS stock (
+      sku                  TEXT PRIMARY KEY,
+      on_hand              INTEGER NOT NULL DEFAULT 0,
+      reserved             INTEGER NOT NULL DEFAULT 0,
+      low_stock_threshold  INTEGER,
+      low_stock_alerted_at TEXT,
+      updated_at           TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS stock_reservations (
+      order_number TEXT NOT NULL,
+      sku          TEXT NOT NULL,
+      quantity     INTEGER NOT NULL,
+      status       TEXT NOT NULL,
+      expires_at   TEXT,
+      created_at   TEXT NOT NULL,
+      updated_at   TEXT NOT NULL,
+      PRIMARY KEY (order_number, sku)
+    );
+    CREATE INDEX IF NOT EXISTS idx_stock_reservations_expiry ON stock_reservations (status, expires_at);
+
+    CREATE TABLE IF NOT EXISTS stock_movements (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      sku            TEXT NOT NULL,
+      type           TEXT NOT NULL,
+      on_hand_delta  INTEGER NOT NULL,
+      reserved_delta INTEGER NOT NULL,
+      on_hand_after  INTEGER NOT NULL,
+      reserved_after INTEGER NOT NULL,
+      order_number   TEXT,
+      reason         TEXT,
+      actor          TEXT,
+      created_at     TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_stock_movements_sku ON stock_movements (sku, id);
+    CREATE INDEX IF NOT EXISTS idx_stock_movements_order ON stock_movements (order_number);
+
+    CREATE TABLE IF NOT EXISTS cod_settlement_imports (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      filename   TEXT,
+      rows       INTEGER NOT NULL,
+      collected  INTEGER NOT NULL,
+      issues     INTEGER NOT NULL,
+      actor      TEXT,
+      report     TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      scope        TEXT NOT NULL,
+      key          TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status       TEXT NOT NULL,
+      http_status  INTEGER,
+      content_type TEXT,
+      response     TEXT,
+      created_at   TEXT NOT NULL,
+      PRIMARY KEY (scope, key)
+    );
+    CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys (created_at);
+
+    CREATE TABLE IF NOT EXISTS receipts (
+      series       TEXT NOT NULL,
+      number       INTEGER NOT NULL,
+      order_number TEXT NOT NULL UNIQUE,
+      issued_at    TEXT NOT NULL,
+      voided_at    TEXT,
+      PRIMARY KEY (series, number)
+    );
+  `);
+
+  // Columns added after the first release (CREATE TABLE IF NOT EXISTS won't add them to existing DBs)
+  const catalogColumns = conn.pragma("table_info(catalog)").map((c) => c.name);
+  if (!catalogColumns.includes("vat_rate")) conn.exec("ALTER TABLE catalog ADD COLUMN vat_rate REAL");
+  const receiptColumns = conn.pragma("table_info(receipts)").map((c) => c.name);
+  if (!receiptColumns.includes("voided_at")) conn.exec("ALTER TABLE receipts ADD COLUMN voided_at TEXT");
+  const redemptionColumns = conn.pragma("table_info(coupon_redemptions)").map((c) => c.name);
+  if (!redemptionColumns.includes("expires_at")) conn.exec("ALTER TABLE coupon_redemptions ADD COLUMN expires_at TEXT");
+
+  return conn;
 }
 
-let mailer = null;
-function getMailer() {
-  if (!mailEnabled()) return null;
-  if (mailer) return mailer;
+const db = openDatabase();
+
+function orderIndexColumns(order) {
+  return {
+    order_number: String(order.orderNumber),
+    email: order.customer?.email ? String(order.customer.email).trim().toLowerCase() : null,
+    phone: order.customer?.phone ? normalizePhone(order.customer.phone) : null,
+    stripe_intent_id: order.metadata?.payment?.stripeIntentId || null,
+    paypal_order_id: order.metadata?.payment?.paypalOrderId || null,
+    status: String(order.status || "pending"),
+    created_at: order.createdAt || new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    data: JSON.stringify(order),
+  };
+}
 
-  mailer = nodemailer.createTransport({
-    host: MAIL_HOST,
-    port: MAIL_PORT,
-    secure: MAIL_SECURE,
-    auth: { user: MAIL_USER, pass: MAIL_PASS },
+/**
+ * Order repository – the only way routes read or write orders.
+ *
+ *   get(orderNumber)             -> order | null
+ *   findByStripeIntentId(id)     -> order | null
+ *   findByPaypalOrderId(id)      -> order | null
+ *   findByEmail(email)           -> order[]
+ *   findByParcelId(parcelId)     -> order | null
+ *   insert(order)                -> order (throws code ORDER_EXISTS on duplicate orderNumber)
+ *   update(orderNumber, mutate)  -> order (mutate(order) runs inside one write transaction)
+ *   list(filters)                -> { orders, next } (keyset page; pass `next` back as filters.cursor)
+ *
+ * Writes are serialized by SQLite (BEGIN IMMEDIATE + WAL), so concurrent requests
+ * can't lose each other's changes and a crash never leaves a half-written order.
+ */
+function createSqliteOrderRepository(conn) {
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+  const stmts = {
+    get: conn.prepare("SELECT data FROM orders WHERE order_number = ?"),
+    byStripeIntent: conn.prepare("SELECT data FROM orders WHERE stripe_intent_id = ? LIMIT 1"),
+    byPaypalOrder: conn.prepare("SELECT data FROM orders WHERE paypal_order_id = ? LIMIT 1"),
+    byEmail: conn.prepare("SELECT data FROM orders WHERE email = ? ORDER BY created_at DESC"),
+    byParcel: conn.prepare(`
+      SELECT data FROM orders
+      WHERE EXISTS (SELECT 1 FROM json_each(orders.data, '$.metadata.boxnow.parcelIds') WHERE value = ?)
+      LIMIT 1
+    `),
+    insert: conn.prepare(`
+      INSERT INTO orders (order_number, email, phone, stripe_intent_id, paypal_order_id, status, created_at, updated_at, data)
+      VALUES (@order_number, @email, @phone, @stripe_intent_id, @paypal_order_id, @status, @created_at, @updated_at, @data)
+    `),
+    update: conn.prepare(`
+      UPDATE orders
+      SET email = @email, phone = @phone, stripe_intent_id = @stripe_intent_id, paypal_order_id = @paypal_order_id,
+          status = @status, updated_at = @updated_at, data = @data
+      WHERE order_number = @order_number
+    `),
+  };
+
+  const insertTx = conn.transaction((order) => {
+    if (stmts.get.get(String(order.orderNumber))) {
+      throw httpError(409, "ORDER_EXISTS", `Order ${order.orderNumber} already exists`);
+    }
+    stmts.insert.run(orderIndexColumns(order));
+    return order;
   });
 
-  return mailer;
-}
+  const updateTx = conn.transaction((orderNumber, mutate) => {
+    const order = parse(stmts.get.get(String(orderNumber)));
+    if (!order) throw httpError(404, "ORDER_NOT_FOUND", `Order ${orderNumber} not found`);
 
-// -------------------- HELPERS --------------------
-function stripTrailingSlash(s) {
-  return String(s || "").replace(/\/+$/, "");
-}
+    mutate(order);
+    stmts.update.run({ ...orderIndexColumns(order), order_number: String(orderNumber) });
+    return order;
+  });
 
-function normalizeApiBase(raw) {
-  const x = stripTrailingSlash(raw);
-  if (!x) return "";
-  return x.replace(/\/api\/v1$/i, "");
+  // Sortable fields -> SQL expression (keyset pagination uses (expr, order_number))
+  const SORTS = {
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    orderNumber: "order_number",
+    // Orders without a total sort as 0 so the (value, order_number) cursor never compares against NULL
+    total: "COALESCE(CAST(json_extract(data, '$.totals.total') AS REAL), 0)",
+  };
+
+  // LIKE pattern for a literal substring: % and _ typed by an admin are matched as themselves
+  const likeEscape = (text) => String(text).replace(/[\\%_]/g, (ch) => `\\${ch}`);
+
+  function list(filters = {}) {
+    const where = [];
+    const params = [];
+
+    if (filters.status?.length) {
+      where.push(`status IN (${filters.status.map(() => "?").join(", ")})`);
+      params.push(...filters.status);
+    }
+    if (filters.paymentMethod) {
+      where.push("lower(json_extract(data, '$.metadata.payment.method')) = ?");
+      params.push(String(filters.paymentMethod).toLowerCase());
+    }
+    if (filters.paymentStatus) {
+      where.push("json_extract(data, '$.metadata.payment.status') = ?");
+      params.push(String(filters.paymentStatus));
+    }
+    if (filters.from) {
+      where.push("created_at >= ?");
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      where.push("created_at <= ?");
+      params.push(filters.to);
+    }
+    if (filters.email) {
+      where.push("email LIKE ? ESCAPE '\\'");
+      params.push(`%${likeEscape(String(filters.email).trim().toLowerCase())}%`);
+    }
+    if (filters.phone) {
+      where.push("phone LIKE ? ESCAPE '\\'");
+      params.push(`%${likeEscape(String(filters.phone).replace(/\D/g, ""))}`);
+    }
+    if (filters.lockerId) {
+      where.push("CAST(json_extract(data, '$.metadata.boxnow.lockerId') AS TEXT) = ?");
+      params.push(String(filters.lockerId));
+    }
+    if (filters.hasBoxnowError != null) {
+      where.push(`json_extract(data, '$.metadata.boxnow.error') IS ${filters.hasBoxnowError ? "NOT NULL" : "NULL"}`);
+    }
+
+    const sortExpr = SORTS[filters.sort] || SORTS.createdAt;
+    const desc = filters.direction !== "asc";
+
+    if (filters.cursor) {
+      where.push(`(${sortExpr}, order_number) ${desc ? "<" : ">"} (?, ?)`);
+      params.push(filters.cursor.value, filters.cursor.orderNumber);
+    }
+
+    const limit = Math.min(200, Math.max(1, Number(filters.limit) || 50));
+    const sql = `
+      SELECT ${sortExpr} AS sort_value, order_number, data FROM orders
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY ${sortExpr} ${desc ? "DESC" : "ASC"}, order_number ${desc ? "DESC" : "ASC"}
+      LIMIT ${limit + 1}
+    `;
+
+    const rows = conn.prepare(sql).all(...params);
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      orders: page.map(parse),
+      next: rows.length > limit ? { value: last.sort_value, orderNumber: last.order_number } : null,
+    };
+  }
+
+  return {
+    list,
+    get: (orderNumber) => parse(stmts.get.get(String(orderNumber))),
+    findByStripeIntentId: (id) => parse(stmts.byStripeIntent.get(String(id))),
+    findByPaypalOrderId: (id) => parse(stmts.byPaypalOrder.get(String(id))),
+    findByEmail: (email) => stmts.byEmail.all(String(email).trim().toLowerCase()).map(parse),
+    findByParcelId: (parcelId) => parse(stmts.byParcel.get(String(parcelId))),
+    insert: (order) => insertTx.immediate(order),
+    update: (orderNumber, mutate) => updateTx.immediate(orderNumber, mutate),
+  };
 }
 
-const API_BASE = normalizeApiBase(RAW_API_URL);
+const orderRepository = createSqliteOrderRepository(db);
+
+function migrateLegacyJsonFiles() {
+  if (fs.existsSync(LEGACY_ORDERS_FILE)) {
+    const { orders = [] } = JSON.parse(fs.readFileSync(LEGACY_ORDERS_FILE, "utf8"));
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO orders (order_number, email, phone, stripe_intent_id, paypal_order_id, status, created_at, updated_at, data)
+      VALUES (@order_number, @email, @phone, @stripe_intent_id, @paypal_order_id, @status, @created_at, @updated_at, @data)
+    `);
+
+    let imported = 0;
+    db.transaction(() => {
+      for (const order of orders) {
+        if (!order?.orderNumber) continue;
+        imported += insert.run(orderIndexColumns(order)).changes;
+      }
+    })();
 
-function ensureEnv() {
-  if (!API_BASE || !CLIENT_ID || !CLIENT_SECRET) {
-    throw new Error("Missing BOXNOW_API_URL / BOXNOW_CLIENT_ID / BOXNOW_CLIENT_SECRET");
+    fs.renameSync(LEGACY_ORDERS_FILE, `${LEGACY_ORDERS_FILE}.migrated`);
+    console.log("[ORDERS_MIGRATED]", { from: LEGACY_ORDERS_FILE, found: orders.length, imported });
+  }
+
+  if (fs.existsSync(LEGACY_WEBHOOK_EVENTS_FILE)) {
+    const { events = [] } = JSON.parse(fs.readFileSync(LEGACY_WEBHOOK_EVENTS_FILE, "utf8"));
+    const insert = db.prepare("INSERT OR IGNORE INTO webhook_events (key, type, processed_at) VALUES (?, ?, ?)");
+    db.transaction(() => {
+      for (const e of events) insert.run(e.key, e.type || null, e.processedAt || new Date().toISOString());
+    })();
+    fs.renameSync(LEGACY_WEBHOOK_EVENTS_FILE, `${LEGACY_WEBHOOK_EVENTS_FILE}.migrated`);
   }
 }
 
-function locationBase() {
-  const inferred = BOXNOW_ENV || (API_BASE.includes("production") ? "production" : "stage");
-  return inferred === "production"
-    ? "https://locationapi-production.boxnow.gr/api/v1"
-    : "https://locationapi-stage.boxnow.gr/api/v1";
+migrateLegacyJsonFiles();
+
+// ORD-<ms timestamp>-<6 hex>; the random part keeps orders created in the same millisecond apart
+const ORDER_NUMBER_PATTERN = /^ORD-\d{13,16}-[0-9A-F]{6}$/;
+
+function generateOrderNumber() {
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const orderNumber = `ORD-${Date.now()}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+    if (!orderRepository.get(orderNumber)) return orderNumber;
+  }
+  throw httpError(500, "ORDER_NUMBER_EXHAUSTED", "Could not generate a free order number");
 }
 
-function safeMoney(n) {
-  const x = Number(n || 0);
-  return Number.isFinite(x) ? x.toFixed(2) : "0.00";
+function updateOrderMetadata(orderNumber, metadata) {
+  return orderRepository.update(orderNumber, (order) => {
+    order.metadata = { ...order.metadata, ...metadata };
+  });
 }
 
-function normalizePhone(phoneRaw) {
-  let p = String(phoneRaw || "").trim().replace(/\s+/g, "");
-  if (!p) return "";
+// -------------------- WEBHOOK EVENT LOG (idempotency) --------------------
+// Providers stop retrying after a few days, so ids older than WEBHOOK_EVENT_RETENTION_DAYS are pruned on insert.
+const WEBHOOK_EVENT_RETENTION_DAYS = Number(process.env.WEBHOOK_EVENT_RETENTION_DAYS || 30);
 
-  if (p.startsWith("+")) return `+${p.slice(1).replace(/\D/g, "")}`;
+function isWebhookEventProcessed(provider, eventId) {
+  return !!db.prepare("SELECT 1 FROM webhook_events WHERE key = ?").get(`${provider}:${eventId}`);
+}
 
-  p = p.replace(/\D/g, "");
-  if (p.startsWith("69")) return `+30${p}`;
-  if (p.startsWith("30")) return `+${p}`;
-  if (p.length === 10) return `+30${p}`;
-  return `+${p}`;
+function markWebhookEventProcessed(provider, eventId, type) {
+  const now = new Date();
+  db.prepare("DELETE FROM webhook_events WHERE processed_at < ?").run(
+    new Date(now.getTime() - WEBHOOK_EVENT_RETENTION_DAYS * 86400_000).toISOString()
+  );
+  db.prepare("INSERT OR IGNORE INTO webhook_events (key, type, processed_at) VALUES (?, ?, ?)").run(
+    `${provider}:${eventId}`,
+    type || null,
+    now.toISOString()
+  );
 }
 
-function mapPaymentModeToBoxNow(method) {
-  const normalized = String(method || "").toLowerCase();
+// -------------------- IDEMPOTENCY KEYS --------------------
+// Order, PaymentIntent and delivery-request creation accept an "Idempotency-Key" header. The first response
+// (anything below 500) is stored per route and replayed to repeats for IDEMPOTENCY_TTL_HOURS; a 5xx frees the
+// key for another try. Reusing a key with a different body or URL (e.g. another order's refund) is rejected,
+// a repeat while the first is running gets 409.
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+
+function idempotent(scope) {
+  return (req, res, next) => {
+    const key = String(req.get("Idempotency-Key") || "").trim();
+    if (!key) return next();
+    if (key.length > 255) {
+      return res.status(400).json({ error: "INVALID_IDEMPOTENCY_KEY", message: "Idempotency-Key is too long" });
+    }
 
-  const prepaid = ["card", "stripe", "paypal", "bank_transfer", "bank transfer", "prepaid"];
-  const cod = [
-    "cod",
-    "cash_on_delivery",
-    "cash on delivery",
-    "boxnow_cod",
-    "pay_on_go",
-    "pay on go",
-    "boxnow_pay_on_the_go",
-    "boxnow_pay_on_go",
-  ];
+    // The URL carries the path params (:orderNumber) and the query, so they are part of "the same request"
+    const request = JSON.stringify({ method: req.method, url: req.originalUrl, body: req.body ?? null });
+    const hash = crypto.createHash("sha256").update(request).digest("hex");
+    const now = new Date();
+    db.prepare("DELETE FROM idempotency_keys WHERE created_at < ?").run(
+      new Date(now.getTime() - IDEMPOTENCY_TTL_HOURS * 3600_000).toISOString()
+    );
+
+    const claimed = db
+      .prepare(
+        `INSERT OR IGNORE INTO idempotency_keys (scope, key, request_hash, status, created_at)
+         VALUES (?, ?, ?, 'pending', ?)`
+      )
+      .run(scope, key, hash, now.toISOString()).changes;
+
+    if (!claimed) {
+      const row = db.prepare("SELECT * FROM idempotency_keys WHERE scope = ? AND key = ?").get(scope, key);
+      if (row.request_hash !== hash) {
+        return res.status(422).json({
+          error: "IDEMPOTENCY_KEY_REUSED",
+          message: "Idempotency-Key was already used with a different request",
+        });
+      }
+      if (row.status === "pending") {
+        res.setHeader("Retry-After", "2");
+        return res.status(409).json({
+          error: "IDEMPOTENCY_IN_PROGRESS",
+          message: "A request with this Idempotency-Key is still being processed",
+        });
+      }
+      console.log("[IDEMPOTENT_REPLAY]", { scope, key, status: row.http_status });
+      res.setHeader("Idempotent-Replayed", "true");
+      return res.status(row.http_status).type(row.content_type).send(row.response);
+    }
 
-  if (cod.includes(normalized)) return "cod";
-  if (prepaid.includes(normalized)) return "prepaid";
-  return "prepaid";
+    const release = () =>
+      db.prepare("DELETE FROM idempotency_keys WHERE scope = ? AND key = ? AND status = 'pending'").run(scope, key);
+
+    // res.json() ends up in res.send() with the serialized body, so every response passes through here
+    const send = res.send.bind(res);
+    res.send = (body) => {
+      if (typeof body === "string" || Buffer.isBuffer(body)) {
+        if (res.statusCode < 500) {
+          db.prepare(
+            `UPDATE idempotency_keys SET status = 'done', http_status = ?, content_type = ?, response = ?
+             WHERE scope = ? AND key = ?`
+          ).run(res.statusCode, res.get("Content-Type") || "text/plain", String(body), scope, key);
+        } else {
+          release();
+        }
+      }
+      return send(body);
+    };
+    res.on("finish", release);
+    next();
+  };
+}
+
+// -------------------- PAYMENT STATE (driven by provider webhooks) --------------------
+// Once money has moved, late "failed"/"canceled" events must not downgrade the payment, and a payment flagged
+// "amount_mismatch" waits for a person: a later "completed"/"succeeded" event doesn't turn it into "paid".
+const SETTLED_PAYMENT_STATUSES = ["paid", "refunded", "partially_refunded", "disputed", "dispute_lost"];
+
+function findOrderForPayment({ orderNumber, stripeIntentId, paypalOrderId }) {
+  return (
+    (orderNumber && orderRepository.get(orderNumber)) ||
+    (stripeIntentId && orderRepository.findByStripeIntentId(stripeIntentId)) ||
+    (paypalOrderId && orderRepository.findByPaypalOrderId(paypalOrderId)) ||
+    null
+  );
 }
 
 /**
- * Parse KG from number/string
+ * Apply a provider payment event to order.metadata.payment (+ order.status).
+ * `fields` are merged into the payment block; every call appends to payment.history.
  */
-function parseKg(x) {
-  if (x === null || x === undefined) return 0;
+function applyPaymentUpdate(orderNumber, { eventId, type, status, orderStatus, actor = "system", fields = {} }) {
+  let becamePaid = false;
+  const updated = orderRepository.update(orderNumber, (order) => {
+    const now = new Date().toISOString();
+    const payment = { ...(order.metadata?.payment || {}) };
+    const previous = payment.status || "pending";
+
+    const blocked =
+      (SETTLED_PAYMENT_STATUSES.includes(previous) && ["failed", "canceled"].includes(status)) ||
+      (previous === "amount_mismatch" && status === "paid");
+    if (status && !blocked) payment.status = status;
+
+    Object.assign(payment, fields, { updatedAt: now });
+    payment.history = [
+      ...(Array.isArray(payment.history) ? payment.history : []),
+      { at: now, eventId: eventId || null, type, from: previous, to: payment.status },
+    ];
+
+    order.metadata = { ...order.metadata, payment };
+    if (payment.amountRefunded != null) {
+      order.totals = { ...order.totals, ...refundTotals(order.totals, payment.amountRefunded) };
+    }
+    // Back to "paid" after a failed refund or a won dispute isn't a new payment
+    becamePaid = !SETTLED_PAYMENT_STATUSES.includes(previous) && payment.status === "paid";
+    if (becamePaid) {
+      ensureReceipt(order, now);
+      confirmCouponRedemption(orderNumber);
+    }
+    if (orderStatus && !blocked) {
+      if (canTransition(order, orderStatus)) {
+        applyOrderTransition(order, orderStatus, { actor, reason: type });
+      } else if ((order.status || "pending") !== orderStatus) {
+        console.warn("[ORDER_TRANSITION_SKIPPED]", { orderNumber, from: order.status, to: orderStatus, type });
+      }
+    }
+  });
 
-  if (typeof x === "number" && Number.isFinite(x)) {
-    return x > 50 ? x / 1000 : x;
+  if (becamePaid) {
+    commitStock(orderNumber, { actor });
+    // COD customers paid at the locker; BoxNow's payout to us is no news to them
+    if (!isCodOrder(updated)) notifyCustomer("payment_received", updated);
+    queueStoreSync(updated, "paid");
   }
+  return updated;
+}
 
-  let s = String(x).trim().toLowerCase();
-  if (!s) return 0;
+function handleStripeEvent(event) {
+  const obj = event.data?.object || {};
+  const at = new Date((event.created || Date.now() / 1000) * 1000).toISOString();
+
+  let stripeIntentId = null;
+  let update = null;
+
+  switch (event.type) {
+    case "payment_intent.succeeded":
+      stripeIntentId = obj.id;
+      update = { status: "paid", orderStatus: "paid", fields: { stripeIntentId, paidAt: at } };
+      break;
+
+    case "payment_intent.payment_failed":
+      stripeIntentId = obj.id;
+      update = {
+        status: "failed",
+        fields: { stripeIntentId, failedAt: at, lastError: obj.last_payment_error?.message || null },
+      };
+      break;
+
+    case "payment_intent.canceled":
+      stripeIntentId = obj.id;
+      update = {
+        status: "canceled",
+        orderStatus: "cancelled",
+        fields: { stripeIntentId, canceledAt: at, cancellationReason: obj.cancellation_reason || null },
+      };
+      break;
+
+    case "charge.refunded": {
+      stripeIntentId = obj.payment_intent || null;
+      const fullyRefunded = toNum(obj.amount_refunded) >= toNum(obj.amount);
+      update = {
+        status: fullyRefunded ? "refunded" : "partially_refunded",
+        fields: { refundedAt: at, amountRefunded: Number((toNum(obj.amount_refunded) / 100).toFixed(2)) },
+      };
+      break;
+    }
 
-  s = s.replace(",", ".");
-  s = s.replace(/gr\b/g, "g");
+    case "charge.dispute.created":
+    case "charge.dispute.updated":
+    case "charge.dispute.closed": {
+      stripeIntentId = obj.payment_intent || null;
+      const closed = event.type === "charge.dispute.closed";
+      update = {
+        status: !closed ? "disputed" : obj.status === "won" ? "paid" : "dispute_lost",
+        fields: {
+          dispute: {
+            id: obj.id,
+            status: obj.status || null,
+            reason: obj.reason || null,
+            amount: Number((toNum(obj.amount) / 100).toFixed(2)),
+            updatedAt: at,
+          },
+        },
+      };
+      break;
+    }
 
-  const hasKg = /\bkg\b/.test(s);
-  const hasG = /\bg\b/.test(s);
+    default:
+      return;
+  }
 
-  const num = Number(s.replace(/[^0-9.]/g, ""));
-  if (!Number.isFinite(num) || num <= 0) return 0;
+  // Only intents created for an order (their id stored on it) count; metadata.orderNumber is not proof of anything
+  const order = stripeIntentId ? orderRepository.findByStripeIntentId(stripeIntentId) : null;
+  if (!order) {
+    const orderNumber = obj.metadata?.orderNumber || null;
+    console.warn("[STRIPE_WEBHOOK_UNMATCHED]", { eventId: event.id, type: event.type, stripeIntentId, orderNumber });
+    return;
+  }
 
-  if (hasKg) return num;
-  if (hasG) return num / 1000;
+  if (event.type === "payment_intent.succeeded") {
+    const expected = Math.round(toNum(order.totals?.total) * 100);
+    const currency = String(obj.currency || "").toLowerCase();
+    if (currency !== "eur" || obj.amount_received !== expected) {
+      console.error("[STRIPE_AMOUNT_MISMATCH]", {
+        orderNumber: order.orderNumber,
+        received: obj.amount_received,
+        expected,
+        currency,
+      });
+      update = {
+        status: "amount_mismatch",
+        fields: { stripeIntentId, capturedAmount: centsToEur(toNum(obj.amount_received)), capturedCurrency: currency },
+      };
+    }
+  }
 
-  return num > 50 ? num / 1000 : num;
+  const updated = applyPaymentUpdate(order.orderNumber, {
+    eventId: event.id,
+    type: event.type,
+    actor: "stripe-webhook",
+    ...update,
+  });
+  console.log("[STRIPE_PAYMENT_UPDATE]", {
+    eventId: event.id,
+    type: event.type,
+    orderNumber: order.orderNumber,
+    status: updated.metadata.payment.status,
+  });
+
+  // The buyer may never retry; the next create-payment-intent reserves the stock again
+  if (event.type === "payment_intent.payment_failed" && updated.metadata.payment.status === "failed") {
+    releaseStock(order.orderNumber, { reason: "payment failed", actor: "stripe-webhook" });
+  }
+
+  // Record the individual refunds too (incl. ones made in the dashboard)
+  if (event.type === "charge.refunded") {
+    if (obj.refunds?.data?.length) {
+      recordRefunds(order.orderNumber, obj.refunds.data.map(stripeRefundEntry), {
+        eventId: event.id,
+        type: event.type,
+        actor: "stripe-webhook",
+      });
+    } else {
+      syncStripeRefunds(order.orderNumber).catch((err) =>
+        console.error("[STRIPE_REFUND_SYNC_ERROR]", { orderNumber: order.orderNumber, error: err?.message || err })
+      );
+    }
+  }
+}
+
+// -------------------- ORDER LIFECYCLE --------------------
+// The only place order.status changes. Every change appends to order.history.
+const ORDER_TRANSITIONS = {
+  pending: ["paid", "label_created", "cancelled"], // label before payment: COD orders only (see canTransition)
+  paid: ["label_created", "cancelled"],
+  label_created: ["shipped", "cancelled"],
+  shipped: ["delivered", "returned"],
+  delivered: ["returned"],
+  cancelled: [],
+  returned: [],
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Backwards moves only the BoxNow cancel/re-issue flow makes (applyOrderTransition with `labelVoided`).
+// Payment webhooks and the admin status endpoint never move an order back.
+const LABEL_VOIDED_TRANSITIONS = { label_created: ["paid", "pending"] };
+
+function canTransition(order, to) {
+  const from = order.status || "pending";
+  if (!(ORDER_TRANSITIONS[from] || []).includes(to)) return false;
+  // BoxNow bills every label, so unpaid card/PayPal orders don't get one; COD customers pay at the locker
+  if (from === "pending" && to === "label_created") return isCodOrder(order);
+  return true;
 }
 
 /**
- * ✅ TOTAL WEIGHT RULE
+ * Mutates `order` in place (call inside orderRepository.update).
+ * Same-state moves are a no-op and return false; invalid moves throw 409 INVALID_TRANSITION.
  */
-function computeTotalWeightKg(order) {
-  const fromCart = parseKg(order?.cartWeightKg);
-  if (fromCart > 0) return fromCart;
+function applyOrderTransition(order, to, { actor = "system", reason = null, labelVoided = false } = {}) {
+  const from = order.status || "pending";
+  if (from === to) return false;
+
+  if (!ORDER_STATUSES.includes(to)) throw httpError(400, "INVALID_STATUS", `Unknown order status: ${to}`);
+  const voidedMove = labelVoided && (LABEL_VOIDED_TRANSITIONS[from] || []).includes(to);
+  if (!voidedMove && !canTransition(order, to)) {
+    throw httpError(409, "INVALID_TRANSITION", `Cannot move order ${order.orderNumber} from ${from} to ${to}`);
+  }
 
-  const fromOrder = parseKg(order?.weightKg ?? order?.weight);
-  if (fromOrder > 0) return fromOrder;
+  const at = new Date().toISOString();
+  order.status = to;
+  order.statusUpdatedAt = at;
+  order.history = [...(Array.isArray(order.history) ? order.history : []), { at, actor, from, to, reason }];
+  if (to === "cancelled") {
+    releaseStock(order.orderNumber, { reason: reason || "order cancelled", actor });
+    voidReceipt(order, at);
+  }
+  // Payment confirmed by an admin, or the COD customer paid at the locker
+  if (to === "paid" || (to === "delivered" && isCodOrder(order))) ensureReceipt(order, at);
+  if (to === "paid") confirmCouponRedemption(order.orderNumber);
 
-  const items = Array.isArray(order?.items) ? order.items : [];
-  let sum = 0;
+  console.log("[ORDER_STATUS]", { orderNumber: order.orderNumber, from, to, actor, reason });
+  return true;
+}
 
-  for (const it of items) {
-    const qty = Math.max(1, Number(it?.quantity || 1) || 1);
-    const w = parseKg(it?.weightKg) || parseKg(it?.weight);
-    if (w > 0) sum += w * qty;
-  }
+function transitionOrder(orderNumber, to, opts) {
+  return orderRepository.update(orderNumber, (order) => applyOrderTransition(order, to, opts));
+}
 
-  return sum;
+// -------------------- MONEY HELPERS (SERVER-SIDE TRUTH) --------------------
+function toNum(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : 0;
 }
 
-// -------------------- TOKEN CACHE --------------------
-let cachedToken = null;
-let tokenExpiryMs = 0;
+function priceToCents(item) {
+  if (item?.price_in_cents != null) return Math.max(0, Math.round(toNum(item.price_in_cents)));
+  if (item?.variant?.price_in_cents != null) return Math.max(0, Math.round(toNum(item.variant.price_in_cents)));
 
-async function authToken() {
-  ensureEnv();
+  const eur =
+    item?.price != null
+      ? toNum(item.price)
+      : item?.variant?.price != null
+      ? toNum(item.variant.price)
+      : 0;
 
-  const now = Date.now();
-  if (cachedToken && now < tokenExpiryMs - 30_000) return cachedToken;
+  return Math.max(0, Math.round(eur * 100));
+}
 
-  const res = await fetch(`${API_BASE}/api/v1/auth-sessions`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json", accept: "application/json" },
-    body: JSON.stringify({
-      grant_type: "client_credentials",
-      client_id: CLIENT_ID,
-      client_secret: CLIENT_SECRET,
-    }),
+// -------------------- PRODUCT CATALOG (SERVER-SIDE TRUTH) --------------------
+// Seeded from CATALOG_FILE on boot and/or synced from the Horizons store (admin endpoint).
+// File: { "products": [{ "sku", "name", "priceCents" | "price", "weightKg", "dimensionsCm": { length, width, height },
+//                        "vatRate", "active" }] }  (prices include VAT; vatRate in %, default DEFAULT_VAT_RATE)
+const CATALOG_FILE = (process.env.CATALOG_FILE || "").trim() || path.join(DATA_DIR, "catalog.json");
+const DEFAULT_VAT_RATE = Number(process.env.DEFAULT_VAT_RATE || 24);
+
+function catalogRowToProduct(row) {
+  if (!row) return null;
+  return {
+    sku: row.sku,
+    name: row.name,
+    priceCents: row.price_cents,
+    weightKg: row.weight_kg,
+    dimensionsCm: { length: row.length_cm, width: row.width_cm, height: row.height_cm },
+    active: !!row.active,
+    vatRate: row.vat_rate,
+    source: row.source,
+    updatedAt: row.updated_at,
+  };
+}
+
+function createSqliteCatalogRepository(conn) {
+  const upsertStmt = conn.prepare(`
+    INSERT INTO catalog
+      (sku, name, price_cents, weight_kg, length_cm, width_cm, height_cm, active, vat_rate, source, updated_at)
+    VALUES
+      (@sku, @name, @price_cents, @weight_kg, @length_cm, @width_cm, @height_cm, @active, @vat_rate, @source, @updated_at)
+    ON CONFLICT (sku) DO UPDATE SET
+      name = excluded.name, price_cents = excluded.price_cents, weight_kg = excluded.weight_kg,
+      length_cm = excluded.length_cm, width_cm = excluded.width_cm, height_cm = excluded.height_cm,
+      active = excluded.active, vat_rate = COALESCE(excluded.vat_rate, catalog.vat_rate),
+      source = excluded.source, updated_at = excluded.updated_at
+  `);
+
+  const upsertMany = conn.transaction((products, source) => {
+    const now = new Date().toISOString();
+    for (const p of products) {
+      upsertStmt.run({
+        sku: p.sku,
+        name: p.name,
+        price_cents: p.priceCents,
+        weight_kg: p.weightKg,
+        length_cm: p.dimensionsCm?.length ?? null,
+        width_cm: p.dimensionsCm?.width ?? null,
+        height_cm: p.dimensionsCm?.height ?? null,
+        active: p.active === false ? 0 : 1,
+        vat_rate: p.vatRate ?? null,
+        source,
+        updated_at: now,
+      });
+    }
+    return products.length;
+  });
+
+  return {
+    get: (sku) => catalogRowToProduct(conn.prepare("SELECT * FROM catalog WHERE sku = ?").get(String(sku))),
+    list: () => conn.prepare("SELECT * FROM catalog ORDER BY sku").all().map(catalogRowToProduct),
+    upsertMany: (products, source) => upsertMany(products, source),
+  };
+}
+
+const catalogRepository = createSqliteCatalogRepository(db);
+
+// Raw file/Horizons product -> catalog product (null when sku/price/weight/VAT rate can't be read).
+// A missing vatRate is stored as null, so a sync without rates keeps the ones already set.
+function normalizeCatalogProduct(raw) {
+  const sku = String(raw?.sku ?? "").trim();
+  const priceCents = raw?.priceCents != null ? Math.round(toNum(raw.priceCents)) : priceToCents(raw);
+  const weightKg = parseKg(raw?.weightKg ?? raw?.weight);
+  const rawVat = raw?.vatRate ?? raw?.vat_rate ?? raw?.taxRate ?? null;
+  const vatRate = rawVat == null || rawVat === "" ? null : Number(rawVat);
+  if (!sku || !(priceCents > 0) || !(weightKg > 0)) return null;
+  if (vatRate != null && !(vatRate >= 0 && vatRate < 100)) return null;
+
+  const dims = raw?.dimensionsCm || raw?.dimensions || {};
+  return {
+    sku,
+    name: String(raw?.name || raw?.title || sku),
+    priceCents,
+    weightKg,
+    dimensionsCm: {
+      length: dims.length != null ? toNum(dims.length) : null,
+      width: dims.width != null ? toNum(dims.width) : null,
+      height: dims.height != null ? toNum(dims.height) : null,
+    },
+    active: raw?.active !== false && raw?.status !== "draft" && raw?.status !== "archived",
+    vatRate,
+  };
+}
+
+function loadCatalogFile() {
+  if (!fs.existsSync(CATALOG_FILE)) return;
+
+  const { products = [] } = JSON.parse(fs.readFileSync(CATALOG_FILE, "utf8"));
+  const valid = products.map(normalizeCatalogProduct).filter(Boolean);
+  catalogRepository.upsertMany(valid, "file");
+
+  console.log("[CATALOG_LOADED]", {
+    file: CATALOG_FILE,
+    products: valid.length,
+    skipped: products.length - valid.length,
   });
+}
+
+loadCatalogFile();
+
+// Cart item -> SKU (Horizons carts carry the variant; plain carts send sku/id)
+function itemSku(item) {
+  return String(item?.sku ?? item?.variant?.sku ?? item?.variant?.id ?? item?.variantId ?? item?.id ?? "").trim();
+}
+
+/**
+ * Look every cart item up in the catalog. Prices/weights come from the catalog;
+ * a client price that differs is reported in `warnings` and otherwise ignored.
+ * Returns { items, unknown, inactive, warnings }.
+ */
+function resolveCatalogItems(items) {
+  const resolved = [];
+  const unknown = [];
+  const inactive = [];
+  const warnings = [];
+
+  for (const item of Array.isArray(items) ? items : []) {
+    const sku = itemSku(item);
+    const product = sku ? catalogRepository.get(sku) : null;
+
+    if (!product) {
+      unknown.push(sku || item?.name || null);
+      continue;
+    }
+    if (!product.active) {
+      inactive.push(sku);
+      continue;
+    }
+
+    const clientPriceCents = priceToCents(item);
+    const hasClientPrice = [item?.price, item?.price_in_cents, item?.variant?.price, item?.variant?.price_in_cents].some(
+      (x) => x != null
+    );
+    if (hasClientPrice && clientPriceCents !== product.priceCents) {
+      warnings.push({ sku, type: "PRICE_MISMATCH", clientPriceCents, priceCents: product.priceCents });
+    }
+
+    resolved.push({
+      id: item?.id ?? sku,
+      sku,
+      name: product.name,
+      price: Number((product.priceCents / 100).toFixed(2)),
+      price_in_cents: product.priceCents,
+      quantity: Math.max(1, Math.round(toNum(item?.quantity || 1))),
+      weightKg: product.weightKg,
+      dimensionsCm: product.dimensionsCm,
+      vatRate: product.vatRate ?? DEFAULT_VAT_RATE,
+    });
+  }
+
+  if (warnings.length) console.warn("[CATALOG_PRICE_MISMATCH]", warnings);
+  return { items: resolved, unknown, inactive, warnings };
+}
+
+// Stored order lines with the weight saved at order time; older orders without one fall back to the
+// catalog (active or not)
+function storedPackingItems(order) {
+  return order.items.map((it) => {
+    if (parseKg(it?.weightKg) > 0) return it;
+    const product = catalogRepository.get(itemSku(it));
+    return product ? { ...it, weightKg: product.weightKg } : it;
+  });
+}
+
+function catalogItemsError({ unknown, inactive }) {
+  return {
+    success: false,
+    error: unknown.length ? "UNKNOWN_SKU" : "INACTIVE_SKU",
+    unknownSkus: unknown,
+    inactiveSkus: inactive,
+  };
+}
+
+// Horizons product list -> catalog (variants become SKUs)
+async function syncCatalogFromHorizons() {
+  if (!HORIZONS_STORE_ID || !HORIZONS_API_KEY) throw new Error("Missing HORIZONS_STORE_ID / HORIZONS_API_KEY");
+
+  const url = `${HORIZONS_API_URL}/stores/${encodeURIComponent(HORIZONS_STORE_ID)}/products`;
+  const r = await fetch(url, { headers: { Authorization: `Bearer ${HORIZONS_API_KEY}`, accept: "application/json" } });
+  const text = await r.text();
+  if (!r.ok) throw new Error(`Store API error ${r.status}: ${text.slice(0, 200)}`);
+
+  const data = JSON.parse(text);
+  const products = Array.isArray(data) ? data : data?.products || data?.data || [];
+
+  const raw = products.flatMap((p) => {
+    const variants = Array.isArray(p?.variants) && p.variants.length ? p.variants : [p];
+    return variants.map((v) => ({
+      ...v,
+      sku: v?.sku || v?.id,
+      name: v === p ? p?.name || p?.title : [p?.name || p?.title, v?.title || v?.name].filter(Boolean).join(" – "),
+      weight: v?.weightKg ?? v?.weight ?? p?.weightKg ?? p?.weight,
+      dimensions: v?.dimensions ?? p?.dimensions,
+      vatRate: v?.vatRate ?? p?.vatRate,
+      active: p?.active !== false && v?.active !== false && p?.status !== "draft" && p?.status !== "archived",
+    }));
+  });
+
+  const valid = raw.map(normalizeCatalogProduct).filter(Boolean);
+  catalogRepository.upsertMany(valid, "horizons");
+  return { synced: valid.length, skipped: raw.length - valid.length };
+}
+
+app.get("/api/admin/catalog", requireAdmin, (_req, res) => {
+  try {
+    return res.json({ products: catalogRepository.list() });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// { products: [...] } upserts directly; empty body pulls from the Horizons store
+app.post("/api/admin/catalog/sync", requireAdmin, async (req, res) => {
+  try {
+    if (Array.isArray(req.body?.products)) {
+      const valid = req.body.products.map(normalizeCatalogProduct).filter(Boolean);
+      catalogRepository.upsertMany(valid, "admin");
+      return res.json({ success: true, synced: valid.length, skipped: req.body.products.length - valid.length });
+    }
+    return res.json({ success: true, ...(await syncCatalogFromHorizons()) });
+  } catch (e) {
+    return res.status(502).json({ success: false, error: e.message });
+  }
+});
+
+// -------------------- COUPONS --------------------
+// type: percent (value = %), fixed (value = cents), free_shipping.
+// A redemption counts towards usage limits once its order is paid (or COD); an unpaid order holds it only as long
+// as its stock reservation (expires_at), and cancelled orders never count.
+const COUPON_TYPES = ["percent", "fixed", "free_shipping"];
+
+function normalizeCouponCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+function couponRowToCoupon(row) {
+  if (!row) return null;
+  return {
+    code: row.code,
+    type: row.type,
+    value: row.value,
+    minSubtotalCents: row.min_subtotal_cents,
+    startsAt: row.starts_at,
+    expiresAt: row.expires_at,
+    maxUses: row.max_uses,
+    maxUsesPerEmail: row.max_uses_per_email,
+    skus: row.skus ? JSON.parse(row.skus) : null,
+    active: !!row.active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function getCoupon(code) {
+  return couponRowToCoupon(db.prepare("SELECT * FROM coupons WHERE code = ?").get(normalizeCouponCode(code)));
+}
+
+function countCouponRedemptions(code, email = null) {
+  const sql = `
+    SELECT COUNT(*) AS n FROM coupon_redemptions r
+    JOIN orders o ON o.order_number = r.order_number
+    WHERE r.code = ? AND o.status != 'cancelled' AND (r.expires_at IS NULL OR r.expires_at > ?)
+      ${email ? "AND r.email = ?" : ""}
+  `;
+  const now = new Date().toISOString();
+  const args = email ? [code, now, String(email).trim().toLowerCase()] : [code, now];
+  return db.prepare(sql).get(...args).n;
+}
+
+/**
+ * Price a coupon against catalog-resolved items.
+ * Returns { valid: true, coupon, discountCents, freeShipping } or { valid: false, reason, message }.
+ */
+function evaluateCoupon(code, { items, subtotalCents, email = null, now = new Date() }) {
+  const invalid = (reason, message) => ({ valid: false, reason, message });
+
+  const coupon = getCoupon(code);
+  if (!coupon) return invalid("COUPON_NOT_FOUND", "Unknown coupon code");
+  if (!coupon.active) return invalid("COUPON_INACTIVE", "Coupon is no longer active");
+  if (coupon.startsAt && now < new Date(coupon.startsAt)) {
+    return invalid("COUPON_NOT_STARTED", "Coupon is not active yet");
+  }
+  if (coupon.expiresAt && now > new Date(coupon.expiresAt)) return invalid("COUPON_EXPIRED", "Coupon has expired");
+
+  if (subtotalCents < coupon.minSubtotalCents) {
+    return invalid("COUPON_MIN_SUBTOTAL", `Minimum subtotal is ${safeMoney(coupon.minSubtotalCents / 100)} EUR`);
+  }
+  if (coupon.maxUses != null && countCouponRedemptions(coupon.code) >= coupon.maxUses) {
+    return invalid("COUPON_USAGE_LIMIT", "Coupon usage limit reached");
+  }
+  if (coupon.maxUsesPerEmail != null) {
+    if (!email) return invalid("COUPON_EMAIL_REQUIRED", "Customer email is required for this coupon");
+    if (countCouponRedemptions(coupon.code, email) >= coupon.maxUsesPerEmail) {
+      return invalid("COUPON_CUSTOMER_LIMIT", "Coupon already used by this customer");
+    }
+  }
+
+  const eligible = coupon.skus?.length ? items.filter((it) => coupon.skus.includes(it.sku)) : items;
+  if (!eligible.length) return invalid("COUPON_NOT_APPLICABLE", "Coupon doesn't apply to these products");
+
+  const eligibleCents = eligible.reduce((sum, it) => sum + it.price_in_cents * it.quantity, 0);
+
+  let discountCents = 0;
+  if (coupon.type === "percent") discountCents = Math.round((eligibleCents * Math.min(100, coupon.value)) / 100);
+  if (coupon.type === "fixed") discountCents = Math.min(eligibleCents, Math.round(coupon.value));
+
+  return { valid: true, coupon, discountCents, freeShipping: coupon.type === "free_shipping" };
+}
+
+function recordCouponRedemption({ code, orderNumber, email, discountCents, expiresAt = null }) {
+  db.prepare(
+    `INSERT INTO coupon_redemptions (code, order_number, email, discount_cents, redeemed_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  ).run(
+    code,
+    orderNumber,
+    email ? String(email).trim().toLowerCase() : null,
+    discountCents,
+    new Date().toISOString(),
+    expiresAt
+  );
+}
+
+// Paid: the redemption counts for good (also when the order is paid after its hold ran out)
+function confirmCouponRedemption(orderNumber) {
+  db.prepare("UPDATE coupon_redemptions SET expires_at = NULL WHERE order_number = ?").run(orderNumber);
+}
+
+// Preview only – nothing is reserved until /api/orders/create
+app.post("/api/cart/apply-coupon", (req, res) => {
+  try {
+    const { couponCode, items = [], email = null } = req.body || {};
+    if (!couponCode) return res.status(400).json({ valid: false, error: "Missing couponCode" });
+
+    const catalog = resolveCatalogItems(items);
+    if (catalog.unknown.length || catalog.inactive.length) return res.status(400).json(catalogItemsError(catalog));
+
+    const subtotalCents = catalog.items.reduce((sum, it) => sum + it.price_in_cents * it.quantity, 0);
+    const result = evaluateCoupon(couponCode, { items: catalog.items, subtotalCents, email });
+
+    if (!result.valid) return res.json({ valid: false, code: normalizeCouponCode(couponCode), ...result });
+
+    return res.json({
+      valid: true,
+      code: result.coupon.code,
+      type: result.coupon.type,
+      subtotal: Number((subtotalCents / 100).toFixed(2)),
+      discount: Number((result.discountCents / 100).toFixed(2)),
+      freeShipping: result.freeShipping,
+    });
+  } catch (e) {
+    return res.status(500).json({ valid: false, error: e.message });
+  }
+});
+
+app.get("/api/admin/coupons", requireAdmin, (_req, res) => {
+  try {
+    const coupons = db.prepare("SELECT * FROM coupons ORDER BY code").all().map(couponRowToCoupon);
+    return res.json({ coupons: coupons.map((c) => ({ ...c, uses: countCouponRedemptions(c.code) })) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Upsert: { code, type, percent | amount (EUR), minSubtotal (EUR), startsAt, expiresAt, maxUses, maxUsesPerEmail, skus, active }
+app.post("/api/admin/coupons", requireAdmin, (req, res) => {
+  try {
+    const b = req.body || {};
+    const code = normalizeCouponCode(b.code);
+    if (!code) return res.status(400).json({ error: "Missing code" });
+    if (!COUPON_TYPES.includes(b.type)) {
+      return res.status(400).json({ error: `type must be one of ${COUPON_TYPES.join(", ")}` });
+    }
+
+    const value =
+      b.type === "percent" ? toNum(b.percent ?? b.value) : b.type === "fixed" ? Math.round(toNum(b.amount) * 100) : 0;
+    if (b.type !== "free_shipping" && !(value > 0)) return res.status(400).json({ error: "Missing percent/amount" });
+
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO coupons (code, type, value, min_subtotal_cents, starts_at, expires_at, max_uses, max_uses_per_email, skus, active, created_at, updated_at)
+      VALUES (@code, @type, @value, @min_subtotal_cents, @starts_at, @expires_at, @max_uses, @max_uses_per_email, @skus, @active, @now, @now)
+      ON CONFLICT (code) DO UPDATE SET
+        type = excluded.type, value = excluded.value, min_subtotal_cents = excluded.min_subtotal_cents,
+        starts_at = excluded.starts_at, expires_at = excluded.expires_at, max_uses = excluded.max_uses,
+        max_uses_per_email = excluded.max_uses_per_email, skus = excluded.skus, active = excluded.active,
+        updated_at = excluded.updated_at
+    `).run({
+      code,
+      type: b.type,
+      value,
+      min_subtotal_cents: Math.round(toNum(b.minSubtotal) * 100),
+      starts_at: parseDateFilter(b.startsAt),
+      expires_at: parseDateFilter(b.expiresAt, true),
+      max_uses: b.maxUses != null ? Math.max(0, Math.round(toNum(b.maxUses))) : null,
+      max_uses_per_email: b.maxUsesPerEmail != null ? Math.max(0, Math.round(toNum(b.maxUsesPerEmail))) : null,
+      skus: Array.isArray(b.skus) && b.skus.length ? JSON.stringify(b.skus.map(String)) : null,
+      active: b.active === false ? 0 : 1,
+      now,
+    });
+
+    return res.json({ success: true, coupon: getCoupon(code) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Deactivate (redemption history is kept)
+app.delete("/api/admin/coupons/:code", requireAdmin, (req, res) => {
+  try {
+    const r = db.prepare("UPDATE coupons SET active = 0, updated_at = ? WHERE code = ?").run(
+      new Date().toISOString(),
+      normalizeCouponCode(req.params.code)
+    );
+    if (!r.changes) return res.status(404).json({ error: "Coupon not found" });
+    return res.json({ success: true });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// -------------------- STOCK --------------------
+// Only SKUs with a stock row are tracked (the rest are unlimited); available = on_hand - reserved.
+// Creating an order reserves its quantities, payment commits them (on_hand goes down), and a failed payment,
+// cancellation or expiry (STOCK_RESERVATION_MINUTES, never for COD) releases them. A retry reserves them again
+// before it takes the payment (renewStockReservation).
+// Every change is a stock_movements row.
+const STOCK_RESERVATION_MINUTES = Number(process.env.STOCK_RESERVATION_MINUTES ?? 60); // 0 = no expiry
+const STOCK_EXPIRY_POLL_SECONDS = Number(process.env.STOCK_EXPIRY_POLL_SECONDS || 60);
+
+function stockRowToLevel(row) {
+  if (!row) return null;
+  return {
+    sku: row.sku,
+    ...(row.name !== undefined ? { name: row.name } : {}),
+    onHand: row.on_hand,
+    reserved: row.reserved,
+    available: row.on_hand - row.reserved,
+    lowStockThreshold: row.low_stock_threshold,
+    lowStockAlertedAt: row.low_stock_alerted_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function getStockLevel(sku) {
+  return stockRowToLevel(db.prepare("SELECT * FROM stock WHERE sku = ?").get(String(sku)));
+}
+
+function stockReservationExpiry(paymentMethod) {
+  if (!STOCK_RESERVATION_MINUTES || mapPaymentModeToBoxNow(paymentMethod) === "cod") return null;
+  return new Date(Date.now() + STOCK_RESERVATION_MINUTES * 60_000).toISOString();
+}
+
+// One alert email each time available drops to the threshold (re-armed once it is above it again)
+function checkLowStock(level) {
+  if (level.lowStockThreshold == null) return;
+  if (level.available > level.lowStockThreshold) {
+    if (level.lowStockAlertedAt) {
+      db.prepare("UPDATE stock SET low_stock_alerted_at = NULL WHERE sku = ?").run(level.sku);
+    }
+    return;
+  }
+  if (level.lowStockAlertedAt) return;
+
+  const now = new Date().toISOString();
+  db.prepare("UPDATE stock SET low_stock_alerted_at = ? WHERE sku = ?").run(now, level.sku);
+  console.warn("[STOCK_LOW]", { sku: level.sku, available: level.available, threshold: level.lowStockThreshold });
+  if (!mailEnabled()) return;
+
+  // Picked up by the outbox worker (this may run inside a transaction, so no immediate send)
+  const { onHand, reserved, available, lowStockThreshold: threshold } = level;
+  const name = catalogRepository.get(level.sku)?.name || level.sku;
+  enqueueEmail(
+    "low_stock",
+    { sku: level.sku, name, onHand, reserved, available, threshold },
+    { dedupeKey: `low_stock:${level.sku}:${now}` }
+  );
+}
+
+// Applies the deltas to one tracked SKU and logs the movement (call inside a transaction)
+function moveStock(sku, { onHand = 0, reserved = 0, type, orderNumber = null, reason = null, actor = "system" }) {
+  const now = new Date().toISOString();
+  db.prepare("UPDATE stock SET on_hand = on_hand + ?, reserved = reserved + ?, updated_at = ? WHERE sku = ?").run(
+    onHand,
+    reserved,
+    now,
+    sku
+  );
+  const level = getStockLevel(sku);
+  db.prepare(
+    `INSERT INTO stock_movements
+       (sku, type, on_hand_delta, reserved_delta, on_hand_after, reserved_after, order_number, reason, actor, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(sku, type, onHand, reserved, level.onHand, level.reserved, orderNumber, reason, actor, now);
+
+  checkLowStock(level);
+  return level;
+}
+
+/**
+ * Reserve `items` ({ sku, quantity }) for the order. Throws 409 OUT_OF_STOCK (reserving nothing)
+ * when a tracked SKU can't cover it; untracked SKUs are skipped. Returns the number of SKUs reserved.
+ */
+const reserveStock = db.transaction((orderNumber, items, { expiresAt = null } = {}) => {
+  const wanted = new Map();
+  for (const it of items) wanted.set(it.sku, (wanted.get(it.sku) || 0) + it.quantity);
+
+  const tracked = [];
+  const shortages = [];
+  for (const [sku, quantity] of wanted) {
+    const level = getStockLevel(sku);
+    if (!level) continue;
+    if (level.available < quantity) {
+      shortages.push({ sku, requested: quantity, available: Math.max(0, level.available) });
+    }
+    tracked.push([sku, quantity]);
+  }
+  if (shortages.length) {
+    const err = httpError(409, "OUT_OF_STOCK", `Not enough stock for ${shortages.map((s) => s.sku).join(", ")}`);
+    err.body = { error: "OUT_OF_STOCK", message: err.message, items: shortages };
+    throw err;
+  }
+
+  const now = new Date().toISOString();
+  for (const [sku, quantity] of tracked) {
+    db.prepare(
+      `INSERT INTO stock_reservations (order_number, sku, quantity, status, expires_at, created_at, updated_at)
+       VALUES (?, ?, ?, 'reserved', ?, ?, ?)
+       ON CONFLICT (order_number, sku) DO UPDATE SET
+         quantity = excluded.quantity, status = 'reserved', expires_at = excluded.expires_at, updated_at = excluded.updated_at`
+    ).run(orderNumber, sku, quantity, expiresAt, now, now);
+    moveStock(sku, { reserved: quantity, type: "reserve", orderNumber });
+  }
+  return tracked.length;
+});
+
+// Reserved -> released (type "release" or "expire"); returns the number of SKUs released
+const releaseStock = db.transaction((orderNumber, { type = "release", reason = null, actor = "system" } = {}) => {
+  const rows = db
+    .prepare("SELECT * FROM stock_reservations WHERE order_number = ? AND status = 'reserved'")
+    .all(orderNumber);
+
+  const now = new Date().toISOString();
+  for (const r of rows) {
+    db.prepare(
+      "UPDATE stock_reservations SET status = 'released', updated_at = ? WHERE order_number = ? AND sku = ?"
+    ).run(now, orderNumber, r.sku);
+    if (getStockLevel(r.sku)) moveStock(r.sku, { reserved: -r.quantity, type, orderNumber, reason, actor });
+  }
+
+  if (rows.length) console.log("[STOCK_RELEASED]", { orderNumber, type, reason, skus: rows.map((r) => r.sku) });
+  return rows.length;
+});
+
+// Payment went through: the quantities leave on_hand (also when the reservation had already been released)
+const commitStock = db.transaction((orderNumber, { actor = "system" } = {}) => {
+  const rows = db
+    .prepare("SELECT * FROM stock_reservations WHERE order_number = ? AND status IN ('reserved', 'released')")
+    .all(orderNumber);
+
+  const now = new Date().toISOString();
+  for (const r of rows) {
+    const late = r.status === "released";
+    db.prepare(
+      "UPDATE stock_reservations SET status = 'committed', updated_at = ? WHERE order_number = ? AND sku = ?"
+    ).run(now, orderNumber, r.sku);
+    if (!getStockLevel(r.sku)) continue;
+
+    const level = moveStock(r.sku, {
+      onHand: -r.quantity,
+      reserved: late ? 0 : -r.quantity,
+      type: "commit",
+      orderNumber,
+      reason: late ? "paid after the reservation was released" : null,
+      actor,
+    });
+    if (level.available < 0) console.warn("[STOCK_OVERSOLD]", { sku: r.sku, orderNumber, available: level.available });
+  }
+  return rows.length;
+});
+
+// Before taking a payment: extend the reservation and reserve again what was released (409 OUT_OF_STOCK)
+const renewStockReservation = db.transaction((order) => {
+  const expiresAt = stockReservationExpiry(order.metadata?.payment?.method);
+  const now = new Date().toISOString();
+  db.prepare(
+    "UPDATE stock_reservations SET expires_at = ?, updated_at = ? WHERE order_number = ? AND status = 'reserved'"
+  ).run(expiresAt, now, order.orderNumber);
+  // A coupon hold that already ran out isn't renewed (its use may have gone to someone else)
+  db.prepare("UPDATE coupon_redemptions SET expires_at = ? WHERE order_number = ? AND expires_at > ?").run(
+    expiresAt,
+    order.orderNumber,
+    now
+  );
+
+  const released = db
+    .prepare("SELECT sku, quantity FROM stock_reservations WHERE order_number = ? AND status = 'released'")
+    .all(order.orderNumber);
+  if (released.length) reserveStock(order.orderNumber, released, { expiresAt });
+});
+
+function expireStockReservations() {
+  const due = db
+    .prepare(
+      `SELECT DISTINCT order_number FROM stock_reservations
+       WHERE status = 'reserved' AND expires_at IS NOT NULL AND expires_at <= ?`
+    )
+    .all(new Date().toISOString());
+
+  for (const { order_number: orderNumber } of due) {
+    releaseStock(orderNumber, { type: "expire", reason: `unpaid after ${STOCK_RESERVATION_MINUTES} min` });
+    // Don't take a card payment for stock we no longer hold (the canceled webhook then cancels the order)
+    cancelOpenStripeIntent(orderNumber).catch((err) =>
+      console.error("[STRIPE_INTENT_CANCEL_ERROR]", { orderNumber, error: err?.message || err })
+    );
+  }
+  return due.length;
+}
+
+function startStockReservationExpiry() {
+  const timer = setInterval(() => {
+    try {
+      expireStockReservations();
+    } catch (err) {
+      console.error("[STOCK_EXPIRY_ERROR]", err?.message || err);
+    }
+  }, STOCK_EXPIRY_POLL_SECONDS * 1000);
+  timer.unref();
+}
+
+// ?low=1 only lists SKUs at or below their alert threshold
+app.get("/api/admin/stock", requireAdmin, (req, res) => {
+  try {
+    const rows = db
+      .prepare(
+        "SELECT stock.*, catalog.name FROM stock LEFT JOIN catalog ON catalog.sku = stock.sku ORDER BY stock.sku"
+      )
+      .all();
+    let levels = rows.map(stockRowToLevel);
+    if (parseBoolFilter(req.query.low)) {
+      levels = levels.filter((l) => l.lowStockThreshold != null && l.available <= l.lowStockThreshold);
+    }
+    return res.json({ stock: levels });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ?sku=&orderNumber=&limit= (newest first)
+app.get("/api/admin/stock/movements", requireAdmin, (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (req.query.sku) {
+      where.push("sku = ?");
+      params.push(String(req.query.sku));
+    }
+    if (req.query.orderNumber) {
+      where.push("order_number = ?");
+      params.push(String(req.query.orderNumber));
+    }
+
+    const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 100));
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const rows = db.prepare(`SELECT * FROM stock_movements ${whereSql} ORDER BY id DESC LIMIT ?`).all(...params, limit);
+
+    return res.json({
+      movements: rows.map((r) => ({
+        id: r.id,
+        sku: r.sku,
+        type: r.type,
+        onHandDelta: r.on_hand_delta,
+        reservedDelta: r.reserved_delta,
+        onHandAfter: r.on_hand_after,
+        reservedAfter: r.reserved_after,
+        orderNumber: r.order_number,
+        reason: r.reason,
+        actor: r.actor,
+        createdAt: r.created_at,
+      })),
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/admin/stock/:sku", requireAdmin, (req, res) => {
+  try {
+    const level = getStockLevel(req.params.sku);
+    if (!level) return res.status(404).json({ error: "SKU is not stock-tracked" });
+
+    const reservations = db
+      .prepare("SELECT * FROM stock_reservations WHERE sku = ? AND status = 'reserved' ORDER BY created_at")
+      .all(level.sku)
+      .map((r) => ({
+        orderNumber: r.order_number,
+        quantity: r.quantity,
+        expiresAt: r.expires_at,
+        createdAt: r.created_at,
+      }));
+
+    return res.json({ ...level, reservations });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// { delta } or { onHand } (absolute count), + reason. The first adjustment starts tracking the SKU.
+app.post("/api/admin/stock/:sku/adjust", requireAdmin, (req, res) => {
+  try {
+    const sku = String(req.params.sku).trim();
+    if (!catalogRepository.get(sku)) return res.status(404).json({ error: "Unknown SKU" });
+
+    const { delta, onHand, reason = null } = req.body || {};
+    if ((delta == null) === (onHand == null)) return res.status(400).json({ error: "Send either delta or onHand" });
+    if (!Number.isInteger(delta ?? onHand)) return res.status(400).json({ error: "delta/onHand must be an integer" });
+
+    const level = db.transaction(() => {
+      db.prepare("INSERT OR IGNORE INTO stock (sku, on_hand, reserved, updated_at) VALUES (?, 0, 0, ?)").run(
+        sku,
+        new Date().toISOString()
+      );
+      const current = getStockLevel(sku);
+      const change = onHand != null ? onHand - current.onHand : delta;
+      if (current.onHand + change < 0) {
+        throw httpError(400, "NEGATIVE_STOCK", `On hand would drop below zero (${current.onHand} + ${change})`);
+      }
+      return moveStock(sku, {
+        onHand: change,
+        type: onHand != null ? "count" : "adjust",
+        reason: reason ? String(reason) : null,
+        actor: adminActor(req),
+      });
+    })();
+
+    console.log("[STOCK_ADJUSTED]", { sku, onHand: level.onHand, available: level.available, actor: adminActor(req) });
+    return res.json({ success: true, stock: level });
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message, ...(e.code ? { code: e.code } : {}) });
+  }
+});
+
+// { threshold } – alert VOUCHER_EMAIL_TO when available drops to it (null turns the alert off)
+app.post("/api/admin/stock/:sku/threshold", requireAdmin, (req, res) => {
+  try {
+    const threshold = req.body?.threshold ?? null;
+    if (threshold != null && !(Number.isInteger(threshold) && threshold >= 0)) {
+      return res.status(400).json({ error: "threshold must be a non-negative integer or null" });
+    }
+
+    const level = getStockLevel(req.params.sku);
+    if (!level) return res.status(404).json({ error: "SKU is not stock-tracked (adjust its stock first)" });
+
+    db.prepare(
+      "UPDATE stock SET low_stock_threshold = ?, low_stock_alerted_at = NULL, updated_at = ? WHERE sku = ?"
+    ).run(threshold, new Date().toISOString(), level.sku);
+    checkLowStock(getStockLevel(level.sku));
+    return res.json({ success: true, stock: getStockLevel(level.sku) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// -------------------- SHIPPING RATES --------------------
+// Priced per packed BoxNow parcel (same packing as the delivery request), amounts in EUR.
+// File: { "bands": [{ "maxKg", "price" }], "codSurcharge", "freeShippingThreshold" } (missing keys use the defaults)
+const SHIPPING_RATES_FILE =
+  (process.env.SHIPPING_RATES_FILE || "").trim() || path.join(DATA_DIR, "shipping-rates.json");
+
+const DEFAULT_SHIPPING_RATES = {
+  bands: [
+    { maxKg: 2, price: 2.9 },
+    { maxKg: 5, price: 3.5 },
+    { maxKg: 12, price: 4.9 },
+  ],
+  codSurcharge: 1.5,
+  freeShippingThreshold: 50,
+};
+
+function loadShippingRates() {
+  const raw = fs.existsSync(SHIPPING_RATES_FILE)
+    ? { ...DEFAULT_SHIPPING_RATES, ...JSON.parse(fs.readFileSync(SHIPPING_RATES_FILE, "utf8")) }
+    : DEFAULT_SHIPPING_RATES;
+
+  const bands = (Array.isArray(raw.bands) ? raw.bands : [])
+    .map((b) => ({ maxKg: toNum(b?.maxKg), priceCents: Math.round(toNum(b?.price) * 100) }))
+    .filter((b) => b.maxKg > 0 && b.priceCents >= 0)
+    .sort((a, b) => a.maxKg - b.maxKg);
+  if (!bands.length) throw new Error(`No valid shipping bands in ${SHIPPING_RATES_FILE}`);
+
+  const thresholdCents = Math.round(toNum(raw.freeShippingThreshold) * 100);
+  return {
+    bands,
+    codSurchargeCents: Math.max(0, Math.round(toNum(raw.codSurcharge) * 100)),
+    freeShippingThresholdCents: thresholdCents > 0 ? thresholdCents : null,
+  };
+}
+
+const shippingRates = loadShippingRates();
+
+/**
+ * Shipping options for catalog-resolved items. `goodsCents` (subtotal after discount) is checked
+ * against the free-shipping threshold; a free-shipping coupon waives the parcel price too.
+ * The COD surcharge is always added to the COD option (only offered when COD is enabled).
+ */
+function quoteShipping(items, { goodsCents = 0, freeShipping = false } = {}) {
+  const totalWeightKg = Number(items.reduce((sum, it) => sum + it.weightKg * it.quantity, 0).toFixed(3));
+  const parcels = packBoxNowParcels({ items }, totalWeightKg).map((p) => {
+    const band = shippingRates.bands.find((b) => p.weightKg <= b.maxKg + 1e-9);
+    if (!band) throw httpError(500, "SHIPPING_NO_RATE", `No shipping rate for a ${p.weightKg.toFixed(3)} kg parcel`);
+    return { weightKg: Number(p.weightKg.toFixed(3)), compartmentSize: p.compartmentSize, priceCents: band.priceCents };
+  });
+
+  const threshold = shippingRates.freeShippingThresholdCents;
+  const thresholdReached = threshold != null && goodsCents >= threshold;
+  const free = !!freeShipping || thresholdReached;
+  const baseCents = free ? 0 : parcels.reduce((sum, p) => sum + p.priceCents, 0);
+
+  const options = [{ id: "boxnow_prepaid", paymentMode: "prepaid", priceCents: baseCents }];
+  if (ALLOW_COD && !FORCE_PREPAID) {
+    options.push({ id: "boxnow_cod", paymentMode: "cod", priceCents: baseCents + shippingRates.codSurchargeCents });
+  }
+
+  return {
+    totalWeightKg,
+    parcels,
+    freeShipping: free,
+    freeShippingReason: freeShipping ? "coupon" : thresholdReached ? "threshold" : null,
+    amountToFreeShippingCents: threshold != null && !free ? threshold - goodsCents : null,
+    options,
+  };
+}
+
+// Option the order will ship with (COD falls back to prepaid when COD is disabled, like the delivery request)
+function shippingOptionFor(quote, paymentMethod) {
+  const mode = mapPaymentModeToBoxNow(paymentMethod);
+  return quote.options.find((o) => o.paymentMode === mode) || quote.options[0];
+}
+
+const centsToEur = (cents) => Number((cents / 100).toFixed(2));
+
+app.post("/api/shipping/quote", (req, res) => {
+  try {
+    const { items = [], paymentMethod = null, couponCode = null, email = null } = req.body || {};
+    if (!items.length) return res.status(400).json({ error: "No items in cart" });
+
+    const catalog = resolveCatalogItems(items);
+    if (catalog.unknown.length || catalog.inactive.length) return res.status(400).json(catalogItemsError(catalog));
+
+    const subtotalCents = catalog.items.reduce((sum, it) => sum + it.price_in_cents * it.quantity, 0);
+    const coupon = couponCode ? evaluateCoupon(couponCode, { items: catalog.items, subtotalCents, email }) : null;
+    const applied = coupon?.valid ? coupon : null;
+
+    const quote = quoteShipping(catalog.items, {
+      goodsCents: subtotalCents - (applied?.discountCents || 0),
+      freeShipping: applied?.freeShipping,
+    });
+    const options = quote.options.map((o) => ({ id: o.id, paymentMode: o.paymentMode, price: centsToEur(o.priceCents) }));
+
+    return res.json({
+      currency: "EUR",
+      subtotal: centsToEur(subtotalCents),
+      totalWeightKg: quote.totalWeightKg,
+      parcels: quote.parcels.map(({ priceCents, ...p }) => ({ ...p, price: centsToEur(priceCents) })),
+      freeShipping: quote.freeShipping,
+      freeShippingReason: quote.freeShippingReason,
+      freeShippingThreshold:
+        shippingRates.freeShippingThresholdCents != null ? centsToEur(shippingRates.freeShippingThresholdCents) : null,
+      amountToFreeShipping: quote.amountToFreeShippingCents != null ? centsToEur(quote.amountToFreeShippingCents) : null,
+      options,
+      ...(paymentMethod ? { selected: shippingOptionFor(quote, paymentMethod).id } : {}),
+      ...(coupon && !coupon.valid ? { coupon: { valid: false, reason: coupon.reason, message: coupon.message } } : {}),
+    });
+  } catch (e) {
+    if (e.body !== undefined) return res.status(e.status).json(e.body);
+    return res.status(e.status || 500).json({ error: e.message, ...(e.code ? { code: e.code } : {}) });
+  }
+});
+
+// -------------------- VAT & RECEIPTS --------------------
+// Catalog prices include VAT at the product's rate. Discounts are spread over the lines they apply to;
+// shipping (incl. the COD surcharge) follows the goods, split by each rate's share of the discounted value.
+// An order gets the next receipt number of RECEIPT_SERIES once it is paid (COD: once it is delivered or BoxNow's
+// payout is in); cancelling the order voids it. The receipt goes out with the payment_received email (COD: delivered).
+const RECEIPT_SERIES = (process.env.RECEIPT_SERIES || "A").trim();
+const RECEIPT_SELLER = {
+  name: (process.env.RECEIPT_SELLER_NAME || "Gods n Bees").trim(),
+  address: (process.env.RECEIPT_SELLER_ADDRESS || "").trim(),
+  vatId: (process.env.RECEIPT_SELLER_VAT_ID || "").trim(),
+  taxOffice: (process.env.RECEIPT_SELLER_TAX_OFFICE || "").trim(),
+};
+const RECEIPT_ATTACH_TO_EMAIL = String(process.env.RECEIPT_ATTACH_TO_EMAIL || "true").toLowerCase() === "true";
+// Needs DejaVuSans.ttf + DejaVuSans-Bold.ttf (the standard PDF fonts have no Greek glyphs)
+const RECEIPT_FONT_DIR =
+  (process.env.RECEIPT_FONT_DIR || "").trim() ||
+  path.join(path.dirname(createRequire(import.meta.url).resolve("dejavu-fonts-ttf/package.json")), "ttf");
+
+function vatRateOf(item) {
+  const rate = Number(item?.vatRate);
+  return item?.vatRate != null && rate >= 0 ? rate : DEFAULT_VAT_RATE;
+}
+
+// Split totalCents in proportion to weights; largest remainders get the leftover cents, so parts add up exactly
+function allocateCents(totalCents, weights) {
+  const sum = weights.reduce((a, w) => a + w, 0);
+  if (!(sum > 0)) return weights.map((_, i) => (i === 0 ? totalCents : 0));
+
+  const exact = weights.map((w) => (totalCents * w) / sum);
+  const parts = exact.map(Math.floor);
+  let rest = totalCents - parts.reduce((a, p) => a + p, 0);
+  for (const { i } of exact.map((x, i) => ({ i, frac: x - parts[i] })).sort((a, b) => b.frac - a.frac)) {
+    if (rest-- <= 0) break;
+    parts[i] += 1;
+  }
+  return parts;
+}
+
+/**
+ * Net/VAT/gross per rate for catalog-resolved items (amounts in EUR, gross = order total).
+ * `discountSkus` limits the discount to those lines (SKU-restricted coupons).
+ */
+function computeVat(items, { shippingCents = 0, discountCents = 0, discountSkus = null } = {}) {
+  const lines = items.map((it) => ({ sku: it.sku, rate: vatRateOf(it), cents: it.price_in_cents * it.quantity }));
+  const discountable = lines.map((l) => (discountSkus?.length && !discountSkus.includes(l.sku) ? 0 : l.cents));
+  const discounts = allocateCents(discountCents, discountable);
+
+  const byRate = new Map();
+  lines.forEach((l, i) => {
+    const r = byRate.get(l.rate) || { rate: l.rate, goodsCents: 0, discountCents: 0 };
+    r.goodsCents += l.cents;
+    r.discountCents += discounts[i];
+    byRate.set(l.rate, r);
+  });
+  const rates = [...byRate.values()].sort((a, b) => b.rate - a.rate);
+
+  const discounted = rates.map((r) => r.goodsCents - r.discountCents);
+  const shipping = allocateCents(
+    shippingCents,
+    discounted.some((c) => c > 0) ? discounted : rates.map((r) => r.goodsCents)
+  );
+
+  const summary = rates.map((r, i) => {
+    const grossCents = discounted[i] + shipping[i];
+    const netCents = Math.round((grossCents * 100) / (100 + r.rate));
+    return { ...r, shippingCents: shipping[i], grossCents, netCents, vatCents: grossCents - netCents };
+  });
+  const sum = (key) => centsToEur(summary.reduce((a, r) => a + r[key], 0));
+
+  return {
+    pricesIncludeVat: true,
+    rates: summary.map((r) => ({
+      rate: r.rate,
+      net: centsToEur(r.netCents),
+      vat: centsToEur(r.vatCents),
+      gross: centsToEur(r.grossCents),
+      discount: centsToEur(r.discountCents),
+      shipping: centsToEur(r.shippingCents),
+    })),
+    net: sum("netCents"),
+    vat: sum("vatCents"),
+    gross: sum("grossCents"),
+  };
+}
+
+function formatReceiptNumber(series, number) {
+  return `${series}-${String(number).padStart(6, "0")}`;
+}
+
+// Call inside the order's write transaction, so a failed write doesn't use up a number
+function issueReceipt(orderNumber, issuedAt) {
+  const { next } = db
+    .prepare("SELECT COALESCE(MAX(number), 0) + 1 AS next FROM receipts WHERE series = ?")
+    .get(RECEIPT_SERIES);
+  db.prepare("INSERT INTO receipts (series, number, order_number, issued_at) VALUES (?, ?, ?, ?)").run(
+    RECEIPT_SERIES,
+    next,
+    orderNumber,
+    issuedAt
+  );
+  return { series: RECEIPT_SERIES, number: next, label: formatReceiptNumber(RECEIPT_SERIES, next), issuedAt };
+}
+
+// Once per order; a cancelled order never gets one
+function ensureReceipt(order, issuedAt) {
+  if (order.receipt || order.status === "cancelled") return false;
+  order.receipt = issueReceipt(order.orderNumber, issuedAt);
+  console.log("[RECEIPT_ISSUED]", { orderNumber: order.orderNumber, receipt: order.receipt.label });
+  return true;
+}
+
+// The number stays used (receipts.voided_at), the order no longer has a receipt
+function voidReceipt(order, voidedAt) {
+  if (!order.receipt) return false;
+  db.prepare("UPDATE receipts SET voided_at = ? WHERE order_number = ?").run(voidedAt, order.orderNumber);
+  console.log("[RECEIPT_VOIDED]", { orderNumber: order.orderNumber, receipt: order.receipt.label });
+  order.receipt = null;
+  return true;
+}
+
+// The email the receipt PDF is attached to
+function receiptEmailType(order) {
+  return isCodOrder(order) ? "delivered" : "payment_received";
+}
+
+let receiptFonts = null;
+function loadReceiptFonts() {
+  if (!receiptFonts) {
+    receiptFonts = {
+      regular: fs.readFileSync(path.join(RECEIPT_FONT_DIR, "DejaVuSans.ttf")),
+      bold: fs.readFileSync(path.join(RECEIPT_FONT_DIR, "DejaVuSans-Bold.ttf")),
+    };
+  }
+  return receiptFonts;
+}
+
+const vatRateLabel = (rate) => `${String(rate).replace(".", ",")}%`;
+
+// Greek retail receipt (Απόδειξη Λιανικής Πώλησης) for an order with `receipt` and `totals.vat`
+async function renderReceiptPdf(order) {
+  const { receipt } = order;
+  const totals = order.totals || {};
+  const vat = totals.vat || { rates: [], net: 0, vat: 0, gross: totals.total };
+  const eur = (n) => formatEur(n, "el");
+
+  const pdf = await PDFDocument.create();
+  pdf.registerFontkit(fontkit);
+  const fonts = loadReceiptFonts();
+  const regular = await pdf.embedFont(fonts.regular, { subset: true });
+  const bold = await pdf.embedFont(fonts.bold, { subset: true });
+  pdf.setTitle(`Απόδειξη ${receipt.label}`);
+  pdf.setCreator(RECEIPT_SELLER.name);
+
+  const [width, height] = A4_SIZE;
+  const margin = 48;
+  const right = width - margin;
+  let page = pdf.addPage(A4_SIZE);
+  let y = height - margin;
+
+  const text = (s, x, { size = 9, font = regular, align = "left", maxWidth = null } = {}) => {
+    let str = String(s ?? "");
+    while (maxWidth && str.length > 1 && font.widthOfTextAtSize(str, size) > maxWidth) str = `${str.slice(0, -2)}…`;
+    const w = font.widthOfTextAtSize(str, size);
+    page.drawText(str, { x: align === "right" ? x - w : x, y, size, font });
+  };
+  const down = (dy) => {
+    y -= dy;
+    if (y < margin + 24) {
+      page = pdf.addPage(A4_SIZE);
+      y = height - margin;
+    }
+  };
+  const rule = () => {
+    page.drawLine({
+      start: { x: margin, y: y - 4 },
+      end: { x: right, y: y - 4 },
+      thickness: 0.5,
+      color: rgb(0.75, 0.75, 0.75),
+    });
+  };
+
+  // Header: seller on the left, receipt details on the right
+  const issued = new Intl.DateTimeFormat("el-GR", {
+    timeZone: "Europe/Athens",
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(new Date(receipt.issuedAt));
+  const { address, vatId, taxOffice } = RECEIPT_SELLER;
+  const taxIds = [vatId && `ΑΦΜ: ${vatId}`, taxOffice && `ΔΟΥ: ${taxOffice}`].filter(Boolean).join("  ");
+  const seller = [address, taxIds].filter(Boolean);
+  const details = [`Αριθμός: ${receipt.label}`, `Ημερομηνία: ${issued}`, `Παραγγελία: ${order.orderNumber}`];
+
+  text(RECEIPT_SELLER.name, margin, { size: 14, font: bold });
+  text("ΑΠΟΔΕΙΞΗ ΛΙΑΝΙΚΗΣ ΠΩΛΗΣΗΣ", right, { size: 12, font: bold, align: "right" });
+  for (let i = 0; i < Math.max(seller.length, details.length); i += 1) {
+    down(14);
+    if (seller[i]) text(seller[i], margin, { maxWidth: 280 });
+    if (details[i]) text(details[i], right, { align: "right" });
+  }
+
+  down(28);
+  text("Πελάτης", margin, { font: bold });
+  for (const s of [order.customer?.name, order.customer?.email].filter(Boolean)) {
+    down(13);
+    text(s, margin);
+  }
+
+  // Lines
+  const cols = { qty: 350, price: 420, rate: 470, total: right };
+  down(28);
+  text("Περιγραφή", margin, { font: bold });
+  text("Ποσ.", cols.qty, { font: bold, align: "right" });
+  text("Τιμή", cols.price, { font: bold, align: "right" });
+  text("ΦΠΑ", cols.rate, { font: bold, align: "right" });
+  text("Αξία", cols.total, { font: bold, align: "right" });
+  rule();
+
+  for (const it of Array.isArray(order.items) ? order.items : []) {
+    const qty = Math.max(1, Math.round(toNum(it.quantity || 1)));
+    const unitCents = priceToCents(it);
+    down(16);
+    text(it.name || it.sku, margin, { maxWidth: 260 });
+    text(qty, cols.qty, { align: "right" });
+    text(eur(unitCents / 100), cols.price, { align: "right" });
+    text(vatRateLabel(vatRateOf(it)), cols.rate, { align: "right" });
+    text(eur((unitCents * qty) / 100), cols.total, { align: "right" });
+  }
+
+  const ratesWith = (key) =>
+    vat.rates
+      .filter((r) => r[key] > 0)
+      .map((r) => vatRateLabel(r.rate))
+      .join(" / ");
+  if (toNum(totals.discount) > 0) {
+    down(16);
+    text(totals.couponCode ? `Έκπτωση (${totals.couponCode})` : "Έκπτωση", margin, { maxWidth: 260 });
+    text(ratesWith("discount"), cols.rate, { align: "right" });
+    text(`-${eur(totals.discount)}`, cols.total, { align: "right" });
+  }
+  if (toNum(totals.shipping) > 0) {
+    down(16);
+    text("Μεταφορικά", margin);
+    text(ratesWith("shipping"), cols.rate, { align: "right" });
+    text(eur(totals.shipping), cols.total, { align: "right" });
+  }
+  rule();
+
+  // VAT analysis
+  const vcols = { net: 370, vat: 460, gross: right };
+  down(32);
+  text("Συντελεστής ΦΠΑ", margin, { font: bold });
+  text("Καθαρή αξία", vcols.net, { font: bold, align: "right" });
+  text("ΦΠΑ", vcols.vat, { font: bold, align: "right" });
+  text("Σύνολο", vcols.gross, { font: bold, align: "right" });
+  rule();
+  for (const r of vat.rates) {
+    down(16);
+    text(vatRateLabel(r.rate), margin);
+    text(eur(r.net), vcols.net, { align: "right" });
+    text(eur(r.vat), vcols.vat, { align: "right" });
+    text(eur(r.gross), vcols.gross, { align: "right" });
+  }
+  rule();
+  down(16);
+  text("Σύνολα", margin, { font: bold });
+  text(eur(vat.net), vcols.net, { font: bold, align: "right" });
+  text(eur(vat.vat), vcols.vat, { font: bold, align: "right" });
+  text(eur(vat.gross), vcols.gross, { font: bold, align: "right" });
+
+  down(32);
+  text("Πληρωτέο ποσό", margin, { size: 12, font: bold });
+  text(eur(totals.total), right, { size: 12, font: bold, align: "right" });
+  down(18);
+  text(`Τρόπος πληρωμής: ${paymentMethodLabel(order.metadata?.payment?.method, CUSTOMER_EMAIL_STRINGS.el)}`, margin);
+  down(14);
+  text("Οι τιμές περιλαμβάνουν ΦΠΑ.", margin, { size: 8 });
+
+  return Buffer.from(await pdf.save());
+}
+
+const receiptFilename = (order) => `RECEIPT-${order.orderNumber}.pdf`;
+
+app.get("/api/orders/:orderNumber/receipt.pdf", async (req, res) => {
+  try {
+    const order = orderRepository.get(req.params.orderNumber);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    if (!order.receipt || order.status === "cancelled") {
+      return res.status(404).json({ error: "No receipt for this order", code: "NO_RECEIPT" });
+    }
+
+    const pdf = await renderReceiptPdf(order);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${receiptFilename(order)}"`);
+    return res.status(200).send(pdf);
+  } catch (e) {
+    console.error("[RECEIPT_ERROR]", { orderNumber: req.params.orderNumber, error: e.message });
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ✅ CREATE ORDER ENDPOINT (server computes totals)
+app.post("/api/orders/create", idempotent("orders.create"), async (req, res) => {
+  try {
+    const {
+      orderNumber = generateOrderNumber(),
+      items = [],
+      customer = {},
+      paymentMethod = "cod",
+      boxnow = {},
+      couponCode = null,
+    } = req.body || {};
+
+    // A client-chosen number must look like ours: it ends up in lookups, label filenames and PDF paths
+    if (!ORDER_NUMBER_PATTERN.test(String(orderNumber))) {
+      return res.status(400).json({ success: false, error: "INVALID_ORDER_NUMBER", message: "Invalid orderNumber" });
+    }
+    if (!items.length) return res.status(400).json({ success: false, error: "No items in order" });
+    if (!customer.name || !customer.email || !customer.phone) {
+      return res.status(400).json({ success: false, error: "Missing customer details" });
+    }
+    if (orderRepository.get(orderNumber)) {
+      return res
+        .status(409)
+        .json({ success: false, error: "ORDER_EXISTS", message: `Order ${orderNumber} already exists` });
+    }
+
+    const catalog = resolveCatalogItems(items);
+    if (catalog.unknown.length || catalog.inactive.length) return res.status(400).json(catalogItemsError(catalog));
+
+    const subtotalCents = catalog.items.reduce((sum, item) => sum + item.price_in_cents * item.quantity, 0);
+    const cartWeightKg = Number(catalog.items.reduce((sum, item) => sum + item.weightKg * item.quantity, 0).toFixed(3));
+
+    // ✅ Discounts only come from server-side coupons (client discountAmount is ignored)
+    const coupon = couponCode
+      ? evaluateCoupon(couponCode, { items: catalog.items, subtotalCents, email: customer.email })
+      : null;
+    if (coupon && !coupon.valid) {
+      return res.status(400).json({ success: false, error: coupon.reason, message: coupon.message });
+    }
+
+    // ✅ Shipping from the server-side rates table (client shippingCost is ignored)
+    const discountCents = coupon?.discountCents || 0;
+    const quote = quoteShipping(catalog.items, {
+      goodsCents: subtotalCents - discountCents,
+      freeShipping: coupon?.freeShipping,
+    });
+    const shippingOption = shippingOptionFor(quote, paymentMethod);
+    const shippingCents = shippingOption.priceCents;
+    const totalCents = Math.max(0, subtotalCents + shippingCents - discountCents);
+
+    const subtotal = subtotalCents / 100;
+    const shipping = shippingCents / 100;
+    const discount = discountCents / 100;
+    const total = totalCents / 100;
+    const vat = computeVat(catalog.items, { shippingCents, discountCents, discountSkus: coupon?.coupon.skus });
+
+    const order = {
+      id: orderNumber,
+      orderNumber,
+      items: catalog.items,
+      customer: {
+        name: String(customer.name),
+        email: String(customer.email),
+        phone: String(customer.phone),
+        locale: customerLocale({ customer, locale: req.body.locale }),
+      },
+      totals: {
+        subtotal: Number(subtotal.toFixed(2)),
+        shipping: Number(shipping.toFixed(2)),
+        discount: Number(discount.toFixed(2)),
+        total: Number(total.toFixed(2)),
+        couponCode: coupon?.coupon.code || null,
+        freeShipping: quote.freeShipping,
+        shippingOption: shippingOption.id,
+        vat,
+      },
+      cartWeightKg,
+      metadata: {
+        // Provider ids and the status are only ever set by our own payment endpoints/webhooks
+        // (client paymentDetails are ignored: the stored intent id is what ties a Stripe event to the order)
+        payment: {
+          method: String(paymentMethod),
+          stripeIntentId: null,
+          paypalOrderId: null,
+          status: "pending",
+        },
+        boxnow: {
+          lockerId: boxnow.lockerId || null,
+          pickupName: boxnow.pickupName || null,
+          pickupAddress: boxnow.pickupAddress || null,
+          parcelId: null,
+          parcelIds: [],
+          trackingNumber: null,
+          labelUrl: null,
+          error: null,
+        },
+      },
+      status: "pending",
+      createdAt: new Date().toISOString(),
+    };
+
+    db.transaction(() => {
+      const expiresAt = stockReservationExpiry(paymentMethod);
+      reserveStock(orderNumber, catalog.items, { expiresAt });
+      orderRepository.insert(order);
+      if (coupon) {
+        const { code } = coupon.coupon;
+        recordCouponRedemption({ code, orderNumber, email: customer.email, discountCents, expiresAt });
+      }
+    })();
+
+    notifyCustomer("order_confirmation", order);
+    if (shouldSyncToStore(order)) queueStoreSync(order, "created");
+
+    console.log("[ORDER_CREATED]", {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      paymentMethod,
+      subtotal,
+      shipping,
+      discount,
+      couponCode: coupon?.coupon.code || null,
+      total,
+      vat: vat.vat,
+      cartWeightKg,
+    });
+
+    res.json({
+      success: true,
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      metadata: order.metadata,
+      totals: order.totals,
+      ...(catalog.warnings.length ? { warnings: catalog.warnings } : {}),
+    });
+  } catch (e) {
+    console.error("[ORDER_CREATE_ERROR]", e.message);
+    if (e.body !== undefined) return res.status(e.status).json({ success: false, ...e.body });
+    res.status(e.status || 500).json({ success: false, error: e.message });
+  }
+});
+
+// ✅ GET ORDER (returns order + recomputed totals)
+app.get("/api/orders/:orderNumber", (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    const order = orderRepository.get(orderNumber);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    return res.json({ ...order, totals: recomputeOrderTotals(order) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Totals rebuilt from the stored items (shipping/discount as stored); also used by the export
+function recomputeOrderTotals(order) {
+  const items = Array.isArray(order.items) ? order.items : [];
+
+  const subtotalCents = items.reduce((sum, it) => {
+    const qty = Math.max(1, Math.round(toNum(it?.quantity || 1)));
+    const priceCents =
+      it?.price_in_cents != null
+        ? Math.max(0, Math.round(toNum(it.price_in_cents)))
+        : Math.max(0, Math.round(toNum(it?.price || 0) * 100));
+    return sum + priceCents * qty;
+  }, 0);
+
+  const shippingCents = Math.max(0, Math.round(toNum(order?.totals?.shipping || 0) * 100));
+  const discountCents = Math.max(0, Math.round(toNum(order?.totals?.discount || 0) * 100));
+  const totalCents = Math.max(0, subtotalCents + shippingCents - discountCents);
+
+  const totals = {
+    ...(order.totals || {}),
+    subtotal: Number((subtotalCents / 100).toFixed(2)),
+    shipping: Number((shippingCents / 100).toFixed(2)),
+    discount: Number((discountCents / 100).toFixed(2)),
+    total: Number((totalCents / 100).toFixed(2)),
+    _recomputed: true,
+  };
+  const amountRefunded = order?.metadata?.payment?.amountRefunded;
+  return amountRefunded != null ? { ...totals, ...refundTotals(totals, amountRefunded) } : totals;
+}
+
+// refunded + netTotal (what we keep after refunds)
+function refundTotals(totals, amountRefunded) {
+  const refundedCents = Math.round(toNum(amountRefunded) * 100);
+  const totalCents = Math.round(toNum(totals?.total) * 100);
+  return {
+    refunded: Number((refundedCents / 100).toFixed(2)),
+    netTotal: Number((Math.max(0, totalCents - refundedCents) / 100).toFixed(2)),
+  };
+}
+
+// -------------------- ADMIN AUTH --------------------
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || "").trim();
+
+// Accepts "Authorization: Bearer <ADMIN_TOKEN>" or "X-Admin-Token: <ADMIN_TOKEN>"
+function isAdminRequest(req) {
+  if (!ADMIN_TOKEN) return false;
+
+  const header = String(req.headers.authorization || "");
+  const given = header.toLowerCase().startsWith("bearer ") ? header.slice(7).trim() : String(req.headers["x-admin-token"] || "");
+
+  const a = Buffer.from(given);
+  const b = Buffer.from(ADMIN_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ error: "Admin API disabled (missing ADMIN_TOKEN)" });
+  if (!isAdminRequest(req)) return res.status(401).json({ error: "Unauthorized" });
+  next();
+}
+
+// History/audit actor for admin actions (X-Admin-User header, defaults to "admin")
+function adminActor(req) {
+  return `admin:${String(req.headers["x-admin-user"] || "admin").trim()}`;
+}
+
+// -------------------- ADMIN: ORDERS --------------------
+function encodeCursor(next) {
+  return next ? Buffer.from(JSON.stringify(next)).toString("base64url") : null;
+}
+
+function decodeCursor(raw) {
+  if (!raw) return null;
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    return c && c.orderNumber != null ? c : null;
+  } catch {
+    return null;
+  }
+}
+
+// Date-only "to" (YYYY-MM-DD) means the whole day
+function parseDateFilter(raw, endOfDay = false) {
+  if (!raw) return null;
+  const s = String(raw).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return `${s}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`;
+  const d = new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function parseBoolFilter(raw) {
+  if (raw == null || raw === "") return null;
+  return ["1", "true", "yes"].includes(String(raw).toLowerCase());
+}
+
+function orderSummary(order) {
+  const payment = order.metadata?.payment || {};
+  const boxnow = order.metadata?.boxnow || {};
+  return {
+    orderNumber: order.orderNumber,
+    createdAt: order.createdAt,
+    status: order.status,
+    customer: order.customer,
+    totals: order.totals,
+    payment: { method: payment.method || null, status: payment.status || null },
+    boxnow: {
+      lockerId: boxnow.lockerId || null,
+      parcelIds: boxnow.parcelIds || [],
+      trackingNumber: boxnow.trackingNumber || null,
+      error: boxnow.error || null,
+    },
+  };
+}
+
+// GET /api/admin/orders?status=paid,pending&paymentMethod=&paymentStatus=&from=&to=&email=&phone=
+//   &lockerId=&hasBoxnowError=true&sort=createdAt|updatedAt|orderNumber|total&direction=desc&limit=50&cursor=
+app.get("/api/admin/orders", requireAdmin, (req, res) => {
+  try {
+    const q = req.query;
+    if (q.cursor && !decodeCursor(q.cursor)) return res.status(400).json({ error: "Invalid cursor" });
+
+    const { orders, next } = orderRepository.list({
+      status: q.status ? String(q.status).split(",").map((x) => x.trim()).filter(Boolean) : null,
+      paymentMethod: q.paymentMethod || null,
+      paymentStatus: q.paymentStatus || null,
+      from: parseDateFilter(q.from),
+      to: parseDateFilter(q.to, true),
+      email: q.email || null,
+      phone: q.phone || null,
+      lockerId: q.lockerId || null,
+      hasBoxnowError: parseBoolFilter(q.hasBoxnowError),
+      sort: q.sort,
+      direction: String(q.direction || "desc").toLowerCase(),
+      limit: q.limit,
+      cursor: decodeCursor(q.cursor),
+    });
+
+    return res.json({ orders: orders.map(orderSummary), nextCursor: encodeCursor(next) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// -------------------- ADMIN: ORDERS EXPORT --------------------
+// GET /api/admin/orders/export?format=csv|xlsx&from=&to=&status=&paymentMethod=&paymentStatus=&items=1
+// Streams in pages of 200 orders; totals are the same recomputed ones as GET /api/orders/:orderNumber.
+// items=1: XLSX gets a second "Items" sheet, CSV returns the item lines instead of the orders.
+const ORDER_EXPORT_COLUMNS = [
+  { header: "Order", key: "orderNumber", width: 20 },
+  { header: "Date", key: "createdAt", width: 20 },
+  { header: "Status", key: "status", width: 14 },
+  { header: "Customer", key: "customerName", width: 24 },
+  { header: "Email", key: "email", width: 28 },
+  { header: "Phone", key: "phone", width: 16 },
+  { header: "Payment method", key: "paymentMethod", width: 14 },
+  { header: "Payment status", key: "paymentStatus", width: 16 },
+  { header: "Paid at", key: "paidAt", width: 20 },
+  { header: "Coupon", key: "couponCode", width: 12 },
+  { header: "Receipt", key: "receipt", width: 12 },
+  { header: "Subtotal", key: "subtotal", width: 11, money: true },
+  { header: "Shipping", key: "shipping", width: 11, money: true },
+  { header: "Discount", key: "discount", width: 11, money: true },
+  { header: "Total", key: "total", width: 11, money: true },
+  { header: "Refunded", key: "refunded", width: 11, money: true },
+  { header: "Net", key: "net", width: 11, money: true },
+  { header: "VAT", key: "vat", width: 11, money: true },
+  { header: "COD amount", key: "codAmount", width: 12, money: true },
+  { header: "Locker", key: "lockerId", width: 10 },
+  { header: "Locker name", key: "pickupName", width: 24 },
+  { header: "Parcels", key: "parcelIds", width: 22 },
+  { header: "Tracking", key: "trackingNumber", width: 18 },
+];
+
+const ITEM_EXPORT_COLUMNS = [
+  { header: "Order", key: "orderNumber", width: 20 },
+  { header: "Date", key: "createdAt", width: 20 },
+  { header: "SKU", key: "sku", width: 16 },
+  { header: "Product", key: "name", width: 32 },
+  { header: "Quantity", key: "quantity", width: 10 },
+  { header: "Unit price", key: "unitPrice", width: 11, money: true },
+  { header: "Line total", key: "lineTotal", width: 11, money: true },
+  { header: "VAT %", key: "vatRate", width: 8 },
+];
+
+function* iterateOrders(filters) {
+  let cursor = null;
+  do {
+    const page = orderRepository.list({ ...filters, sort: "createdAt", direction: "asc", limit: 200, cursor });
+    yield* page.orders;
+    cursor = page.next;
+  } while (cursor);
+}
+
+function orderExportRow(order) {
+  const totals = recomputeOrderTotals(order);
+  const payment = order.metadata?.payment || {};
+  const boxnow = order.metadata?.boxnow || {};
+  const cod = mapPaymentModeToBoxNow(payment.method) === "cod";
+
+  return {
+    orderNumber: order.orderNumber,
+    createdAt: order.createdAt || null,
+    status: order.status || "pending",
+    customerName: order.customer?.name || "",
+    email: order.customer?.email || "",
+    phone: order.customer?.phone || "",
+    paymentMethod: payment.method || "",
+    paymentStatus: payment.status || "",
+    paidAt: payment.paidAt || null,
+    couponCode: totals.couponCode || "",
+    receipt: order.receipt?.label || "",
+    subtotal: totals.subtotal,
+    shipping: totals.shipping,
+    discount: totals.discount,
+    total: totals.total,
+    refunded: totals.refunded ?? 0,
+    net: totals.vat?.net ?? null,
+    vat: totals.vat?.vat ?? null,
+    // What BoxNow was told to collect; before a label exists, what it will be asked for
+    codAmount: boxnow.amountToBeCollected ?? (cod ? totals.total : 0),
+    lockerId: boxnow.lockerId || "",
+    pickupName: boxnow.pickupName || "",
+    parcelIds: (boxnow.parcelIds || []).join(" "),
+    trackingNumber: boxnow.trackingNumber || "",
+  };
+}
+
+function orderItemExportRows(order) {
+  return (Array.isArray(order.items) ? order.items : []).map((it) => {
+    const quantity = Math.max(1, Math.round(toNum(it?.quantity || 1)));
+    const unitCents = priceToCents(it);
+    return {
+      orderNumber: order.orderNumber,
+      createdAt: order.createdAt || null,
+      sku: itemSku(it),
+      name: it?.name || "",
+      quantity,
+      unitPrice: unitCents / 100,
+      lineTotal: (unitCents * quantity) / 100,
+      vatRate: it?.vatRate ?? null,
+    };
+  });
+}
+
+// Quotes as needed; text starting with = + - @ is prefixed so spreadsheets don't run it as a formula
+function csvCell(value) {
+  if (value == null) return "";
+  if (typeof value === "number") return String(value);
+  let s = String(value);
+  if (/^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",;\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+async function writeOrdersCsv(res, filters, columns, rowsFor, delimiter) {
+  res.write("\uFEFF"); // BOM, so Excel opens the Greek text as UTF-8
+  res.write(`${columns.map((c) => csvCell(c.header)).join(delimiter)}\r\n`);
+
+  for (const order of iterateOrders(filters)) {
+    for (const row of rowsFor(order)) {
+      const line = `${columns.map((c) => csvCell(row[c.key])).join(delimiter)}\r\n`;
+      if (!res.write(line)) await new Promise((resolve) => res.once("drain", resolve));
+    }
+  }
+  res.end();
+}
+
+async function writeOrdersXlsx(res, filters, withItems) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+
+  // Sheets are streamed one after the other, so each one gets its own pass over the orders
+  const sheets = [["Orders", ORDER_EXPORT_COLUMNS, (o) => [orderExportRow(o)]]];
+  if (withItems) sheets.push(["Items", ITEM_EXPORT_COLUMNS, orderItemExportRows]);
+
+  for (const [name, columns, rowsFor] of sheets) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: "frozen", ySplit: 1 }] });
+    sheet.columns = columns.map(({ header, key, width, money }) => ({
+      header,
+      key,
+      width,
+      ...(money ? { style: { numFmt: "#,##0.00" } } : {}),
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    for (const order of iterateOrders(filters)) {
+      for (const row of rowsFor(order)) {
+        sheet
+          .addRow({
+            ...row,
+            createdAt: row.createdAt ? new Date(row.createdAt) : null,
+            ...(row.paidAt ? { paidAt: new Date(row.paidAt) } : {}),
+          })
+          .commit();
+      }
+    }
+    sheet.commit();
+  }
+
+  await workbook.commit();
+}
+
+app.get("/api/admin/orders/export", requireAdmin, async (req, res) => {
+  const q = req.query;
+  const format = String(q.format || "csv").toLowerCase();
+  if (!["csv", "xlsx"].includes(format)) return res.status(400).json({ error: "format must be csv or xlsx" });
+
+  const from = parseDateFilter(q.from);
+  const to = parseDateFilter(q.to, true);
+  if ((q.from && !from) || (q.to && !to)) return res.status(400).json({ error: "Invalid from/to date" });
+
+  const filters = {
+    status: q.status ? String(q.status).split(",").map((x) => x.trim()).filter(Boolean) : null,
+    paymentMethod: q.paymentMethod || null,
+    paymentStatus: q.paymentStatus || null,
+    from,
+    to,
+  };
+  const withItems = parseBoolFilter(q.items) || false;
+  const name = `orders-${(from || "all").slice(0, 10)}-${(to || "now").slice(0, 10)}${withItems ? "-items" : ""}`;
+
+  try {
+    if (format === "xlsx") {
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename="${name}.xlsx"`);
+      await writeOrdersXlsx(res, filters, withItems);
+    } else {
+      const delimiter = q.delimiter === ";" ? ";" : ",";
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${name}.csv"`);
+      await (withItems
+        ? writeOrdersCsv(res, filters, ITEM_EXPORT_COLUMNS, orderItemExportRows, delimiter)
+        : writeOrdersCsv(res, filters, ORDER_EXPORT_COLUMNS, (o) => [orderExportRow(o)], delimiter));
+    }
+    console.log("[ORDERS_EXPORT]", { format, from, to, status: filters.status, withItems });
+  } catch (e) {
+    console.error("[ORDERS_EXPORT_ERROR]", e.message);
+    if (!res.headersSent) return res.status(500).json({ error: e.message });
+    res.destroy(e);
+  }
+});
+
+// Full order incl. BoxNow metadata and payment history
+app.get("/api/admin/orders/:orderNumber", requireAdmin, (req, res) => {
+  try {
+    const order = orderRepository.get(req.params.orderNumber);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const { history = [], ...payment } = order.metadata?.payment || {};
+
+    return res.json({
+      order,
+      payment,
+      paymentHistory: history,
+      statusHistory: order.history || [],
+      allowedTransitions: ORDER_STATUSES.filter((to) => canTransition(order, to)),
+      boxnow: order.metadata?.boxnow || {},
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Manual status change: { status, reason }
+app.post("/api/admin/orders/:orderNumber/status", requireAdmin, (req, res) => {
+  try {
+    const status = String(req.body?.status || "").trim();
+    if (!status) return res.status(400).json({ error: "Missing status" });
+
+    const reason = req.body?.reason ? String(req.body.reason) : null;
+    const actor = adminActor(req);
+
+    const order = transitionOrder(req.params.orderNumber, status, { actor, reason });
+    return res.json({ success: true, orderNumber: order.orderNumber, status: order.status, history: order.history || [] });
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message, ...(e.code ? { code: e.code } : {}) });
+  }
+});
+
+// -------------------- STRIPE REFUNDS --------------------
+// Refunds are kept in metadata.payment.refunds, keyed by Stripe refund id, whether they were issued here or
+// in the Stripe dashboard (picked up from charge.refunded). Pending refunds count as refunded, failed/canceled don't.
+const STRIPE_REFUND_REASONS = ["duplicate", "fraudulent", "requested_by_customer"];
+const REFUNDABLE_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+
+// Order numbers with a refund being issued (double-clicks in the admin)
+const refundsInFlight = new Set();
+
+function refundCounts(refund) {
+  return !["failed", "canceled"].includes(refund.status);
+}
+
+function stripeRefundEntry(refund) {
+  return {
+    id: refund.id,
+    amount: centsToEur(refund.amount),
+    status: refund.status,
+    stripeReason: refund.reason || null,
+    createdAt: new Date(refund.created * 1000).toISOString(),
+  };
+}
+
+/**
+ * What each order line actually cost the customer: line price minus its share of the coupon discount
+ * (allocated like computeVat). Returns Map sku -> { sku, name, quantity, paidCents }.
+ */
+function orderLinesPaid(order) {
+  const lines = new Map();
+  for (const it of Array.isArray(order.items) ? order.items : []) {
+    const sku = String(it.sku || it.id || it.name);
+    const quantity = Math.max(1, Math.round(toNum(it.quantity || 1)));
+    const line = lines.get(sku) || { sku, name: it.name || sku, quantity: 0, cents: 0 };
+    line.quantity += quantity;
+    line.cents += priceToCents(it) * quantity;
+    lines.set(sku, line);
+  }
+
+  const list = [...lines.values()];
+  const skus = order.totals?.couponCode ? getCoupon(order.totals.couponCode)?.skus : null;
+  const discountable = list.map((l) => (skus?.length && !skus.includes(l.sku) ? 0 : l.cents));
+  const discounts = allocateCents(Math.round(toNum(order.totals?.discount) * 100), discountable);
+  list.forEach((l, i) => (l.paidCents = l.cents - discounts[i]));
+  return lines;
+}
+
+// Quantities and amounts still refundable per line, plus shipping and the overall remainder
+function refundableOf(order) {
+  const refunds = (order.metadata?.payment?.refunds || []).filter(refundCounts);
+  const lines = orderLinesPaid(order);
+
+  const items = [...lines.values()].map((l) => {
+    const done = refunds.flatMap((r) => r.items || []).filter((i) => i.sku === l.sku);
+    const quantity = l.quantity - done.reduce((sum, i) => sum + i.quantity, 0);
+    const cents = l.paidCents - done.reduce((sum, i) => sum + Math.round(toNum(i.amount) * 100), 0);
+    return { sku: l.sku, name: l.name, quantity, unitCents: Math.round(l.paidCents / l.quantity), cents };
+  });
+
+  const totalCents = Math.round(toNum(order.totals?.total) * 100);
+  const refundedCents = refunds.reduce((sum, r) => sum + Math.round(toNum(r.amount) * 100), 0);
+  const shippingRefunded = refunds.some((r) => r.shipping);
+  return {
+    items,
+    shippingRefunded,
+    shippingCents: shippingRefunded ? 0 : Math.round(toNum(order.totals?.shipping) * 100),
+    remainingCents: Math.max(0, totalCents - refundedCents),
+  };
+}
+
+/**
+ * Merge refunds (by id) into the order, derive amountRefunded and the payment status, and email the
+ * customer about each new one. Returns the order (unchanged when nothing new came in).
+ */
+function recordRefunds(orderNumber, incoming, { eventId = null, type, actor = "system" }) {
+  const order = orderRepository.get(orderNumber);
+  if (!order) throw httpError(404, "ORDER_NOT_FOUND", "Order not found");
+
+  const before = order.metadata?.payment?.refunds || [];
+  const refunds = [...before];
+  const added = [];
+  for (const r of incoming) {
+    const i = refunds.findIndex((x) => x.id === r.id);
+    if (i === -1) {
+      refunds.push({ source: "stripe", items: [], shipping: false, ...r });
+      added.push(r.id);
+    } else {
+      refunds[i] = { ...refunds[i], ...r };
+    }
+  }
+  if (JSON.stringify(refunds) === JSON.stringify(before)) return order;
+
+  const refundedCents = refunds.filter(refundCounts).reduce((sum, r) => sum + Math.round(toNum(r.amount) * 100), 0);
+  const totalCents = Math.round(toNum(order.totals?.total) * 100);
+  // From the refunds that still count: when the only refunds failed or were canceled the order is paid again
+  const previous = order.metadata?.payment?.status;
+  let status = refundedCents >= totalCents ? "refunded" : "partially_refunded";
+  if (refundedCents <= 0) status = ["refunded", "partially_refunded"].includes(previous) ? "paid" : null;
+
+  const updated = applyPaymentUpdate(orderNumber, {
+    eventId,
+    type,
+    status,
+    actor,
+    fields: {
+      refunds,
+      amountRefunded: centsToEur(refundedCents),
+      ...(added.length ? { refundedAt: new Date().toISOString() } : {}),
+    },
+  });
+
+  for (const r of refunds) {
+    if (added.includes(r.id) && refundCounts(r)) notifyCustomer("refund_issued", updated, { key: `refund:${r.id}` });
+  }
+  return updated;
+}
+
+// Pull the intent's refunds from Stripe (charge.refunded payloads don't list them on newer API versions)
+async function syncStripeRefunds(orderNumber) {
+  const intentId = orderRepository.get(orderNumber)?.metadata?.payment?.stripeIntentId;
+  if (!stripe || !intentId) return null;
+
+  const list = await stripe.refunds.list({ payment_intent: intentId, limit: 100 });
+  return recordRefunds(orderNumber, list.data.map(stripeRefundEntry), {
+    type: "stripe.refunds.sync",
+    actor: "stripe-webhook",
+  });
+}
+
+/**
+ * Refund an order through its PaymentIntent. Without amount/items/shipping the whole remainder is refunded;
+ * items ([{ sku, quantity }]) and shipping are priced at what the customer paid; amount (EUR) overrides that.
+ */
+async function refundStripeOrder(orderNumber, { amount = null, items = [], shipping = false, reason = null, actor }) {
+  if (!stripe) throw httpError(503, "STRIPE_NOT_CONFIGURED", "Stripe not configured");
+
+  const order = orderRepository.get(orderNumber);
+  if (!order) throw httpError(404, "ORDER_NOT_FOUND", "Order not found");
+
+  const payment = order.metadata?.payment || {};
+  if (!payment.stripeIntentId) throw httpError(409, "NO_STRIPE_PAYMENT", "Order was not paid through Stripe");
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status || "pending")) {
+    throw httpError(409, "NOT_REFUNDABLE", `Order payment is ${payment.status || "pending"}`);
+  }
+
+  const refundable = refundableOf(order);
+  if (refundable.remainingCents <= 0) throw httpError(409, "ALREADY_REFUNDED", "Order is already fully refunded");
+
+  const refundItems = [];
+  for (const { sku, quantity } of items) {
+    const line = refundable.items.find((l) => l.sku === String(sku));
+    const qty = Math.round(toNum(quantity));
+    if (!line) throw httpError(400, "UNKNOWN_ITEM", `SKU ${sku} is not part of the order`);
+    if (!(qty > 0) || qty > line.quantity) {
+      throw httpError(400, "INVALID_QUANTITY", `Refundable quantity for ${line.sku} is ${line.quantity}`);
+    }
+    const cents = qty === line.quantity ? line.cents : Math.min(line.cents, qty * line.unitCents);
+    refundItems.push({ sku: line.sku, name: line.name, quantity: qty, amount: centsToEur(cents) });
+  }
+  if (shipping && refundable.shippingRefunded) {
+    throw httpError(409, "SHIPPING_REFUNDED", "Shipping is already refunded");
+  }
+  if (shipping && !refundable.shippingCents) throw httpError(400, "NO_SHIPPING_CHARGE", "Order has no shipping charge");
+
+  const itemsCents = refundItems.reduce((sum, i) => sum + Math.round(i.amount * 100), 0);
+  const computedCents = itemsCents + (shipping ? refundable.shippingCents : 0);
+  const cents =
+    amount != null
+      ? Math.round(toNum(amount) * 100)
+      : refundItems.length || shipping
+      ? computedCents
+      : refundable.remainingCents;
+
+  if (!(cents > 0)) throw httpError(400, "INVALID_AMOUNT", "Refund amount must be positive");
+  if (cents > refundable.remainingCents) {
+    throw httpError(400, "AMOUNT_TOO_LARGE", `At most ${centsToEur(refundable.remainingCents)} EUR can be refunded`);
+  }
+
+  let refund;
+  try {
+    refund = await stripe.refunds.create({
+      payment_intent: payment.stripeIntentId,
+      amount: cents,
+      ...(STRIPE_REFUND_REASONS.includes(reason) ? { reason } : {}),
+      metadata: {
+        orderNumber,
+        ...(refundItems.length ? { items: refundItems.map((i) => `${i.sku}x${i.quantity}`).join(",") } : {}),
+      },
+    });
+  } catch (err) {
+    throw httpError(err?.statusCode === 400 ? 400 : 502, "STRIPE_REFUND_FAILED", err?.message || String(err));
+  }
+
+  console.log("[STRIPE_REFUND_CREATED]", {
+    orderNumber,
+    refundId: refund.id,
+    amount: cents,
+    status: refund.status,
+    actor,
+  });
+
+  const entry = {
+    ...stripeRefundEntry(refund),
+    source: "admin",
+    reason: reason ? String(reason) : null,
+    items: refundItems,
+    shipping: !!shipping,
+    actor,
+  };
+  const updated = recordRefunds(orderNumber, [entry], { type: "admin.refund", actor });
+  return { refund: entry, order: updated };
+}
+
+app.get("/api/admin/orders/:orderNumber/refunds", requireAdmin, (req, res) => {
+  try {
+    const order = orderRepository.get(req.params.orderNumber);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const payment = order.metadata?.payment || {};
+    const refundable = refundableOf(order);
+    return res.json({
+      orderNumber: order.orderNumber,
+      paymentStatus: payment.status || "pending",
+      amountRefunded: payment.amountRefunded || 0,
+      refunds: payment.refunds || [],
+      refundable: {
+        amount: centsToEur(refundable.remainingCents),
+        shipping: centsToEur(refundable.shippingCents),
+        items: refundable.items
+          .filter((i) => i.quantity > 0)
+          .map((i) => ({ sku: i.sku, name: i.name, quantity: i.quantity, amount: centsToEur(i.cents) })),
+      },
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// { amount?, items?: [{ sku, quantity }], shipping?, reason? } – empty body refunds the rest of the order
+app.post("/api/admin/orders/:orderNumber/refunds", requireAdmin, idempotent("orders.refund"), async (req, res) => {
+  const orderNumber = String(req.params.orderNumber);
+  if (refundsInFlight.has(orderNumber)) {
+    return res.status(409).json({
+      error: `A refund for ${orderNumber} is already in progress`,
+      code: "REFUND_IN_PROGRESS",
+    });
+  }
+
+  refundsInFlight.add(orderNumber);
+  try {
+    const { amount = null, items = [], shipping = false, reason = null } = req.body || {};
+    if (!Array.isArray(items)) return res.status(400).json({ error: "items must be an array" });
+
+    const { refund, order } = await refundStripeOrder(orderNumber, {
+      amount,
+      items,
+      shipping: shipping === true,
+      reason,
+      actor: adminActor(req),
+    });
+    return res.json({
+      success: true,
+      refund,
+      paymentStatus: order.metadata.payment.status,
+      amountRefunded: order.metadata.payment.amountRefunded,
+      totals: recomputeOrderTotals(order),
+    });
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message, ...(e.code ? { code: e.code } : {}) });
+  } finally {
+    refundsInFlight.delete(orderNumber);
+  }
+});
+
+// -------------------- ENV --------------------
+const RAW_API_URL = (process.env.BOXNOW_API_URL || "").trim();
+const CLIENT_ID = process.env.BOXNOW_CLIENT_ID;
+const CLIENT_SECRET = process.env.BOXNOW_CLIENT_SECRET;
+
+const PARTNER_ID = (process.env.BOXNOW_PARTNER_ID || "").trim();
+const DEFAULT_ORIGIN_LOCATION_ID = String(process.env.BOXNOW_WAREHOUSE_ID || "2");
+
+const ALLOW_COD = String(process.env.BOXNOW_ALLOW_COD || "false").toLowerCase() === "true";
+const FORCE_PREPAID = String(
+  process.env.BOXNOW_FORCED_PREPAID ?? process.env.BOXNOW_FORCE_PREPAID_ST ?? "false"
+).toLowerCase() === "true";
+
+const BOXNOW_ENV = (process.env.BOXNOW_ENV || "").toLowerCase(); // stage | production
+
+// Per-parcel weight limit; heavier orders are split across several parcels
+const BOXNOW_MAX_PARCEL_KG = 12;
+const BOXNOW_MAX_PARCELS = Number(process.env.BOXNOW_MAX_PARCELS || 5);
+
+// -------------------- MAIL ENV --------------------
+const MAIL_HOST = (process.env.MAIL_HOST || "").trim();
+const MAIL_PORT = Number(process.env.MAIL_PORT || 465);
+const MAIL_SECURE = String(process.env.MAIL_SECURE || "true").toLowerCase() === "true";
+const MAIL_USER = (process.env.MAIL_USER || "").trim();
+const MAIL_PASS = process.env.MAIL_PASS || "";
+
+// Multiple recipients supported via comma
+const VOUCHER_EMAIL_TO = (process.env.VOUCHER_EMAIL_TO || MAIL_USER).trim();
+
+// ✅ BoxNow "official" email recipient (manual: notifyOnAccepted)
+const BOXNOW_NOTIFY_EMAIL = (process.env.BOXNOW_NOTIFY_EMAIL || "").trim();
+
+function mailEnabled() {
+  return !!(MAIL_HOST && MAIL_PORT && MAIL_USER && MAIL_PASS && VOUCHER_EMAIL_TO);
+}
+
+let mailer = null;
+function getMailer() {
+  if (!mailEnabled()) return null;
+  if (mailer) return mailer;
+
+  mailer = nodemailer.createTransport({
+    host: MAIL_HOST,
+    port: MAIL_PORT,
+    secure: MAIL_SECURE,
+    auth: { user: MAIL_USER, pass: MAIL_PASS },
+  });
+
+  return mailer;
+}
+
+// -------------------- HELPERS --------------------
+function stripTrailingSlash(s) {
+  return String(s || "").replace(/\/+$/, "");
+}
+
+function normalizeApiBase(raw) {
+  const x = stripTrailingSlash(raw);
+  if (!x) return "";
+  return x.replace(/\/api\/v1$/i, "");
+}
+
+const API_BASE = normalizeApiBase(RAW_API_URL);
+
+function ensureEnv() {
+  if (!API_BASE || !CLIENT_ID || !CLIENT_SECRET) {
+    throw new Error("Missing BOXNOW_API_URL / BOXNOW_CLIENT_ID / BOXNOW_CLIENT_SECRET");
+  }
+}
+
+function locationBase() {
+  const override = (process.env.BOXNOW_LOCATION_API_URL || "").trim();
+  if (override) return stripTrailingSlash(override);
+
+  const inferred = BOXNOW_ENV || (API_BASE.includes("production") ? "production" : "stage");
+  return inferred === "production"
+    ? "https://locationapi-production.boxnow.gr/api/v1"
+    : "https://locationapi-stage.boxnow.gr/api/v1";
+}
+
+function safeMoney(n) {
+  const x = Number(n || 0);
+  return Number.isFinite(x) ? x.toFixed(2) : "0.00";
+}
+
+function normalizePhone(phoneRaw) {
+  let p = String(phoneRaw || "").trim().replace(/\s+/g, "");
+  if (!p) return "";
+
+  if (p.startsWith("+")) return `+${p.slice(1).replace(/\D/g, "")}`;
+
+  p = p.replace(/\D/g, "");
+  if (p.startsWith("69")) return `+30${p}`;
+  if (p.startsWith("30")) return `+${p}`;
+  if (p.length === 10) return `+30${p}`;
+  return `+${p}`;
+}
+
+function mapPaymentModeToBoxNow(method) {
+  const normalized = String(method || "").toLowerCase();
+
+  const prepaid = ["card", "stripe", "paypal", "bank_transfer", "bank transfer", "prepaid"];
+  const cod = [
+    "cod",
+    "cash_on_delivery",
+    "cash on delivery",
+    "boxnow_cod",
+    "pay_on_go",
+    "pay on go",
+    "boxnow_pay_on_the_go",
+    "boxnow_pay_on_go",
+  ];
+
+  if (cod.includes(normalized)) return "cod";
+  if (prepaid.includes(normalized)) return "prepaid";
+  return "prepaid";
+}
+
+/**
+ * Parse KG from number/string
+ */
+function parseKg(x) {
+  if (x === null || x === undefined) return 0;
+
+  if (typeof x === "number" && Number.isFinite(x)) {
+    return x > 50 ? x / 1000 : x;
+  }
+
+  let s = String(x).trim().toLowerCase();
+  if (!s) return 0;
+
+  s = s.replace(",", ".");
+  s = s.replace(/gr\b/g, "g");
+
+  const hasKg = /\bkg\b/.test(s);
+  const hasG = /\bg\b/.test(s);
+
+  const num = Number(s.replace(/[^0-9.]/g, ""));
+  if (!Number.isFinite(num) || num <= 0) return 0;
+
+  if (hasKg) return num;
+  if (hasG) return num / 1000;
+
+  return num > 50 ? num / 1000 : num;
+}
+
+/**
+ * ✅ TOTAL WEIGHT RULE
+ */
+function computeTotalWeightKg(order) {
+  const fromCart = parseKg(order?.cartWeightKg);
+  if (fromCart > 0) return fromCart;
+
+  const fromOrder = parseKg(order?.weightKg ?? order?.weight);
+  if (fromOrder > 0) return fromOrder;
+
+  const items = Array.isArray(order?.items) ? order.items : [];
+  let sum = 0;
+
+  for (const it of items) {
+    const qty = Math.max(1, Number(it?.quantity || 1) || 1);
+    const w = parseKg(it?.weightKg) || parseKg(it?.weight);
+    if (w > 0) sum += w * qty;
+  }
+
+  return sum;
+}
+
+function compartmentSizeForWeight(kg) {
+  return kg <= 5 ? 2 : 3;
+}
+
+/**
+ * ✅ PACKING RULE
+ * Up to BOXNOW_MAX_PARCEL_KG the whole order ships as one parcel (total weight as before).
+ * Heavier orders are split by item weight (first-fit decreasing, one unit at a time),
+ * so every item needs a weight. Returns [{ weightKg, compartmentSize, units }] or throws.
+ */
+function packBoxNowParcels(order, totalWeightKg) {
+  const items = Array.isArray(order?.items) ? order.items : [];
+
+  if (totalWeightKg <= BOXNOW_MAX_PARCEL_KG) {
+    return [{ weightKg: totalWeightKg, compartmentSize: compartmentSizeForWeight(totalWeightKg), units: items }];
+  }
+
+  const units = [];
+  for (const it of items.length ? items : [null]) {
+    const w = parseKg(it?.weightKg) || parseKg(it?.weight);
+    if (!(w > 0)) {
+      throw boxnowRequestError(400, {
+        error: "BOXNOW_SPLIT_REQUIRES_ITEM_WEIGHTS",
+        message: `Order over ${BOXNOW_MAX_PARCEL_KG} kg needs item.weightKg/weight on every item to be split`,
+        receivedKg: Number(totalWeightKg.toFixed(3)),
+      });
+    }
+    if (w > BOXNOW_MAX_PARCEL_KG) {
+      throw boxnowRequestError(400, {
+        error: "BOXNOW_MAX_WEIGHT_EXCEEDED",
+        maxKg: BOXNOW_MAX_PARCEL_KG,
+        receivedKg: Number(w.toFixed(3)),
+        item: it?.name || it?.sku || it?.id || null,
+      });
+    }
+    const qty = Math.max(1, Number(it?.quantity || 1) || 1);
+    for (let i = 0; i < qty; i++) units.push({ item: it, weightKg: w });
+  }
+
+  units.sort((a, b) => b.weightKg - a.weightKg);
+
+  const parcels = [];
+  for (const unit of units) {
+    const fit = parcels.find((p) => p.weightKg + unit.weightKg <= BOXNOW_MAX_PARCEL_KG + 1e-9);
+    if (fit) {
+      fit.weightKg += unit.weightKg;
+      fit.units.push(unit.item);
+    } else {
+      parcels.push({ weightKg: unit.weightKg, units: [unit.item] });
+    }
+  }
+
+  if (parcels.length > BOXNOW_MAX_PARCELS) {
+    throw boxnowRequestError(400, {
+      error: "BOXNOW_TOO_MANY_PARCELS",
+      maxParcels: BOXNOW_MAX_PARCELS,
+      requiredParcels: parcels.length,
+    });
+  }
+
+  return parcels.map((p) => ({ ...p, compartmentSize: compartmentSizeForWeight(p.weightKg) }));
+}
+
+// Split the declared value across parcels by contents price (weight if prices are missing); sums exactly
+function splitParcelValues(parcels, invoiceValueNum) {
+  const totalCents = Math.round(toNum(invoiceValueNum) * 100);
+  if (parcels.length === 1) return [safeMoney(totalCents / 100)];
+
+  const worth = parcels.map((p) => p.units.reduce((sum, it) => sum + priceToCents(it), 0));
+  const basis = worth.every((w) => w > 0) ? worth : parcels.map((p) => p.weightKg);
+  const basisTotal = basis.reduce((a, b) => a + b, 0) || 1;
+
+  let assigned = 0;
+  return parcels.map((_, i) => {
+    const cents = i === parcels.length - 1 ? totalCents - assigned : Math.floor((totalCents * basis[i]) / basisTotal);
+    assigned += cents;
+    return safeMoney(cents / 100);
+  });
+}
+
+// -------------------- TOKEN CACHE --------------------
+let cachedToken = null;
+let tokenExpiryMs = 0;
+
+async function authToken() {
+  ensureEnv();
+
+  const now = Date.now();
+  if (cachedToken && now < tokenExpiryMs - 30_000) return cachedToken;
+
+  const res = await fetch(`${API_BASE}/api/v1/auth-sessions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", accept: "application/json" },
+    body: JSON.stringify({
+      grant_type: "client_credentials",
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+    }),
+  });
+
+  const text = await res.text();
+  if (!res.ok) throw new Error(`BoxNow auth failed: ${res.status} ${text.slice(0, 500)}`);
+
+  const data = JSON.parse(text);
+  const token = data.access_token;
+  const expiresIn = Number(data.expires_in || 3600);
+
+  if (!token) throw new Error("BoxNow auth missing access_token");
+
+  cachedToken = token;
+  tokenExpiryMs = Date.now() + Math.max(60, expiresIn - 300) * 1000;
+  return cachedToken;
+}
+
+function buildHeaders(token) {
+  const h = {
+    Authorization: `Bearer ${token}`,
+    accept: "application/json",
+  };
+  if (PARTNER_ID) h["X-PartnerID"] = PARTNER_ID;
+  return h;
+}
+
+async function boxnowApiFetch(p, opts = {}) {
+  const token = await authToken();
+  const url = `${API_BASE}${p.startsWith("/") ? "" : "/"}${p}`;
+  return fetch(url, {
+    ...opts,
+    headers: {
+      ...buildHeaders(token),
+      "Content-Type": "application/json",
+      ...(opts.headers || {}),
+    },
+  });
+}
+
+// ✅ Manual supports label retrieval
+async function fetchBoxNowLabelPDF(orderNumber) {
+  const token = await authToken();
+  const url = `${API_BASE}/api/v1/delivery-requests/${encodeURIComponent(orderNumber)}/label.pdf`;
+
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), 15000);
+
+  const r = await fetch(url, {
+    method: "GET",
+    signal: controller.signal,
+    headers: { ...buildHeaders(token), accept: "application/pdf" },
+  }).finally(() => clearTimeout(t));
+
+  const ct = (r.headers.get("content-type") || "").toLowerCase();
+
+  if (!r.ok) {
+    const txt = await r.text().catch(() => "");
+    throw new Error(`Label(order) fetch failed (${r.status}): ct=${ct} body=${txt.slice(0, 200)}`);
+  }
+
+  const buf = Buffer.from(await r.arrayBuffer());
+  if (buf.length < 4 || buf.slice(0, 4).toString() !== "%PDF") {
+    const preview = buf.slice(0, 200).toString("utf8");
+    throw new Error(`Label(order) is not PDF: ct=${ct} bytes=${buf.length} preview=${preview}`);
+  }
+
+  return buf;
+}
+
+// ✅ Preferred: label by parcelId (manual response includes parcels[].id)
+async function fetchBoxNowLabelPDFByParcelId(parcelId) {
+  const token = await authToken();
+  const url = `${API_BASE}/api/v1/parcels/${encodeURIComponent(parcelId)}/label.pdf`;
+
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), 15000);
+
+  const r = await fetch(url, {
+    method: "GET",
+    signal: controller.signal,
+    headers: { ...buildHeaders(token), accept: "application/pdf" },
+  }).finally(() => clearTimeout(t));
+
+  const ct = (r.headers.get("content-type") || "").toLowerCase();
+
+  if (!r.ok) {
+    const txt = await r.text().catch(() => "");
+    throw new Error(`Label(parcel) fetch failed (${r.status}): ct=${ct} body=${txt.slice(0, 200)}`);
+  }
+
+  const buf = Buffer.from(await r.arrayBuffer());
+  if (buf.length < 4 || buf.slice(0, 4).toString() !== "%PDF") {
+    const preview = buf.slice(0, 200).toString("utf8");
+    throw new Error(`Label(parcel) is not PDF: ct=${ct} bytes=${buf.length} preview=${preview}`);
+  }
+
+  return buf;
+}
+
+// labels: [{ parcelId, pdf }] – one attachment per parcel
+async function emailVoucherPdf({ orderNumber, labels }) {
+  const transporter = getMailer();
+  if (!transporter) return { sent: false, reason: "mail_not_configured" };
+
+  const toList = VOUCHER_EMAIL_TO.split(",").map((s) => s.trim()).filter(Boolean);
+  if (!toList.length) return { sent: false, reason: "empty_recipient_list" };
+
+  const bytes = labels.reduce((sum, l) => sum + (l.pdf?.length || 0), 0);
+  console.log("[VOUCHER_EMAIL]", { orderNumber, to: toList, labels: labels.length, bytes });
+
+  const multi = labels.length > 1;
+  await transporter.sendMail({
+    from: `"Gods n Bees" <${MAIL_USER}>`,
+    to: toList,
+    subject: `BOXNOW Voucher – ${orderNumber}`,
+    text: multi
+      ? `Επισυνάπτονται ${labels.length} BoxNow vouchers (PDF) για την αποστολή ${orderNumber}.`
+      : `Επισυνάπτεται το BoxNow voucher (PDF) για την αποστολή ${orderNumber}.`,
+    attachments: labels.map((l) => ({
+      filename: multi ? `BOXNOW-${orderNumber}-${l.parcelId}.pdf` : `BOXNOW-${orderNumber}.pdf`,
+      content: l.pdf,
+    })),
+  });
+
+  return { sent: true, to: toList };
+}
+
+async function emailLowStockAlert({ sku, name, onHand, reserved, available, threshold }) {
+  const transporter = getMailer();
+  if (!transporter) return { sent: false, reason: "mail_not_configured" };
+
+  const toList = VOUCHER_EMAIL_TO.split(",").map((s) => s.trim()).filter(Boolean);
+  if (!toList.length) return { sent: false, reason: "empty_recipient_list" };
+
+  console.log("[LOW_STOCK_EMAIL]", { sku, available, threshold, to: toList });
+
+  await transporter.sendMail({
+    from: `"Gods n Bees" <${MAIL_USER}>`,
+    to: toList,
+    subject: `Χαμηλό απόθεμα – ${name} (${sku})`,
+    text:
+      `Το διαθέσιμο απόθεμα για ${name} (${sku}) έπεσε στα ${available} τεμάχια ` +
+      `(όριο ειδοποίησης: ${threshold}).\n` +
+      `Στην αποθήκη: ${onHand}, δεσμευμένα σε απλήρωτες παραγγελίες: ${reserved}.`,
+  });
+
+  return { sent: true, to: toList };
+}
+
+// -------------------- CUSTOMER EMAILS --------------------
+// Transactional emails to the customer (HTML + text, el/en). Each type is sent once per order
+// (tracked in metadata.emails); without SMTP they are skipped, but can still be previewed by an admin
+// (/api/dev/emails, only with EMAIL_PREVIEW=true: a preview of a real order shows the customer's details).
+const CUSTOMER_EMAIL_TYPES = ["order_confirmation", "payment_received", "parcel_shipped", "delivered", "refund_issued"];
+const CUSTOMER_EMAIL_DEFAULT_LOCALE = (process.env.CUSTOMER_EMAIL_LOCALE || "el").trim() === "en" ? "en" : "el";
+// e.g. https://boxnow.gr/en/?track={parcelId}
+const CUSTOMER_TRACKING_URL = (process.env.CUSTOMER_TRACKING_URL || "").trim();
+const EMAIL_PREVIEW_ENABLED = String(process.env.EMAIL_PREVIEW || "false").toLowerCase() === "true";
+
+const CUSTOMER_EMAIL_STRINGS = {
+  el: {
+    greeting: (name) => `Γεια σας ${name},`,
+    signoff: "Ευχαριστούμε που επιλέξατε τα προϊόντα μας!",
+    order: "Παραγγελία",
+    subtotal: "Υποσύνολο",
+    discount: "Έκπτωση",
+    shipping: "Μεταφορικά",
+    total: "Σύνολο",
+    vatIncluded: "εκ των οποίων ΦΠΑ",
+    receipt: "Απόδειξη",
+    paymentMethod: "Τρόπος πληρωμής",
+    amountPaid: "Ποσό",
+    refundAmount: "Ποσό επιστροφής",
+    refundedTotal: "Σύνολο επιστροφών",
+    locker: "Locker παραλαβής",
+    address: "Διεύθυνση",
+    tracking: "Αριθμός αποστολής",
+    trackLink: "Παρακολούθηση αποστολής",
+    codDue: (amount) => `Πληρωμή κατά την παραλαβή: ${amount}`,
+    methods: { card: "Κάρτα", paypal: "PayPal", cod: "Αντικαταβολή", bank_transfer: "Τραπεζική κατάθεση" },
+    order_confirmation: {
+      subject: (o) => `Επιβεβαίωση παραγγελίας ${o.orderNumber}`,
+      intro: "Λάβαμε την παραγγελία σας. Θα σας ενημερώσουμε μόλις αποσταλεί.",
+    },
+    payment_received: {
+      subject: (o) => `Λάβαμε την πληρωμή σας – ${o.orderNumber}`,
+      intro: "Η πληρωμή σας ολοκληρώθηκε. Ετοιμάζουμε την παραγγελία σας για αποστολή.",
+    },
+    parcel_shipped: {
+      subject: (o) => `Η παραγγελία σας είναι καθ' οδόν – ${o.orderNumber}`,
+      intro: "Η παραγγελία σας παραδόθηκε στη BOX NOW και έρχεται στο locker που επιλέξατε.",
+    },
+    delivered: {
+      subject: (o) => `Η παραγγελία σας παραδόθηκε – ${o.orderNumber}`,
+      intro: "Η παραγγελία σας παραδόθηκε. Ελπίζουμε να την απολαύσετε!",
+    },
+    refund_issued: {
+      subject: (o) => `Επιστροφή χρημάτων – ${o.orderNumber}`,
+      intro:
+        "Σας επιστρέψαμε χρήματα για την παραγγελία σας. Το ποσό θα εμφανιστεί στον λογαριασμό σας σε 5–10 εργάσιμες.",
+    },
+  },
+  en: {
+    greeting: (name) => `Hello ${name},`,
+    signoff: "Thank you for choosing our products!",
+    order: "Order",
+    subtotal: "Subtotal",
+    discount: "Discount",
+    shipping: "Shipping",
+    total: "Total",
+    vatIncluded: "incl. VAT",
+    receipt: "Receipt",
+    paymentMethod: "Payment method",
+    amountPaid: "Amount",
+    refundAmount: "Refund amount",
+    refundedTotal: "Total refunded",
+    locker: "Pickup locker",
+    address: "Address",
+    tracking: "Tracking number",
+    trackLink: "Track your parcel",
+    codDue: (amount) => `Pay on pickup: ${amount}`,
+    methods: { card: "Card", paypal: "PayPal", cod: "Cash on delivery", bank_transfer: "Bank transfer" },
+    order_confirmation: {
+      subject: (o) => `Order confirmation ${o.orderNumber}`,
+      intro: "We have received your order. We will let you know as soon as it ships.",
+    },
+    payment_received: {
+      subject: (o) => `We received your payment – ${o.orderNumber}`,
+      intro: "Your payment is complete. We are getting your order ready to ship.",
+    },
+    parcel_shipped: {
+      subject: (o) => `Your parcel is on its way – ${o.orderNumber}`,
+      intro: "Your order has been handed to BOX NOW and is on its way to the locker you selected.",
+    },
+    delivered: {
+      subject: (o) => `Your order has been delivered – ${o.orderNumber}`,
+      intro: "Your order has been delivered. We hope you enjoy it!",
+    },
+    refund_issued: {
+      subject: (o) => `Refund issued – ${o.orderNumber}`,
+      intro: "We have issued a refund for your order. It should appear on your statement within 5–10 business days.",
+    },
+  },
+};
+
+function customerLocale(order) {
+  const raw = String(order?.customer?.locale || order?.locale || "").toLowerCase();
+  if (raw.startsWith("en")) return "en";
+  if (raw.startsWith("el") || raw.startsWith("gr")) return "el";
+  return CUSTOMER_EMAIL_DEFAULT_LOCALE;
+}
+
+function formatEur(amount, locale) {
+  return new Intl.NumberFormat(locale === "en" ? "en-IE" : "el-GR", { style: "currency", currency: "EUR" }).format(
+    toNum(amount)
+  );
+}
+
+function escapeHtml(s) {
+  const map = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+  return String(s ?? "").replace(/[&<>"']/g, (c) => map[c]);
+}
+
+function paymentMethodLabel(method, t) {
+  const m = String(method || "").toLowerCase();
+  if (mapPaymentModeToBoxNow(m) === "cod") return t.methods.cod;
+  if (m === "paypal") return t.methods.paypal;
+  if (m.startsWith("bank")) return t.methods.bank_transfer;
+  return t.methods.card;
+}
+
+// Blocks shared by the HTML and text renderers: { p } paragraphs, { rows: [[label, value]] } tables, { link }
+// `key` picks the refund for refund_issued ("refund:<id>", default: the latest one)
+function customerEmailBlocks(type, order, locale, { key = null } = {}) {
+  const t = CUSTOMER_EMAIL_STRINGS[locale];
+  const totals = order.totals || {};
+  const boxnow = order.metadata?.boxnow || {};
+  const payment = order.metadata?.payment || {};
+  const eur = (n) => formatEur(n, locale);
+
+  const lockerRows = [
+    ...(boxnow.pickupName || boxnow.lockerId ? [[t.locker, boxnow.pickupName || boxnow.lockerId]] : []),
+    ...(boxnow.pickupAddress ? [[t.address, boxnow.pickupAddress]] : []),
+  ];
+
+  const blocks = [{ p: t.greeting(order.customer?.name || "") }, { p: t[type].intro }];
+
+  if (type === "order_confirmation") {
+    const items = Array.isArray(order.items) ? order.items : [];
+    blocks.push({
+      rows: items.map((it) => {
+        const qty = Math.max(1, Math.round(toNum(it.quantity || 1)));
+        return [`${it.name || it.sku} × ${qty}`, eur((priceToCents(it) * qty) / 100)];
+      }),
+    });
+    blocks.push({
+      rows: [
+        [t.subtotal, eur(totals.subtotal)],
+        ...(toNum(totals.discount) > 0 ? [[t.discount, `-${eur(totals.discount)}`]] : []),
+        [t.shipping, eur(totals.shipping)],
+        [t.total, eur(totals.total)],
+        ...(totals.vat ? [[t.vatIncluded, eur(totals.vat.vat)]] : []),
+        [t.paymentMethod, paymentMethodLabel(payment.method, t)],
+        ...lockerRows,
+      ],
+    });
+  }
+
+  if (type === "payment_received") {
+    blocks.push({
+      rows: [
+        [t.order, order.orderNumber],
+        [t.amountPaid, eur(totals.total)],
+        [t.paymentMethod, paymentMethodLabel(payment.method, t)],
+        ...(order.receipt ? [[t.receipt, order.receipt.label]] : []),
+      ],
+    });
+  }
+
+  if (type === "parcel_shipped") {
+    const parcelIds = boxnow.parcelIds?.length ? boxnow.parcelIds : [boxnow.trackingNumber].filter(Boolean);
+    blocks.push({ rows: [[t.order, order.orderNumber], ...lockerRows, [t.tracking, parcelIds.join(", ") || "-"]] });
+    if (mapPaymentModeToBoxNow(payment.method) === "cod" && payment.status !== "paid") {
+      blocks.push({ p: t.codDue(eur(codAmountToCollect(order))) });
+    }
+    if (CUSTOMER_TRACKING_URL && parcelIds.length) {
+      for (const id of parcelIds) {
+        const link = CUSTOMER_TRACKING_URL.replace("{parcelId}", encodeURIComponent(id));
+        blocks.push({ link, label: `${t.trackLink} ${id}` });
+      }
+    }
+  }
+
+  if (type === "delivered") {
+    const receiptRows = order.receipt && isCodOrder(order) ? [[t.receipt, order.receipt.label]] : [];
+    blocks.push({ rows: [[t.order, order.orderNumber], ...lockerRows, ...receiptRows] });
+  }
+
+  if (type === "refund_issued") {
+    const refunds = payment.refunds || [];
+    const latest = refunds[refunds.length - 1] || { amount: payment.amountRefunded, items: [] };
+    const refund = refunds.find((r) => `refund:${r.id}` === key) || latest;
+    blocks.push({
+      rows: [
+        [t.order, order.orderNumber],
+        ...(refund.items || []).map((it) => [`${it.name || it.sku} × ${it.quantity}`, eur(it.amount)]),
+        ...(refund.shipping ? [[t.shipping, eur(totals.shipping)]] : []),
+        [t.refundAmount, eur(refund.amount)],
+        ...(toNum(payment.amountRefunded) > toNum(refund.amount)
+          ? [[t.refundedTotal, eur(payment.amountRefunded)]]
+          : []),
+      ],
+    });
+  }
+
+  blocks.push({ p: t.signoff }, { p: "Gods n Bees" });
+  return blocks;
+}
+
+function renderCustomerEmail(type, order, locale = customerLocale(order), { key = null } = {}) {
+  if (!CUSTOMER_EMAIL_TYPES.includes(type)) throw httpError(400, "UNKNOWN_EMAIL_TYPE", `Unknown email type: ${type}`);
+
+  const blocks = customerEmailBlocks(type, order, locale, { key });
+  const subject = CUSTOMER_EMAIL_STRINGS[locale][type].subject(order);
+
+  const text = blocks
+    .map((b) => {
+      if (b.rows) return b.rows.map(([label, value]) => `${label}: ${value}`).join("\n");
+      if (b.link) return `${b.label}: ${b.link}`;
+      return b.p;
+    })
+    .join("\n\n");
+
+  const cell = "padding:6px 0;border-bottom:1px solid #eee";
+  const body = blocks
+    .map((b) => {
+      if (b.rows) {
+        const rows = b.rows
+          .map(([label, value]) => {
+            const [l, v] = [label, value].map(escapeHtml);
+            return `<tr><td style="${cell}">${l}</td><td style="${cell};text-align:right">${v}</td></tr>`;
+          })
+          .join("");
+        return `<table style="width:100%;border-collapse:collapse;margin:16px 0">${rows}</table>`;
+      }
+      if (b.link) return `<p><a href="${escapeHtml(b.link)}" style="color:#b7791f">${escapeHtml(b.label)}</a></p>`;
+      return `<p>${escapeHtml(b.p)}</p>`;
+    })
+    .join("\n");
+
+  const html = `<!doctype html>
+<html lang="${locale}"><head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin:0;background:#faf7f0;font-family:Arial,Helvetica,sans-serif;color:#333">
+<div style="max-width:560px;margin:0 auto;padding:24px;background:#fff">
+<h2 style="color:#b7791f;margin-top:0">${escapeHtml(subject)}</h2>
+${body}
+</div></body></html>`;
+
+  return { subject, html, text, locale };
+}
+
+/**
+ * Queue a customer email once per order and key (default key = type) in the outbox.
+ * Never throws; delivery status is mirrored in metadata.emails[key].
+ */
+function notifyCustomer(type, order, { key = type } = {}) {
+  const orderNumber = order?.orderNumber;
+  const to = String(order?.customer?.email || "").trim();
+  try {
+    if (!mailEnabled() || !to) {
+      console.log("[CUSTOMER_EMAIL_SKIPPED]", { orderNumber, type, reason: !to ? "no_email" : "mail_not_configured" });
+      return { queued: false, reason: !to ? "no_email" : "mail_not_configured" };
+    }
+
+    const dedupeKey = `customer:${orderNumber}:${key}`;
+    const outbox = enqueueEmail("customer", { type, orderNumber, key }, { orderNumber, dedupeKey });
+    if (!outbox.created) return { queued: false, reason: "already_queued", outboxId: outbox.id };
+
+    const at = new Date().toISOString();
+    updateOrderEmailStatus(orderNumber, key, { type, status: "queued", outboxId: outbox.id, at });
+    kickOutbox(outbox.id);
+    return { queued: true, outboxId: outbox.id };
+  } catch (err) {
+    console.error("[CUSTOMER_EMAIL_ERROR]", { orderNumber, type, error: err?.message || String(err) });
+    return { queued: false, reason: err?.message || String(err) };
+  }
+}
+
+// Throws on SMTP failure (the outbox retries)
+async function sendCustomerEmail(type, order, { key = type } = {}) {
+  const transporter = getMailer();
+  if (!transporter) throw new Error("mail_not_configured");
+
+  const email = renderCustomerEmail(type, order, customerLocale(order), { key });
+  const to = String(order.customer?.email || "").trim();
+  const attachments =
+    type === receiptEmailType(order) && order.receipt && RECEIPT_ATTACH_TO_EMAIL
+      ? [{ filename: receiptFilename(order), content: await renderReceiptPdf(order) }]
+      : [];
+  await transporter.sendMail({
+    from: `"Gods n Bees" <${MAIL_USER}>`,
+    to,
+    subject: email.subject,
+    text: email.text,
+    html: email.html,
+    ...(attachments.length ? { attachments } : {}),
+  });
+  return { to, locale: email.locale };
+}
+
+function updateOrderEmailStatus(orderNumber, key, status) {
+  return orderRepository.update(orderNumber, (o) => {
+    o.metadata = { ...o.metadata, emails: { ...(o.metadata?.emails || {}), [key]: status } };
+  });
+}
+
+// Dev preview (no SMTP needed): /api/dev/emails/:type?orderNumber=...&lang=el|en&format=html|text|json
+const SAMPLE_EMAIL_ORDER = {
+  orderNumber: "ORD-PREVIEW",
+  customer: { name: "Μαρία Παπαδοπούλου", email: "customer@example.com", phone: "+306900000000" },
+  items: [
+    { sku: "THYME-450", name: "Θυμαρίσιο μέλι 450g", price: 12.5, price_in_cents: 1250, quantity: 2 },
+    { sku: "PINE-900", name: "Πευκόμελο 900g", price: 19.9, price_in_cents: 1990, quantity: 1 },
+  ],
+  totals: { subtotal: 44.9, shipping: 2.9, discount: 0, total: 47.8 },
+  metadata: {
+    payment: { method: "card", status: "paid" },
+    boxnow: {
+      lockerId: "4",
+      pickupName: "BOX NOW Locker – Σύνταγμα",
+      pickupAddress: "Πανεπιστημίου 10, 10671 Αθήνα",
+      parcelIds: ["9219709201"],
+      trackingNumber: "9219709201",
+    },
+  },
+};
+
+app.get("/api/dev/emails", requireAdmin, (_req, res) => {
+  if (!EMAIL_PREVIEW_ENABLED) return res.status(404).json({ error: "Not found" });
+  return res.json({
+    types: CUSTOMER_EMAIL_TYPES,
+    locales: Object.keys(CUSTOMER_EMAIL_STRINGS),
+    example: "/api/dev/emails/order_confirmation?lang=en&format=html",
+  });
+});
+
+app.get("/api/dev/emails/:type", requireAdmin, (req, res) => {
+  if (!EMAIL_PREVIEW_ENABLED) return res.status(404).json({ error: "Not found" });
+  try {
+    const { orderNumber, lang, format = "html" } = req.query;
+    const order = orderNumber ? orderRepository.get(String(orderNumber)) : SAMPLE_EMAIL_ORDER;
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const locale = lang ? (String(lang) === "en" ? "en" : "el") : customerLocale(order);
+    const email = renderCustomerEmail(req.params.type, order, locale);
+
+    if (format === "text") {
+      return res.type("text/plain; charset=utf-8").send(`Subject: ${email.subject}\n\n${email.text}`);
+    }
+    if (format === "json") return res.json(email);
+    return res.type("html").send(email.html);
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message, ...(e.code ? { code: e.code } : {}) });
+  }
+});
+
+// -------------------- EMAIL OUTBOX --------------------
+// Every outgoing email is stored first and sent by a worker; failed sends are retried with
+// exponential backoff (OUTBOX_RETRY_BASE_SECONDS * 2^(attempt-1), capped) up to OUTBOX_MAX_ATTEMPTS,
+// then left as "failed" for an admin to resend.
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 8);
+const OUTBOX_RETRY_BASE_SECONDS = Number(process.env.OUTBOX_RETRY_BASE_SECONDS || 60);
+const OUTBOX_RETRY_MAX_SECONDS = Number(process.env.OUTBOX_RETRY_MAX_SECONDS || 6 * 3600);
+const OUTBOX_POLL_SECONDS = Number(process.env.OUTBOX_POLL_SECONDS || 30);
+const OUTBOX_STATUSES = ["pending", "sending", "sent", "failed"];
+
+// kind -> async (payload) => result; throw to retry
+const OUTBOX_HANDLERS = {
+  // Labels are fetched at send time, so a label that isn't ready yet is retried like an SMTP error
+  voucher: async ({ orderNumber, parcelIds = [], reference }) => {
+    const labels = [];
+    if (parcelIds.length) {
+      for (const id of parcelIds) labels.push({ parcelId: id, pdf: (await getParcelLabel(id, { orderNumber })).pdf });
+    } else {
+      labels.push({ parcelId: null, pdf: await fetchBoxNowLabelPDF(reference || orderNumber) });
+    }
+
+    const result = await emailVoucherPdf({ orderNumber, labels });
+    if (!result.sent) throw new Error(result.reason);
+    return result;
+  },
+
+  customer: async ({ type, orderNumber, key }) => {
+    const order = orderRepository.get(orderNumber);
+    if (!order) throw new Error(`Order ${orderNumber} not found`);
+    return sendCustomerEmail(type, order, { key });
+  },
+
+  low_stock: async (payload) => {
+    const result = await emailLowStockAlert(payload);
+    if (!result.sent) throw new Error(result.reason);
+    return result;
+  },
+};
+
+function outboxRowToMessage(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    kind: row.kind,
+    orderNumber: row.order_number,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    sentAt: row.sent_at,
+    payload: JSON.parse(row.payload),
+  };
+}
+
+// Returns { id, created }; an existing dedupeKey returns the earlier message instead
+function enqueueEmail(kind, payload, { orderNumber = null, dedupeKey = null } = {}) {
+  if (!OUTBOX_HANDLERS[kind]) throw new Error(`Unknown outbox kind: ${kind}`);
+
+  const now = new Date().toISOString();
+  const r = db
+    .prepare(
+      `INSERT OR IGNORE INTO email_outbox (kind, order_number, dedupe_key, payload, status, attempts, next_attempt_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, 'pending', 0, ?, ?, ?)`
+    )
+    .run(kind, orderNumber, dedupeKey, JSON.stringify(payload), now, now, now);
+
+  if (r.changes) {
+    console.log("[OUTBOX_QUEUED]", { id: Number(r.lastInsertRowid), kind, orderNumber });
+    return { id: Number(r.lastInsertRowid), created: true };
+  }
+  return { id: db.prepare("SELECT id FROM email_outbox WHERE dedupe_key = ?").get(dedupeKey).id, created: false };
+}
+
+function outboxBackoffMs(attempts) {
+  return Math.min(OUTBOX_RETRY_BASE_SECONDS * 2 ** Math.max(0, attempts - 1), OUTBOX_RETRY_MAX_SECONDS) * 1000;
+}
+
+// One attempt; returns the message afterwards. Messages already being sent (or sent) are left alone.
+async function processOutboxMessage(id) {
+  const claimed = db
+    .prepare("UPDATE email_outbox SET status = 'sending', updated_at = ? WHERE id = ? AND status = 'pending'")
+    .run(new Date().toISOString(), id);
+  const row = db.prepare("SELECT * FROM email_outbox WHERE id = ?").get(id);
+  if (!claimed.changes) return outboxRowToMessage(row);
+
+  const payload = JSON.parse(row.payload);
+  const attempts = row.attempts + 1;
+  let status;
+  let lastError = null;
+
+  try {
+    await OUTBOX_HANDLERS[row.kind](payload);
+    status = "sent";
+    const now = new Date().toISOString();
+    db.prepare(
+      "UPDATE email_outbox SET status = 'sent', attempts = ?, last_error = NULL, sent_at = ?, updated_at = ? WHERE id = ?"
+    ).run(attempts, now, now, id);
+  } catch (err) {
+    lastError = err?.message || String(err);
+    status = attempts >= OUTBOX_MAX_ATTEMPTS ? "failed" : "pending";
+    const next = new Date(Date.now() + outboxBackoffMs(attempts)).toISOString();
+    db.prepare(
+      "UPDATE email_outbox SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?, updated_at = ? WHERE id = ?"
+    ).run(status, attempts, lastError.slice(0, 1000), next, new Date().toISOString(), id);
+  }
+
+  console.log("[OUTBOX_ATTEMPT]", { id, kind: row.kind, orderNumber: row.order_number, attempts, status, lastError });
+
+  if (row.kind === "customer" && payload.orderNumber) {
+    try {
+      updateOrderEmailStatus(payload.orderNumber, payload.key || payload.type, {
+        type: payload.type,
+        status: status === "pending" ? "retrying" : status,
+        outboxId: id,
+        attempts,
+        at: new Date().toISOString(),
+        ...(lastError ? { error: lastError } : {}),
+      });
+    } catch (err) {
+      console.error("[OUTBOX_ORDER_UPDATE_ERROR]", { id, error: err?.message || String(err) });
+    }
+  }
+
+  return outboxRowToMessage(db.prepare("SELECT * FROM email_outbox WHERE id = ?").get(id));
+}
+
+// First attempt right away, without blocking the caller
+function kickOutbox(id) {
+  processOutboxMessage(id).catch((err) => console.error("[OUTBOX_ERROR]", { id, error: err?.message || err }));
+}
+
+let outboxRunning = false;
+
+async function processOutbox() {
+  if (outboxRunning) return { skipped: true, reason: "already_running" };
+  outboxRunning = true;
+
+  const summary = { processed: 0, sent: 0, failed: 0 };
+  try {
+    const due = db
+      .prepare("SELECT id FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id LIMIT 50")
+      .all(new Date().toISOString());
+
+    for (const { id } of due) {
+      const message = await processOutboxMessage(id);
+      summary.processed += 1;
+      if (message?.status === "sent") summary.sent += 1;
+      if (message?.status === "failed") summary.failed += 1;
+    }
+  } finally {
+    outboxRunning = false;
+  }
+
+  if (summary.processed) console.log("[OUTBOX_RUN]", summary);
+  return summary;
+}
+
+function startOutboxWorker() {
+  // A crash mid-send leaves "sending" rows behind; they go back in the queue
+  db.prepare("UPDATE email_outbox SET status = 'pending', updated_at = ? WHERE status = 'sending'").run(
+    new Date().toISOString()
+  );
+
+  const timer = setInterval(() => {
+    processOutbox().catch((err) => console.error("[OUTBOX_ERROR]", err?.message || err));
+  }, OUTBOX_POLL_SECONDS * 1000);
+  timer.unref();
+}
+
+// ?status=failed (default) | pending | sending | sent | all, &orderNumber=
+app.get("/api/admin/outbox", requireAdmin, (req, res) => {
+  try {
+    const status = String(req.query.status || "failed");
+    if (status !== "all" && !OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: all, ${OUTBOX_STATUSES.join(", ")}` });
+    }
+
+    const where = [];
+    const params = [];
+    if (status !== "all") {
+      where.push("status = ?");
+      params.push(status);
+    }
+    if (req.query.orderNumber) {
+      where.push("order_number = ?");
+      params.push(String(req.query.orderNumber));
+    }
+
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const rows = db.prepare(`SELECT * FROM email_outbox ${whereSql} ORDER BY id DESC LIMIT ?`).all(...params, limit);
+
+    return res.json({ messages: rows.map(outboxRowToMessage) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Resend: resets the attempt counter and tries once now (later retries follow the normal backoff)
+app.post("/api/admin/outbox/:id/resend", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const row = db.prepare("SELECT * FROM email_outbox WHERE id = ?").get(id);
+    if (!row) return res.status(404).json({ error: "Message not found" });
+    if (row.status === "sending") return res.status(409).json({ error: "Message is being sent" });
+    // A sent message stays sent: resetting it would mail the customer a second copy
+    if (row.status === "sent") return res.status(409).json({ error: "Message was already sent" });
+
+    db.prepare(
+      "UPDATE email_outbox SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ? WHERE id = ?"
+    ).run(new Date().toISOString(), new Date().toISOString(), id);
+
+    const message = await processOutboxMessage(id);
+    return res.json({ success: message.status === "sent", message });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// -------------------- HORIZONS ORDER SYNC --------------------
+// Orders reach the Horizons store from the server: when they become paid, or right after creation for COD.
+// One job per order in store_sync_jobs, retried with backoff like the email outbox (client errors other than
+// 408/429 fail at once); the returned id is kept in metadata.horizons.storeOrderId.
+const STORE_SYNC_MAX_ATTEMPTS = Number(process.env.STORE_SYNC_MAX_ATTEMPTS || 10);
+const STORE_SYNC_RETRY_BASE_SECONDS = Number(process.env.STORE_SYNC_RETRY_BASE_SECONDS || 60);
+const STORE_SYNC_RETRY_MAX_SECONDS = Number(process.env.STORE_SYNC_RETRY_MAX_SECONDS || 6 * 3600);
+const STORE_SYNC_POLL_SECONDS = Number(process.env.STORE_SYNC_POLL_SECONDS || 60);
+const STORE_SYNC_STATUSES = ["pending", "syncing", "synced", "failed"];
+
+function horizonsConfigured() {
+  return !!(HORIZONS_STORE_ID && HORIZONS_API_KEY);
+}
+
+// Paid (or settled later) and COD orders belong in the store; cancelled ones don't
+function shouldSyncToStore(order) {
+  const payment = order?.metadata?.payment || {};
+  if (order?.status === "cancelled") return false;
+  return SETTLED_PAYMENT_STATUSES.includes(payment.status) || mapPaymentModeToBoxNow(payment.method) === "cod";
+}
+
+// Stored order -> body for createHorizonsOrder
+function horizonsOrderPayload(order) {
+  const totals = recomputeOrderTotals(order);
+  const payment = order.metadata?.payment || {};
+  const boxnow = order.metadata?.boxnow || {};
+  return {
+    orderNumber: order.orderNumber,
+    items: order.items || [],
+    customer: order.customer || {},
+    totals: {
+      subtotal: totals.subtotal,
+      shipping: totals.shipping,
+      discount: totals.discount,
+      total: totals.total,
+      couponCode: totals.couponCode || null,
+    },
+    metadata: {
+      payment: { method: payment.method || null, status: payment.status || null },
+      boxnow: { lockerId: boxnow.lockerId || null, pickupName: boxnow.pickupName || null },
+      receipt: order.receipt?.label || null,
+    },
+    timestamp: order.createdAt,
+  };
+}
+
+function storeSyncRowToJob(row) {
+  if (!row) return null;
+  return {
+    orderNumber: row.order_number,
+    status: row.status,
+    reason: row.reason,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    storeOrderId: row.store_order_id,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    syncedAt: row.synced_at,
+  };
+}
+
+function getStoreSyncJob(orderNumber) {
+  return storeSyncRowToJob(db.prepare("SELECT * FROM store_sync_jobs WHERE order_number = ?").get(orderNumber));
+}
+
+function updateOrderStoreSync(orderNumber, fields) {
+  return orderRepository.update(orderNumber, (o) => {
+    o.metadata = { ...o.metadata, horizons: { ...(o.metadata?.horizons || {}), ...fields } };
+  });
+}
+
+/**
+ * Queue the order for Horizons (one job per order; `retry` resets a failed job).
+ * Never throws; the first attempt runs right away without blocking the caller (unless `kick` is false).
+ */
+function queueStoreSync(order, reason, { retry = false, kick = true } = {}) {
+  const orderNumber = order?.orderNumber;
+  try {
+    if (!horizonsConfigured()) {
+      console.log("[STORE_SYNC_SKIPPED]", { orderNumber, reason: "horizons_not_configured" });
+      return { queued: false, reason: "horizons_not_configured" };
+    }
+    if (order.metadata?.horizons?.storeOrderId) return { queued: false, reason: "already_synced" };
+
+    const now = new Date().toISOString();
+    const r = db
+      .prepare(
+        `INSERT INTO store_sync_jobs (order_number, status, reason, attempts, next_attempt_at, created_at, updated_at)
+         VALUES (@orderNumber, 'pending', @reason, 0, @now, @now, @now)
+         ON CONFLICT (order_number) DO UPDATE SET
+           status = 'pending', reason = excluded.reason, attempts = 0, next_attempt_at = excluded.next_attempt_at,
+           updated_at = excluded.updated_at
+         WHERE @retry AND store_sync_jobs.status IN ('pending', 'failed')`
+      )
+      .run({ orderNumber, reason, now, retry: retry ? 1 : 0 });
+    if (!r.changes) return { queued: false, reason: "already_queued", job: getStoreSyncJob(orderNumber) };
+
+    updateOrderStoreSync(orderNumber, { status: "pending", reason, queuedAt: now, error: null });
+    console.log("[STORE_SYNC_QUEUED]", { orderNumber, reason, retry });
+    if (kick) kickStoreSync(orderNumber);
+    return { queued: true };
+  } catch (err) {
+    console.error("[STORE_SYNC_ERROR]", { orderNumber, error: err?.message || String(err) });
+    return { queued: false, reason: err?.message || String(err) };
+  }
+}
+
+function storeSyncBackoffMs(attempts) {
+  return Math.min(STORE_SYNC_RETRY_BASE_SECONDS * 2 ** Math.max(0, attempts - 1), STORE_SYNC_RETRY_MAX_SECONDS) * 1000;
+}
+
+// One attempt; returns the job afterwards. Jobs already syncing (or synced) are left alone.
+async function processStoreSyncJob(orderNumber) {
+  const claimed = db
+    .prepare(
+      "UPDATE store_sync_jobs SET status = 'syncing', updated_at = ? WHERE order_number = ? AND status = 'pending'"
+    )
+    .run(new Date().toISOString(), orderNumber);
+  const row = db.prepare("SELECT * FROM store_sync_jobs WHERE order_number = ?").get(orderNumber);
+  if (!claimed.changes) return storeSyncRowToJob(row);
+
+  const attempts = row.attempts + 1;
+  let status;
+  let storeOrderId = null;
+  let lastError = null;
+
+  try {
+    const order = orderRepository.get(orderNumber);
+    if (!order) throw new Error(`Order ${orderNumber} not found`);
+
+    storeOrderId = order.metadata?.horizons?.storeOrderId || null;
+    if (!storeOrderId) {
+      const payload = horizonsOrderPayload(order);
+      ({ storeOrderId } = await createHorizonsOrder(payload, { idempotencyKey: `order:${orderNumber}` }));
+    }
+    status = "synced";
+    const now = new Date().toISOString();
+    db.prepare(
+      `UPDATE store_sync_jobs SET status = 'synced', attempts = ?, last_error = NULL, store_order_id = ?, synced_at = ?,
+       updated_at = ? WHERE order_number = ?`
+    ).run(attempts, storeOrderId, now, now, orderNumber);
+  } catch (err) {
+    lastError = err?.message || String(err);
+    const permanent = err?.status >= 400 && err?.status < 500 && ![408, 429].includes(err.status);
+    status = permanent || attempts >= STORE_SYNC_MAX_ATTEMPTS ? "failed" : "pending";
+    const next = new Date(Date.now() + storeSyncBackoffMs(attempts)).toISOString();
+    db.prepare(
+      `UPDATE store_sync_jobs SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?, updated_at = ?
+       WHERE order_number = ?`
+    ).run(status, attempts, lastError.slice(0, 1000), next, new Date().toISOString(), orderNumber);
+  }
+
+  console.log("[STORE_SYNC_ATTEMPT]", { orderNumber, attempts, status, storeOrderId, lastError });
+
+  try {
+    const at = new Date().toISOString();
+    updateOrderStoreSync(
+      orderNumber,
+      status === "synced"
+        ? { status, storeOrderId, syncedAt: at, attempts, error: null }
+        : { status: status === "pending" ? "retrying" : status, attempts, error: lastError, at }
+    );
+  } catch (err) {
+    console.error("[STORE_SYNC_ORDER_UPDATE_ERROR]", { orderNumber, error: err?.message || String(err) });
+  }
+
+  return getStoreSyncJob(orderNumber);
+}
+
+function kickStoreSync(orderNumber) {
+  processStoreSyncJob(orderNumber).catch((err) =>
+    console.error("[STORE_SYNC_ERROR]", { orderNumber, error: err?.message || err })
+  );
+}
+
+let storeSyncRunning = false;
+
+async function processStoreSyncQueue() {
+  if (storeSyncRunning) return { skipped: true, reason: "already_running" };
+  storeSyncRunning = true;
+
+  const summary = { processed: 0, synced: 0, failed: 0 };
+  try {
+    const due = db
+      .prepare(
+        `SELECT order_number FROM store_sync_jobs WHERE status = 'pending' AND next_attempt_at <= ?
+         ORDER BY next_attempt_at LIMIT 50`
+      )
+      .all(new Date().toISOString());
+
+    for (const { order_number: orderNumber } of due) {
+      const job = await processStoreSyncJob(orderNumber);
+      summary.processed += 1;
+      if (job?.status === "synced") summary.synced += 1;
+      if (job?.status === "failed") summary.failed += 1;
+    }
+  } finally {
+    storeSyncRunning = false;
+  }
+
+  if (summary.processed) console.log("[STORE_SYNC_RUN]", summary);
+  return summary;
+}
+
+function startStoreSyncWorker() {
+  // A crash mid-request leaves "syncing" rows behind; they go back in the queue
+  db.prepare("UPDATE store_sync_jobs SET status = 'pending', updated_at = ? WHERE status = 'syncing'").run(
+    new Date().toISOString()
+  );
+
+  const timer = setInterval(() => {
+    processStoreSyncQueue().catch((err) => console.error("[STORE_SYNC_ERROR]", err?.message || err));
+  }, STORE_SYNC_POLL_SECONDS * 1000);
+  timer.unref();
+}
+
+// Every Horizons store order (paged; the list shape follows the products endpoint)
+async function listHorizonsOrders() {
+  const orders = [];
+  for (let page = 1; page <= 100; page += 1) {
+    const url = `${HORIZONS_API_URL}/stores/${encodeURIComponent(HORIZONS_STORE_ID)}/orders?page=${page}&limit=100`;
+    const headers = { Authorization: `Bearer ${HORIZONS_API_KEY}`, accept: "application/json" };
+    const r = await fetch(url, { headers });
+    const text = await r.text();
+    if (!r.ok) throw new Error(`Store API error ${r.status}: ${text.slice(0, 200)}`);
+
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data?.orders || data?.data || [];
+    orders.push(...list);
+    if (list.length < 100) break;
+  }
+  return orders;
+}
+
+/**
+ * Compare our orders (created in [from, to]) with the Horizons store:
+ * missingInStore (should be there but isn't), missingLocally (store orders we don't know),
+ * cancelledInStore, mismatched (store id / total differ) and duplicatesInStore.
+ */
+async function reconcileStoreOrders({ from = null, to = null } = {}) {
+  const remote = await listHorizonsOrders();
+
+  const remoteByNumber = new Map();
+  const duplicatesInStore = [];
+  for (const r of remote) {
+    const orderNumber = String(r?.orderNumber ?? r?.order_number ?? r?.number ?? "").trim();
+    const entry = {
+      storeOrderId: r?.id != null ? String(r.id) : r?.orderId != null ? String(r.orderId) : null,
+      orderNumber: orderNumber || null,
+      total: r?.totals?.total ?? r?.total ?? null,
+      createdAt: r?.timestamp || r?.createdAt || r?.created_at || null,
+    };
+    if (!orderNumber) continue;
+    if (remoteByNumber.has(orderNumber)) duplicatesInStore.push(entry);
+    else remoteByNumber.set(orderNumber, entry);
+  }
+
+  const missingInStore = [];
+  const cancelledInStore = [];
+  const mismatched = [];
+  let checked = 0;
+
+  for (const order of iterateOrders({ from, to })) {
+    checked += 1;
+    const stored = remoteByNumber.get(order.orderNumber);
+    const local = {
+      orderNumber: order.orderNumber,
+      createdAt: order.createdAt || null,
+      status: order.status || "pending",
+      paymentStatus: order.metadata?.payment?.status || null,
+      total: recomputeOrderTotals(order).total,
+      storeOrderId: order.metadata?.horizons?.storeOrderId || null,
+      syncStatus: order.metadata?.horizons?.status || null,
+    };
+
+    if (!stored) {
+      if (shouldSyncToStore(order)) missingInStore.push(local);
+      continue;
+    }
+    if (order.status === "cancelled") cancelledInStore.push({ ...local, store: stored });
+
+    const problems = [];
+    if (local.storeOrderId && stored.storeOrderId && local.storeOrderId !== stored.storeOrderId) {
+      problems.push("STORE_ORDER_ID");
+    }
+    if (!local.storeOrderId) problems.push("STORE_ORDER_ID_NOT_RECORDED");
+    if (stored.total != null && Math.abs(toNum(stored.total) - local.total) >= 0.01) problems.push("TOTAL");
+    if (problems.length) mismatched.push({ ...local, store: stored, problems });
+  }
+
+  const inRange = (at) => (!from || !at || at >= from) && (!to || !at || at <= to);
+  const missingLocally = [...remoteByNumber.values(), ...duplicatesInStore].filter(
+    (r) => inRange(r.createdAt) && !orderRepository.get(r.orderNumber)
+  );
+
+  return {
+    checkedAt: new Date().toISOString(),
+    from,
+    to,
+    localOrders: checked,
+    storeOrders: remote.length,
+    counts: {
+      missingInStore: missingInStore.length,
+      missingLocally: missingLocally.length,
+      cancelledInStore: cancelledInStore.length,
+      mismatched: mismatched.length,
+      duplicatesInStore: duplicatesInStore.length,
+    },
+    missingInStore,
+    missingLocally,
+    cancelledInStore,
+    mismatched,
+    duplicatesInStore,
+  };
+}
+
+// ?status=failed (default) | pending | syncing | synced | all
+app.get("/api/admin/store-sync", requireAdmin, (req, res) => {
+  try {
+    const status = String(req.query.status || "failed");
+    if (status !== "all" && !STORE_SYNC_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: all, ${STORE_SYNC_STATUSES.join(", ")}` });
+    }
+
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+    const where = status === "all" ? "" : "WHERE status = ?";
+    const params = status === "all" ? [] : [status];
+    const rows = db
+      .prepare(`SELECT * FROM store_sync_jobs ${where} ORDER BY updated_at DESC LIMIT ?`)
+      .all(...params, limit);
+
+    return res.json({ configured: horizonsConfigured(), jobs: rows.map(storeSyncRowToJob) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Queue (or re-queue a failed job) and try once now
+app.post("/api/admin/store-sync/:orderNumber/retry", requireAdmin, async (req, res) => {
+  try {
+    const order = orderRepository.get(req.params.orderNumber);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    if (!horizonsConfigured()) return res.status(503).json({ error: "Missing HORIZONS_STORE_ID / HORIZONS_API_KEY" });
+    if (order.metadata?.horizons?.storeOrderId) {
+      return res.json({ success: true, alreadySynced: true, storeOrderId: order.metadata.horizons.storeOrderId });
+    }
+
+    const queued = queueStoreSync(order, "admin", { retry: true, kick: false });
+    if (!queued.queued && queued.job?.status === "syncing") {
+      return res.status(409).json({ error: "Order is being synced", job: queued.job });
+    }
+    const job = await processStoreSyncJob(order.orderNumber);
+    return res.json({ success: job?.status === "synced", job });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ?from=&to= (created date); &queueMissing=1 queues every order in missingInStore
+app.get("/api/admin/store-sync/reconcile", requireAdmin, async (req, res) => {
+  try {
+    if (!horizonsConfigured()) return res.status(503).json({ error: "Missing HORIZONS_STORE_ID / HORIZONS_API_KEY" });
+
+    const from = parseDateFilter(req.query.from);
+    const to = parseDateFilter(req.query.to, true);
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+      return res.status(400).json({ error: "Invalid from/to date" });
+    }
+
+    const report = await reconcileStoreOrders({ from, to });
+    if (parseBoolFilter(req.query.queueMissing)) {
+      report.queued = report.missingInStore
+        .filter((o) => queueStoreSync(orderRepository.get(o.orderNumber), "reconcile", { retry: true }).queued)
+        .map((o) => o.orderNumber);
+    }
+
+    console.log("[STORE_RECONCILE]", { from, to, ...report.counts });
+    return res.json(report);
+  } catch (e) {
+    console.error("[STORE_RECONCILE_ERROR]", e.message);
+    return res.status(502).json({ error: e.message });
+  }
+});
+
+// -------------------- ROUTES --------------------
+app.get("/health", (_req, res) => res.json({ ok: true }));
+
+app.get("/api/boxnow/origins", async (req, res) => {
+  try {
+    const base = locationBase();
+    const qs = new URLSearchParams(req.query).toString();
+    const url = `${base}/origins${qs ? `?${qs}` : ""}`;
+
+    const token = await authToken();
+    const r = await fetch(url, { headers: buildHeaders(token) });
+
+    const text = await r.text();
+    if (!r.ok) return res.status(r.status).send(text);
+
+    res.type("json").send(text);
+  } catch (e) {
+    res.status(502).json({ message: "BoxNow origins error", details: String(e?.message || e) });
+  }
+});
+
+// -------------------- BOXNOW LOCKER DIRECTORY (cache) --------------------
+// The destinations list is kept in SQLite and refreshed every BOXNOW_LOCKER_REFRESH_HOURS;
+// if BoxNow is down the last good copy keeps being served (flagged as stale).
+const BOXNOW_LOCKER_REFRESH_HOURS = Number(process.env.BOXNOW_LOCKER_REFRESH_HOURS ?? 12); // 0 = no schedule
+
+const lockerDirectory = { lockers: [], byId: new Map(), syncedAt: null, lastError: null, lastAttemptAt: null };
+
+function normalizeLocker(raw) {
+  const id = String(raw?.id ?? "").trim();
+  if (!id) return null;
+
+  const lat = Number(raw.lat);
+  const lng = Number(raw.lng);
+  return {
+    id,
+    name: String(raw.name || raw.title || "").trim(),
+    addressLine1: String(raw.addressLine1 || "").trim(),
+    addressLine2: String(raw.addressLine2 || "").trim(),
+    postalCode: String(raw.postalCode || "").replace(/\s+/g, ""),
+    country: raw.country || null,
+    type: raw.type || null,
+    note: raw.note || null,
+    lat: Number.isFinite(lat) ? lat : null,
+    lng: Number.isFinite(lng) ? lng : null,
+    raw,
+  };
+}
+
+function setLockerDirectory(lockers, syncedAt) {
+  lockerDirectory.lockers = lockers;
+  lockerDirectory.byId = new Map(lockers.map((l) => [l.id, l]));
+  lockerDirectory.syncedAt = syncedAt;
+}
+
+function loadLockerDirectory() {
+  const rows = db.prepare("SELECT data, synced_at FROM boxnow_lockers").all();
+  if (!rows.length) return;
+  setLockerDirectory(
+    rows.map((r) => JSON.parse(r.data)),
+    rows.reduce((max, r) => (r.synced_at > max ? r.synced_at : max), "")
+  );
+}
+
+loadLockerDirectory();
+
+function lockerDirectoryStale() {
+  if (!lockerDirectory.syncedAt) return true;
+  if (lockerDirectory.lastError) return true;
+  const maxAgeMs = (BOXNOW_LOCKER_REFRESH_HOURS || 24) * 3600_000;
+  return Date.now() - Date.parse(lockerDirectory.syncedAt) > maxAgeMs;
+}
+
+function lockerCacheInfo() {
+  return {
+    syncedAt: lockerDirectory.syncedAt,
+    lockers: lockerDirectory.lockers.length,
+    stale: lockerDirectoryStale(),
+    lastError: lockerDirectory.lastError,
+  };
+}
+
+let lockerRefresh = null;
+
+// Concurrent callers share one request; a failure keeps the previous list
+function refreshLockerDirectory() {
+  if (lockerRefresh) return lockerRefresh;
+
+  lockerRefresh = (async () => {
+    lockerDirectory.lastAttemptAt = new Date().toISOString();
+    try {
+      const token = await authToken();
+      const r = await fetch(`${locationBase()}/destinations`, { headers: buildHeaders(token) });
+      const text = await r.text();
+      if (!r.ok) throw new Error(`BoxNow destinations ${r.status}: ${text.slice(0, 200)}`);
+
+      const json = JSON.parse(text);
+      const lockers = (Array.isArray(json) ? json : json?.data || []).map(normalizeLocker).filter(Boolean);
+      if (!lockers.length) throw new Error("BoxNow destinations returned no lockers");
+
+      const now = new Date().toISOString();
+      db.transaction(() => {
+        db.prepare("DELETE FROM boxnow_lockers").run();
+        const insert = db.prepare(
+          "INSERT INTO boxnow_lockers (id, postal_code, lat, lng, data, synced_at) VALUES (?, ?, ?, ?, ?, ?)"
+        );
+        for (const l of lockers) insert.run(l.id, l.postalCode || null, l.lat, l.lng, JSON.stringify(l), now);
+      })();
+
+      setLockerDirectory(lockers, now);
+      lockerDirectory.lastError = null;
+      console.log("[BOXNOW_LOCKERS_REFRESHED]", { lockers: lockers.length });
+      return lockerCacheInfo();
+    } catch (err) {
+      lockerDirectory.lastError = err?.message || String(err);
+      const cached = lockerDirectory.lockers.length;
+      console.error("[BOXNOW_LOCKERS_REFRESH_ERROR]", { error: lockerDirectory.lastError, cached });
+      throw err;
+    } finally {
+      lockerRefresh = null;
+    }
+  })();
+
+  return lockerRefresh;
+}
+
+// Cached list, refreshing first when there is none yet (throws only if nothing is cached)
+async function getLockerDirectory() {
+  if (!lockerDirectory.lockers.length) await refreshLockerDirectory();
+  return lockerDirectory.lockers;
+}
+
+function getLocker(id) {
+  return lockerDirectory.byId.get(String(id ?? "").trim()) || null;
+}
+
+function startLockerDirectoryRefresh() {
+  if (!CLIENT_ID || !CLIENT_SECRET) return;
+
+  const refresh = () => refreshLockerDirectory().catch(() => {});
+  if (lockerDirectoryStale()) refresh();
+  if (!BOXNOW_LOCKER_REFRESH_HOURS) return;
+
+  const timer = setInterval(refresh, BOXNOW_LOCKER_REFRESH_HOURS * 3600_000);
+  timer.unref();
+}
+
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLng = rad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Case- and accent-insensitive ("Αθήνα" matches "αθηνα")
+function searchFold(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+// Postal code -> centre of the lockers in it (falls back to the 3-digit area)
+function postalCodeCentre(lockers, postalCode) {
+  const pc = String(postalCode).replace(/\s+/g, "");
+  for (const match of [(l) => l.postalCode === pc, (l) => l.postalCode.slice(0, 3) === pc.slice(0, 3)]) {
+    const hits = lockers.filter((l) => l.lat != null && l.lng != null && match(l));
+    if (hits.length) {
+      return {
+        lat: hits.reduce((sum, l) => sum + l.lat, 0) / hits.length,
+        lng: hits.reduce((sum, l) => sum + l.lng, 0) / hits.length,
+      };
+    }
+  }
+  return null;
+}
+
+function lockerAddress(l) {
+  return l ? [l.addressLine1, l.addressLine2].filter(Boolean).join(", ") || null : null;
+}
+
+function lockerSummary(l, distance) {
+  return {
+    id: l.id,
+    name: l.name,
+    addressLine1: l.addressLine1,
+    addressLine2: l.addressLine2,
+    postalCode: l.postalCode,
+    lat: l.lat,
+    lng: l.lng,
+    note: l.note,
+    ...(distance != null ? { distanceKm: Number(distance.toFixed(2)) } : {}),
+  };
+}
+
+// Same response shape as the BoxNow API; query filters still go straight to BoxNow
+app.get("/api/boxnow/destinations", async (req, res) => {
+  try {
+    const qs = new URLSearchParams(req.query).toString();
+    if (qs) {
+      const token = await authToken();
+      const r = await fetch(`${locationBase()}/destinations?${qs}`, { headers: buildHeaders(token) });
+
+      const text = await r.text();
+      if (!r.ok) return res.status(r.status).send(text);
+      return res.type("json").send(text);
+    }
+
+    const lockers = await getLockerDirectory();
+    res.set("X-Cache", lockerDirectoryStale() ? "stale" : "fresh");
+    res.set("X-Cache-Synced-At", lockerDirectory.syncedAt || "");
+    return res.json({ data: lockers.map((l) => l.raw) });
+  } catch (e) {
+    res.status(502).json({ message: "BoxNow destinations error", details: String(e?.message || e) });
+  }
+});
+
+// ?lat=&lng= | ?postalCode= (nearest first, with distanceKm), &q= (name/address text), &radiusKm=, &limit=
+app.get("/api/boxnow/lockers/search", async (req, res) => {
+  try {
+    const { q, postalCode } = req.query;
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 10));
+    const radiusKm = Number(req.query.radiusKm) > 0 ? Number(req.query.radiusKm) : null;
+
+    const lockers = await getLockerDirectory();
+
+    let origin = null;
+    if (req.query.lat != null || req.query.lng != null) {
+      const lat = Number(req.query.lat);
+      const lng = Number(req.query.lng);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return res.status(400).json({ error: "Invalid lat/lng" });
+      }
+      origin = { lat, lng };
+    } else if (postalCode) {
+      origin = postalCodeCentre(lockers, postalCode);
+      if (!origin) return res.status(404).json({ error: "POSTAL_CODE_NOT_FOUND", postalCode: String(postalCode) });
+    }
+
+    if (!origin && !q) return res.status(400).json({ error: "Provide lat/lng, postalCode or q" });
+
+    let results = lockers;
+    if (q) {
+      const terms = searchFold(q).split(/\s+/).filter(Boolean);
+      results = results.filter((l) => {
+        const text = searchFold(`${l.name} ${l.addressLine1} ${l.addressLine2} ${l.postalCode}`);
+        return terms.every((t) => text.includes(t));
+      });
+    }
+
+    let ranked = results.map((l) => ({ locker: l, distance: null }));
+    if (origin) {
+      ranked = ranked
+        .filter(({ locker }) => locker.lat != null && locker.lng != null)
+        .map(({ locker }) => ({ locker, distance: distanceKm(origin.lat, origin.lng, locker.lat, locker.lng) }))
+        .filter(({ distance }) => radiusKm == null || distance <= radiusKm)
+        .sort((a, b) => a.distance - b.distance);
+    }
+
+    return res.json({
+      origin,
+      total: ranked.length,
+      lockers: ranked.slice(0, limit).map(({ locker, distance }) => lockerSummary(locker, distance)),
+      cache: lockerCacheInfo(),
+    });
+  } catch (e) {
+    res.status(502).json({ message: "BoxNow lockers error", details: String(e?.message || e) });
+  }
+});
+
+app.get("/api/boxnow/lockers/:id", async (req, res) => {
+  try {
+    await getLockerDirectory();
+    const locker = getLocker(req.params.id);
+    if (!locker) return res.status(404).json({ error: "Locker not found" });
+    return res.json({ locker: lockerSummary(locker), cache: lockerCacheInfo() });
+  } catch (e) {
+    res.status(502).json({ message: "BoxNow lockers error", details: String(e?.message || e) });
+  }
+});
+
+app.post("/api/admin/boxnow/lockers/refresh", requireAdmin, async (_req, res) => {
+  try {
+    return res.json({ success: true, ...(await refreshLockerDirectory()) });
+  } catch (e) {
+    return res.status(502).json({ success: false, error: e.message, cache: lockerCacheInfo() });
+  }
+});
+
+// Validation / upstream failures carry the HTTP response to send: body is JSON or BoxNow's raw text
+function boxnowRequestError(status, body) {
+  const err = new Error(typeof body === "string" ? body.slice(0, 200) : body?.message || body?.error);
+  err.status = status;
+  err.body = body;
+  return err;
+}
+
+/**
+ * ✅ Delivery-request builder (manual-compliant parcels parsing + notifyOnAccepted + dual email).
+ * Used by POST /api/boxnow/delivery-requests and the admin re-issue flow.
+ * `reference` overrides the orderNumber sent to BoxNow (re-issued requests need a fresh one).
+ */
+async function createBoxNowDeliveryRequest(order, { reference = null, force = false } = {}) {
+  const customerName =
+    order.customer?.name ??
+    order.contactName ??
+    `${order.firstName || ""} ${order.lastName || ""}`.trim();
+
+  const customerEmail = order.customer?.email ?? order.contactEmail ?? order.email;
+  const customerPhoneRaw = order.customer?.phone ?? order.contactPhone ?? order.phone;
+  const customerPhone = normalizePhone(customerPhoneRaw);
+
+  const destinationLocationId =
+    order.destinationLocationId ??
+    order.destination?.locationId ??
+    order.selectedLockerId ??
+    order.lockerId;
+
+  const originLocationId = String(order.originLocationId || DEFAULT_ORIGIN_LOCATION_ID);
+
+  const orderNumber = String(order.orderNumber || generateOrderNumber());
+  let storedOrder = orderRepository.get(orderNumber);
+
+  // The storefront asks for the label right after checkout, often before Stripe's webhook
+  if (storedOrder && (storedOrder.status || "pending") === "pending" && !isCodOrder(storedOrder)) {
+    storedOrder = await syncStripeIntent(storedOrder);
+  }
+
+  // ✅ Orders we created: value, payment mode and the COD amount come from the stored order, not the request
+  const invoiceValueNum = storedOrder
+    ? toNum(storedOrder.totals?.total)
+    : Number(order.invoiceValue ?? order.total ?? order.amountToBeCollected ?? 0);
+  const invoiceValue = safeMoney(invoiceValueNum);
+
+  let paymentMode = mapPaymentModeToBoxNow(
+    storedOrder ? storedOrder.metadata?.payment?.method : order.paymentMode ?? order.paymentMethod
+  );
+  if (FORCE_PREPAID) paymentMode = "prepaid";
+  if (paymentMode === "cod" && !ALLOW_COD) paymentMode = "prepaid";
+
+  const codAmount = storedOrder ? invoiceValueNum : order.amountToBeCollected ?? invoiceValueNum;
+  const amountToBeCollected = paymentMode === "cod" ? safeMoney(codAmount) : "0.00";
+
+  if (!destinationLocationId) throw boxnowRequestError(400, { error: "Missing destinationLocationId" });
+
+  // ✅ Validate the locker against the cached directory (a miss refreshes a cache older than an hour once)
+  let locker = getLocker(destinationLocationId);
+  if (!locker && lockerDirectory.lockers.length) {
+    if (Date.now() - Date.parse(lockerDirectory.syncedAt) > 3600_000) {
+      await refreshLockerDirectory().catch(() => {});
+      locker = getLocker(destinationLocationId);
+    }
+    if (!locker) {
+      throw boxnowRequestError(400, { error: "UNKNOWN_LOCKER", destinationLocationId: String(destinationLocationId) });
+    }
+  }
+
+  if (storedOrder && storedOrder.status !== "label_created" && !canTransition(storedOrder, "label_created")) {
+    const unpaid = (storedOrder.status || "pending") === "pending";
+    throw boxnowRequestError(409, {
+      error: unpaid ? "ORDER_NOT_PAID" : "INVALID_ORDER_STATUS",
+      message: unpaid
+        ? `Order ${orderNumber} is not paid yet; only COD orders get a BoxNow label before payment`
+        : `Order is ${storedOrder.status}; a BoxNow label can't be created`,
+    });
+  }
+  if (!customerName || !customerEmail || !customerPhone) {
+    throw boxnowRequestError(400, { error: "Missing customer contact fields (name/email/phone)" });
+  }
+
+  // ✅ One delivery request per order: a retried POST would make BoxNow issue (and bill) another voucher
+  const previous = storedOrder?.metadata?.boxnow || {};
+  const previousParcelIds = previous.parcelIds?.length ? previous.parcelIds : [previous.parcelId].filter(Boolean);
+  if (previousParcelIds.length && !force) {
+    throw boxnowRequestError(409, {
+      error: "PARCEL_EXISTS",
+      message: `Order ${orderNumber} already has BoxNow parcels; cancel or re-issue them instead`,
+      orderNumber,
+      parcelIds: previousParcelIds,
+    });
+  }
+
+  // ✅ Weights: the stored order ships what it was sold with (a SKU deactivated since is still packed);
+  // without a stored order, the request's items are resolved against the catalog
+  let packingItems;
+  if (storedOrder?.items?.length) {
+    packingItems = storedPackingItems(storedOrder);
+  } else {
+    const catalog = resolveCatalogItems(order.items);
+    if (catalog.unknown.length || catalog.inactive.length) throw boxnowRequestError(400, catalogItemsError(catalog));
+    packingItems = catalog.items;
+  }
+  if (!packingItems.length) {
+    throw boxnowRequestError(400, { error: "MISSING_ITEMS", message: "Provide items (sku + quantity)." });
+  }
+
+  const packingOrder = { items: packingItems };
+  const totalWeightKg = computeTotalWeightKg(packingOrder);
+
+  if (!Number.isFinite(totalWeightKg) || totalWeightKg <= 0) {
+    throw boxnowRequestError(400, {
+      error: "MISSING_WEIGHT",
+      message: "Total weight missing/invalid. Check catalog weights for the ordered SKUs.",
+    });
+  }
+
+  const parcels = packBoxNowParcels(packingOrder, totalWeightKg);
+  const parcelValues = splitParcelValues(parcels, invoiceValueNum);
+  const parcelName = String(order.parcelName || "Order");
+
+  // ✅ BoxNow manual: send email only if notifyOnAccepted is populated
+  const notifyEmail = (BOXNOW_NOTIFY_EMAIL || VOUCHER_EMAIL_TO.split(",")[0] || MAIL_USER).trim();
+
+  const deliveryRequest = {
+    orderNumber: reference || orderNumber,
+    invoiceValue,
+    paymentMode,
+    amountToBeCollected,
+
+    // ✅ official BoxNow voucher email
+    notifyOnAccepted: notifyEmail,
+
+    origin: {
+      locationId: originLocationId,
+      contactName: String(customerName),
+      contactEmail: String(customerEmail),
+      contactNumber: String(customerPhone),
+      country: "GR",
+    },
+    destination: {
+      locationId: String(destinationLocationId),
+      contactName: String(customerName),
+      contactEmail: String(customerEmail),
+      contactNumber: String(customerPhone),
+      country: "GR",
+    },
+    items: parcels.map((p, i) => ({
+      id: String(i + 1),
+      name: parcels.length > 1 ? `${parcelName} (${i + 1}/${parcels.length})` : parcelName,
+      value: parcelValues[i],
+      weight: Number(p.weightKg.toFixed(2)),
+      compartmentSize: p.compartmentSize,
+    })),
+  };
+
+  console.log("[BOXNOW_REQUEST]", {
+    orderNumber,
+    destinationLocationId,
+    totalWeightKg,
+    parcels: parcels.length,
+    paymentMode,
+    notifyOnAccepted: notifyEmail,
+  });
+
+  const r = await boxnowApiFetch("/api/v1/delivery-requests", {
+    method: "POST",
+    body: JSON.stringify(deliveryRequest),
+  });
+
+  const text = await r.text();
+  if (!r.ok) {
+    try {
+      updateOrderMetadata(orderNumber, {
+        boxnow: { error: text.slice(0, 200) },
+      });
+    } catch (err) {
+      console.error("[METADATA_UPDATE_ERROR]", err.message);
+    }
+    throw boxnowRequestError(r.status, text);
+  }
+
+  const responseData = JSON.parse(text);
+
+  // ✅ Manual response: { id: <deliveryRequestId>, parcels: [{ id: <parcelId> }, ...] }
+  const deliveryRequestId = responseData?.id || null;
+
+  const parcelIds = Array.isArray(responseData?.parcels)
+    ? responseData.parcels.map((p) => String(p?.id || "").trim()).filter(Boolean)
+    : [];
+
+  const parcelId = parcelIds[0] || null;
+
+  const trackingNumber =
+    responseData?.trackingNumber ||
+    responseData?.referenceNumber ||
+    responseData?.parcels?.[0]?.trackingNumber ||
+    null;
+
+  console.log("[BOXNOW_SUCCESS]", { orderNumber, deliveryRequestId, parcelIds, trackingNumber });
+
+  try {
+    const updated = orderRepository.update(orderNumber, (o) => {
+      o.metadata = {
+        ...o.metadata,
+        boxnow: {
+          ...(o.metadata?.boxnow || {}),
+          lockerId: destinationLocationId,
+          pickupName: order.pickupName || locker?.name || null,
+          pickupAddress: order.pickupAddress || lockerAddress(locker),
+          deliveryRequestId,
+          reference: reference || orderNumber,
+          paymentMode,
+          amountToBeCollected: Number(amountToBeCollected),
+          parcelId,
+          parcelIds,
+          parcels: deliveryRequest.items.map((it, i) => ({
+            parcelId: parcelIds[i] || null,
+            weightKg: it.weight,
+            compartmentSize: it.compartmentSize,
+            value: it.value,
+            labelUrl: labelUrlFor(parcelIds[i]),
+          })),
+          trackingNumber,
+          labelCreatedAt: new Date().toISOString(),
+          labelUrl: labelUrlFor(parcelId),
+          error: null,
+          ...(previousParcelIds.length
+            ? {
+                supersededRequests: [
+                  ...(o.metadata?.boxnow?.supersededRequests || []),
+                  {
+                    deliveryRequestId: previous.deliveryRequestId || null,
+                    parcelIds: previousParcelIds,
+                    supersededAt: new Date().toISOString(),
+                  },
+                ],
+              }
+            : {}),
+        },
+      };
+      if (canTransition(o, "label_created")) {
+        applyOrderTransition(o, "label_created", { actor: "boxnow", reason: `delivery request ${deliveryRequestId}` });
+      }
+    });
+    notifyCustomer("parcel_shipped", updated, { key: `parcel_shipped:${deliveryRequestId || parcelId}` });
+    if (!mailEnabled()) prefetchLabels(orderNumber, parcelIds); // otherwise the voucher email archives them
+  } catch (err) {
+    console.error("[METADATA_UPDATE_ERROR]", err.message);
+  }
+
+  // ✅ Our own voucher copy goes through the outbox (labels fetched at send time, retried on failure)
+  let voucherEmail = { sent: false, reason: "mail_not_configured" };
+  if (mailEnabled()) {
+    const payload = { orderNumber, parcelIds, reference: reference || orderNumber };
+    const { id } = enqueueEmail("voucher", payload, { orderNumber });
+    const message = await processOutboxMessage(id);
+    voucherEmail = {
+      sent: message.status === "sent",
+      outboxId: id,
+      status: message.status,
+      ...(message.lastError ? { reason: message.lastError, nextAttemptAt: message.nextAttemptAt } : {}),
+    };
+  }
+
+  return {
+    success: true,
+    orderNumber,
+    deliveryRequestId,
+    parcelId,
+    parcelIds,
+    trackingNumber,
+    labelUrl: labelUrlFor(parcelId),
+    voucherEmail,
+    notifyOnAccepted: notifyEmail,
+  };
+}
+
+function sendBoxNowError(res, e) {
+  if (e?.body !== undefined) {
+    return typeof e.body === "string" ? res.status(e.status).send(e.body) : res.status(e.status).json(e.body);
+  }
+  console.error("[BOXNOW_ERROR]", e?.message || e);
+  return res.status(502).json({ message: "BoxNow error", details: String(e?.message || e) });
+}
+
+// Order numbers with a delivery request being created (concurrent POSTs without an Idempotency-Key)
+const deliveryRequestsInFlight = new Set();
+
+// { ...order, force? } – force (admin token only) creates another request for an order that already has parcels
+app.post("/api/boxnow/delivery-requests", idempotent("boxnow.delivery-request"), async (req, res) => {
+  const orderNumber = req.body?.orderNumber ? String(req.body.orderNumber) : null;
+  const force = req.body?.force === true;
+  if (force && !isAdminRequest(req)) {
+    return res.status(403).json({ error: "FORCE_REQUIRES_ADMIN", message: "force needs the admin token" });
+  }
+  if (orderNumber && deliveryRequestsInFlight.has(orderNumber)) {
+    return res.status(409).json({
+      error: "DELIVERY_REQUEST_IN_PROGRESS",
+      message: `A delivery request for ${orderNumber} is already being created`,
+    });
+  }
+
+  if (orderNumber) deliveryRequestsInFlight.add(orderNumber);
+  try {
+    return res.json(await createBoxNowDeliveryRequest(req.body || {}, { force }));
+  } catch (e) {
+    return sendBoxNowError(res, e);
+  } finally {
+    if (orderNumber) deliveryRequestsInFlight.delete(orderNumber);
+  }
+});
+
+// -------------------- BOXNOW CANCEL / RE-ISSUE --------------------
+async function cancelBoxNowParcel(parcelId) {
+  const r = await boxnowApiFetch(`/api/v1/parcels/${encodeURIComponent(parcelId)}:cancel`, { method: "POST" });
+  if (!r.ok) {
+    const text = await r.text().catch(() => "");
+    throw new Error(`Parcel cancel failed (${r.status}): ${text.slice(0, 200)}`);
+  }
+}
+
+/**
+ * Cancel every parcel of the order's current delivery request, archive its ids in
+ * metadata.boxnow.cancelledRequests and move the order back to paid/pending
+ * (or to cancelled with `cancelOrder`).
+ */
+async function cancelBoxNowDeliveryRequest(orderNumber, { reason = null, actor = "admin", cancelOrder = false } = {}) {
+  const order = orderRepository.get(orderNumber);
+  if (!order) throw boxnowRequestError(404, { error: "Order not found" });
+
+  if (["shipped", "delivered", "returned"].includes(order.status)) {
+    throw boxnowRequestError(409, {
+      error: "INVALID_ORDER_STATUS",
+      message: `Order is ${order.status}; parcel can't be cancelled`,
+    });
+  }
+
+  const boxnow = order.metadata?.boxnow || {};
+  const parcelIds = boxnow.parcelIds?.length ? boxnow.parcelIds : boxnow.parcelId ? [boxnow.parcelId] : [];
+  if (!parcelIds.length) throw boxnowRequestError(409, { error: "NO_PARCELS", message: "Order has no BoxNow parcels" });
+
+  const results = [];
+  for (const parcelId of parcelIds) {
+    try {
+      await cancelBoxNowParcel(parcelId);
+      results.push({ parcelId, cancelled: true });
+    } catch (err) {
+      results.push({ parcelId, cancelled: false, error: err?.message || String(err) });
+    }
+  }
+
+  // Void labels must not be printed by mistake
+  const cancelledIds = results.filter((x) => x.cancelled).map((x) => x.parcelId);
+  deleteArchivedLabels(cancelledIds);
+
+  // Partly cancelled: only the parcels still live stay on the order, so a retry doesn't cancel the others again
+  const failed = results.filter((x) => !x.cancelled);
+  if (failed.length) {
+    orderRepository.update(orderNumber, (o) => {
+      const current = o.metadata?.boxnow || {};
+      const remaining = failed.map((x) => x.parcelId);
+      o.metadata = {
+        ...o.metadata,
+        boxnow: {
+          ...current,
+          parcelId: remaining[0],
+          parcelIds: remaining,
+          parcels: (current.parcels || []).filter((p) => !cancelledIds.includes(p.parcelId)),
+          cancelledParcelIds: [...(current.cancelledParcelIds || []), ...cancelledIds],
+          error: failed[0].error.slice(0, 200),
+        },
+      };
+    });
+    throw boxnowRequestError(502, { error: "BOXNOW_CANCEL_FAILED", results });
+  }
+
+  const updated = orderRepository.update(orderNumber, (o) => {
+    const current = o.metadata?.boxnow || {};
+    const archived = {
+      deliveryRequestId: current.deliveryRequestId || null,
+      reference: current.reference || null,
+      lockerId: current.lockerId || null,
+      parcelIds: [...(current.cancelledParcelIds || []), ...parcelIds],
+      trackingNumber: current.trackingNumber || null,
+      cancelledAt: new Date().toISOString(),
+      cancelledBy: actor,
+      reason,
+    };
+
+    o.metadata = {
+      ...o.metadata,
+      boxnow: {
+        ...current,
+        deliveryRequestId: null,
+        parcelId: null,
+        parcelIds: [],
+        parcelStates: {},
+        trackingNumber: null,
+        labelCreatedAt: null,
+        labelUrl: null,
+        error: null,
+        cancelledParcelIds: [],
+        cancelledRequests: [...(current.cancelledRequests || []), archived],
+      },
+    };
+
+    const paid = SETTLED_PAYMENT_STATUSES.includes(o.metadata?.payment?.status);
+    const target = cancelOrder ? "cancelled" : paid ? "paid" : "pending";
+    if (o.status === "label_created" || cancelOrder) {
+      applyOrderTransition(o, target, { actor, reason: reason || "BoxNow parcel cancelled", labelVoided: true });
+    }
+  });
+
+  console.log("[BOXNOW_CANCELLED]", { orderNumber, parcelIds, actor, reason });
+  return { order: updated, results };
+}
+
+// Stored order -> input for createBoxNowDeliveryRequest
+function deliveryInputFromOrder(order, overrides = {}) {
+  const boxnow = order.metadata?.boxnow || {};
+  return {
+    orderNumber: order.orderNumber,
+    customer: order.customer,
+    items: order.items,
+    cartWeightKg: order.cartWeightKg,
+    invoiceValue: order.totals?.total,
+    paymentMethod: order.metadata?.payment?.method,
+    destinationLocationId: boxnow.lockerId,
+    pickupName: boxnow.pickupName,
+    pickupAddress: boxnow.pickupAddress,
+    ...overrides,
+  };
+}
+
+// { reason?, cancelOrder? }
+app.post("/api/admin/orders/:orderNumber/boxnow/cancel", requireAdmin, async (req, res) => {
+  try {
+    const { order, results } = await cancelBoxNowDeliveryRequest(req.params.orderNumber, {
+      reason: req.body?.reason ? String(req.body.reason) : null,
+      actor: adminActor(req),
+      cancelOrder: req.body?.cancelOrder === true,
+    });
+    return res.json({ success: true, orderNumber: order.orderNumber, status: order.status, results });
+  } catch (e) {
+    return sendBoxNowError(res, e);
+  }
+});
+
+// { destinationLocationId, pickupName?, pickupAddress?, reason? } -> cancel current parcels, create a new request
+app.post("/api/admin/orders/:orderNumber/boxnow/reissue", requireAdmin, async (req, res) => {
+  try {
+    const orderNumber = req.params.orderNumber;
+    const { destinationLocationId, pickupName, pickupAddress } = req.body || {};
+    if (!destinationLocationId) return res.status(400).json({ error: "Missing destinationLocationId" });
+
+    const existing = orderRepository.get(orderNumber);
+    if (!existing) return res.status(404).json({ error: "Order not found" });
+
+    const reason = req.body?.reason ? String(req.body.reason) : `re-issue to locker ${destinationLocationId}`;
+    const actor = adminActor(req);
+
+    let cancelResults = [];
+    if (existing.metadata?.boxnow?.parcelIds?.length || existing.metadata?.boxnow?.parcelId) {
+      ({ results: cancelResults } = await cancelBoxNowDeliveryRequest(orderNumber, { reason, actor }));
+    }
+
+    const order = orderRepository.get(orderNumber);
+    const attempt = (order.metadata?.boxnow?.cancelledRequests || []).length;
+    const result = await createBoxNowDeliveryRequest(
+      deliveryInputFromOrder(order, {
+        destinationLocationId: String(destinationLocationId),
+        pickupName: pickupName ?? null,
+        pickupAddress: pickupAddress ?? null,
+      }),
+      { reference: attempt ? `${orderNumber}-R${attempt}` : null }
+    );
+
+    return res.json({ ...result, cancelled: cancelResults });
+  } catch (e) {
+    return sendBoxNowError(res, e);
+  }
+});
+
+// -------------------- BOXNOW LABEL ARCHIVE --------------------
+// Labels are fetched from BoxNow once and kept in LABEL_ARCHIVE_DIR (one PDF per parcel, sha256 in SQLite).
+// metadata.boxnow.labelUrl points at our signed download URL, valid for LABEL_URL_TTL_DAYS (the admin archive list
+// hands out fresh ones). Cleanup removes labels of finished orders
+// (delivered/returned/cancelled) older than LABEL_RETENTION_DAYS; labels of cancelled parcels go immediately.
+const LABEL_ARCHIVE_DIR = (process.env.LABEL_ARCHIVE_DIR || "").trim() || path.join(path.dirname(DB_FILE), "labels");
+const LABEL_RETENTION_DAYS = Number(process.env.LABEL_RETENTION_DAYS ?? 90); // 0 = keep forever
+// Its own key: without LABEL_URL_SECRET one is derived from ADMIN_TOKEN (one-way, so a link signature tells
+// nothing about the admin token). Without either there are no links.
+const LABEL_URL_SECRET =
+  (process.env.LABEL_URL_SECRET || "").trim() ||
+  (ADMIN_TOKEN ? crypto.createHmac("sha256", ADMIN_TOKEN).update("label-url-signing").digest("hex") : "");
+const LABEL_URL_TTL_DAYS = Number(process.env.LABEL_URL_TTL_DAYS || 30);
+const PUBLIC_BASE_URL = stripTrailingSlash((process.env.PUBLIC_BASE_URL || "").trim());
+if (!(process.env.LABEL_URL_SECRET || "").trim()) {
+  console.warn(
+    LABEL_URL_SECRET
+      ? "[LABEL_URL_CONFIG] LABEL_URL_SECRET is not set, label links are signed with a key derived from ADMIN_TOKEN"
+      : "[LABEL_URL_CONFIG] Neither LABEL_URL_SECRET nor ADMIN_TOKEN is set, orders get no label links"
+  );
+}
+if (LABEL_URL_SECRET && !PUBLIC_BASE_URL) {
+  console.warn("[LABEL_URL_CONFIG] PUBLIC_BASE_URL is not set, signed label links will be relative");
+}
+const LABEL_FINAL_ORDER_STATUSES = ["delivered", "returned", "cancelled"];
+
+function labelFilePath(parcelId) {
+  return path.join(LABEL_ARCHIVE_DIR, `${String(parcelId).replace(/[^A-Za-z0-9_-]/g, "_")}.pdf`);
+}
+
+// exp = unix seconds; it is signed too, so a link can't be extended
+function labelSignature(parcelId, exp) {
+  return crypto.createHmac("sha256", LABEL_URL_SECRET).update(`label:${parcelId}:${exp}`).digest("hex").slice(0, 32);
+}
+
+// Signed link valid for LABEL_URL_TTL_DAYS (null when there is no signing key)
+function labelUrlFor(parcelId) {
+  if (!parcelId || !LABEL_URL_SECRET) return null;
+  const id = encodeURIComponent(parcelId);
+  const exp = Math.floor(Date.now() / 1000 + LABEL_URL_TTL_DAYS * 86400);
+  return `${PUBLIC_BASE_URL}/api/boxnow/labels/signed/${id}.pdf?exp=${exp}&sig=${labelSignature(parcelId, exp)}`;
+}
+
+// "valid" | "expired" | "invalid"
+function verifyLabelSignature(parcelId, exp, sig) {
+  if (!LABEL_URL_SECRET || !sig || !/^\d+$/.test(String(exp ?? ""))) return "invalid";
+  const a = Buffer.from(String(sig));
+  const b = Buffer.from(labelSignature(parcelId, exp));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return "invalid";
+  return Number(exp) * 1000 < Date.now() ? "expired" : "valid";
+}
+
+function archiveLabel(parcelId, pdf, orderNumber = null) {
+  fs.mkdirSync(LABEL_ARCHIVE_DIR, { recursive: true });
+  const file = labelFilePath(parcelId);
+  fs.writeFileSync(`${file}.tmp`, pdf);
+  fs.renameSync(`${file}.tmp`, file);
+
+  const sha256 = crypto.createHash("sha256").update(pdf).digest("hex");
+  db.prepare(
+    `INSERT INTO boxnow_labels (parcel_id, order_number, file, sha256, bytes, fetched_at)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT (parcel_id) DO UPDATE SET
+       order_number = excluded.order_number, file = excluded.file, sha256 = excluded.sha256,
+       bytes = excluded.bytes, fetched_at = excluded.fetched_at`
+  ).run(String(parcelId), orderNumber, path.basename(file), sha256, pdf.length, new Date().toISOString());
+
+  return { sha256, bytes: pdf.length };
+}
+
+// Archived copy if its checksum still matches, else null
+function readArchivedLabel(parcelId) {
+  const row = db.prepare("SELECT * FROM boxnow_labels WHERE parcel_id = ?").get(String(parcelId));
+  if (!row) return null;
+
+  const file = path.join(LABEL_ARCHIVE_DIR, row.file);
+  if (!fs.existsSync(file)) return null;
+
+  const pdf = fs.readFileSync(file);
+  if (crypto.createHash("sha256").update(pdf).digest("hex") !== row.sha256) {
+    console.warn("[LABEL_ARCHIVE_CORRUPT]", { parcelId, file: row.file });
+    return null;
+  }
+  return { pdf, sha256: row.sha256, fetchedAt: row.fetched_at };
+}
+
+/**
+ * Label for one parcel: archive first, BoxNow otherwise (and archived). `refresh` skips the archive;
+ * if BoxNow then fails, the archived copy is still returned.
+ * Returns { pdf, sha256, fetchedAt, source: "archive" | "boxnow" }.
+ */
+async function getParcelLabel(parcelId, { refresh = false, orderNumber = null } = {}) {
+  const archived = readArchivedLabel(parcelId);
+  if (archived && !refresh) return { ...archived, source: "archive" };
+
+  try {
+    const pdf = await fetchBoxNowLabelPDFByParcelId(parcelId);
+    const owner = orderNumber || orderRepository.findByParcelId(parcelId)?.orderNumber || null;
+    const { sha256 } = archiveLabel(parcelId, pdf, owner);
+    return { pdf, sha256, fetchedAt: new Date().toISOString(), source: "boxnow" };
+  } catch (err) {
+    if (archived) {
+      console.warn("[LABEL_ARCHIVE_FALLBACK]", { parcelId, error: err?.message || String(err) });
+      return { ...archived, source: "archive" };
+    }
+    throw err;
+  }
+}
+
+// Background prefetch right after the delivery request, so the archive is warm before anyone prints
+function prefetchLabels(orderNumber, parcelIds) {
+  (async () => {
+    for (const parcelId of parcelIds) await getParcelLabel(parcelId, { orderNumber });
+  })().catch((err) => console.warn("[LABEL_PREFETCH_ERROR]", { orderNumber, error: err?.message || String(err) }));
+}
+
+function deleteArchivedLabels(parcelIds) {
+  let deleted = 0;
+  for (const parcelId of parcelIds) {
+    const row = db.prepare("SELECT file FROM boxnow_labels WHERE parcel_id = ?").get(String(parcelId));
+    if (!row) continue;
+    fs.rmSync(path.join(LABEL_ARCHIVE_DIR, row.file), { force: true });
+    db.prepare("DELETE FROM boxnow_labels WHERE parcel_id = ?").run(String(parcelId));
+    deleted += 1;
+  }
+  return deleted;
+}
+
+// Labels of finished (or unknown) orders fetched more than LABEL_RETENTION_DAYS ago
+function cleanupLabelArchive({ dryRun = false } = {}) {
+  if (!LABEL_RETENTION_DAYS) return { expired: [], deleted: 0 };
+
+  const cutoff = new Date(Date.now() - LABEL_RETENTION_DAYS * 86400_000).toISOString();
+  const rows = db.prepare("SELECT parcel_id, order_number FROM boxnow_labels WHERE fetched_at < ?").all(cutoff);
+
+  const expired = rows
+    .filter((r) => {
+      const order = r.order_number ? orderRepository.get(r.order_number) : null;
+      return !order || LABEL_FINAL_ORDER_STATUSES.includes(order.status);
+    })
+    .map((r) => r.parcel_id);
+
+  const deleted = dryRun ? 0 : deleteArchivedLabels(expired);
+  if (deleted) console.log("[LABEL_ARCHIVE_CLEANUP]", { deleted, cutoff });
+  return { expired, deleted };
+}
+
+function startLabelArchiveCleanup() {
+  if (!LABEL_RETENTION_DAYS) return;
+  const run = () => {
+    try {
+      cleanupLabelArchive();
+    } catch (err) {
+      console.error("[LABEL_ARCHIVE_CLEANUP_ERROR]", err?.message || err);
+    }
+  };
+  run();
+  setInterval(run, 86400_000).unref();
+}
+
+function sendLabelPdf(res, label, filename) {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+  if (label.source) res.setHeader("X-Label-Source", label.source);
+  if (label.sha256) res.setHeader("X-Label-Sha256", label.sha256);
+  return res.status(200).send(label.pdf);
+}
+
+// Signed link stored in metadata.boxnow.labelUrl (no admin token needed, e.g. from the voucher email)
+app.get("/api/boxnow/labels/signed/:parcelId.pdf", async (req, res) => {
+  try {
+    const parcelId = String(req.params.parcelId || "").trim();
+    const check = verifyLabelSignature(parcelId, req.query.exp, req.query.sig);
+    if (check === "invalid") return res.status(403).json({ error: "Invalid signature" });
+    if (check === "expired") return res.status(403).json({ error: "Link expired" });
+
+    return sendLabelPdf(res, await getParcelLabel(parcelId), `BOXNOW-PARCEL-${parcelId}.pdf`);
+  } catch (e) {
+    return res.status(502).json({ message: "BoxNow parcel label error", details: String(e?.message || e) });
+  }
+});
+
+app.get("/api/admin/boxnow/labels/archive", requireAdmin, (req, res) => {
+  try {
+    const { orderNumber } = req.query;
+    const where = orderNumber ? "WHERE order_number = ?" : "";
+    const rows = db
+      .prepare(`SELECT * FROM boxnow_labels ${where} ORDER BY fetched_at DESC LIMIT 500`)
+      .all(...(orderNumber ? [String(orderNumber)] : []));
+
+    return res.json({
+      dir: LABEL_ARCHIVE_DIR,
+      retentionDays: LABEL_RETENTION_DAYS,
+      labels: rows.map((r) => ({
+        parcelId: r.parcel_id,
+        orderNumber: r.order_number,
+        sha256: r.sha256,
+        bytes: r.bytes,
+        fetchedAt: r.fetched_at,
+        labelUrl: labelUrlFor(r.parcel_id),
+      })),
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// { dryRun?: true } lists what would be removed
+app.post("/api/admin/boxnow/labels/cleanup", requireAdmin, (req, res) => {
+  try {
+    return res.json({ success: true, retentionDays: LABEL_RETENTION_DAYS, ...cleanupLabelArchive(req.body || {}) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Optional: serve label pdf by orderNumber (manual supports)
+// Known orders are served from the parcel archive (merged if split); BoxNow's order label otherwise
+app.get("/api/boxnow/labels/order/:orderNumber", async (req, res) => {
+  try {
+    const orderNumber = String(req.params.orderNumber || "").trim();
+    if (!orderNumber) return res.status(400).json({ error: "Missing orderNumber" });
+
+    const parcelIds = orderRepository.get(orderNumber)?.metadata?.boxnow?.parcelIds || [];
+    if (!parcelIds.length) {
+      const pdf = await fetchBoxNowLabelPDF(orderNumber);
+      return sendLabelPdf(res, { pdf, source: "boxnow" }, `BOXNOW-${orderNumber}.pdf`);
+    }
+
+    const refresh = parseBoolFilter(req.query.refresh) || false;
+    const labels = [];
+    for (const parcelId of parcelIds) {
+      labels.push({ target: { orderNumber, parcelId }, ...(await getParcelLabel(parcelId, { refresh, orderNumber })) });
+    }
+    if (labels.length === 1) return sendLabelPdf(res, labels[0], `BOXNOW-${orderNumber}.pdf`);
+
+    const out = await PDFDocument.create();
+    const failed = [];
+    await mergeLabelPdfs(out, labels, "label", failed);
+    if (failed.length) throw new Error(failed.map((f) => `${f.parcelId}: ${f.error}`).join("; "));
+
+    const source = labels.every((l) => l.source === "archive") ? "archive" : "boxnow";
+    return sendLabelPdf(res, { pdf: Buffer.from(await out.save()), source }, `BOXNOW-${orderNumber}.pdf`);
+  } catch (e) {
+    return res.status(502).json({ message: "BoxNow order label error", details: String(e?.message || e) });
+  }
+});
+
+// Optional: serve label pdf by parcelId (?refresh=1 refetches from BoxNow)
+app.get("/api/boxnow/labels/parcel/:parcelId", async (req, res) => {
+  try {
+    const parcelId = String(req.params.parcelId || "").trim();
+    if (!parcelId) return res.status(400).json({ error: "Missing parcelId" });
+
+    const label = await getParcelLabel(parcelId, { refresh: parseBoolFilter(req.query.refresh) || false });
+    return sendLabelPdf(res, label, `BOXNOW-PARCEL-${parcelId}.pdf`);
+  } catch (e) {
+    return res.status(502).json({ message: "BoxNow parcel label error", details: String(e?.message || e) });
+  }
+});
+
+// -------------------- BOXNOW BATCH LABELS --------------------
+// One merged PDF for the warehouse: every page of every label in order, or 4 labels per A4 page.
+// Printed parcels are recorded in metadata.boxnow.labelsPrinted { parcelId: printedAt }.
+const BOXNOW_LABEL_BATCH_MAX = Number(process.env.BOXNOW_LABEL_BATCH_MAX || 200);
+const A4_SIZE = [595.28, 841.89];
+
+function labelCreatedAt(order) {
+  const boxnow = order.metadata?.boxnow || {};
+  if (boxnow.labelCreatedAt) return boxnow.labelCreatedAt;
+  // Orders labelled before labelCreatedAt was recorded
+  const entry = (order.history || []).filter((h) => h.to === "label_created").pop();
+  return entry?.at || null;
+}
+
+// Parcels of orders labelled on `day` (YYYY-MM-DD, UTC like the admin date filters) that were never printed
+function unprintedLabelsForDay(day) {
+  const from = parseDateFilter(day);
+  const to = parseDateFilter(day, true);
+  if (!from || !to || Number.isNaN(Date.parse(from))) throw httpError(400, "INVALID_DATE", "date must be YYYY-MM-DD");
+
+  const targets = [];
+  let cursor = null;
+  do {
+    const page = orderRepository.list({ status: ["label_created"], sort: "createdAt", limit: 100, cursor });
+    for (const order of page.orders) {
+      const at = labelCreatedAt(order);
+      if (!at || at < from || at > to) continue;
+
+      const printed = order.metadata?.boxnow?.labelsPrinted || {};
+      for (const parcelId of order.metadata?.boxnow?.parcelIds || []) {
+        if (!printed[parcelId]) targets.push({ orderNumber: order.orderNumber, parcelId });
+      }
+    }
+    cursor = page.next;
+  } while (cursor);
+
+  return targets;
+}
+
+// orderNumbers -> all their parcels; parcelIds -> looked up for the order (unknown parcels are still fetched)
+function labelTargetsFor({ orderNumbers = [], parcelIds = [] }) {
+  const targets = [];
+  const failed = [];
+
+  for (const orderNumber of orderNumbers.map((n) => String(n).trim()).filter(Boolean)) {
+    const order = orderRepository.get(orderNumber);
+    const ids = order?.metadata?.boxnow?.parcelIds || [];
+    if (!order) failed.push({ orderNumber, parcelId: null, error: "Order not found" });
+    else if (!ids.length) failed.push({ orderNumber, parcelId: null, error: "Order has no BoxNow parcels" });
+    else for (const parcelId of ids) targets.push({ orderNumber, parcelId });
+  }
+
+  for (const parcelId of parcelIds.map((id) => String(id).trim()).filter(Boolean)) {
+    targets.push({ orderNumber: orderRepository.findByParcelId(parcelId)?.orderNumber || null, parcelId });
+  }
+
+  const seen = new Set();
+  return { targets: targets.filter((t) => !seen.has(t.parcelId) && seen.add(t.parcelId)), failed };
+}
+
+/**
+ * Merge fetched labels ([{ target, pdf }]) into `out`. A label that can't be parsed or embedded is
+ * moved to `failed` instead of breaking the batch. 4-up: 2 x 2 grid on A4, scaled to fit (never enlarged).
+ */
+async function mergeLabelPdfs(out, labels, layout, failed) {
+  const [pageW, pageH] = A4_SIZE;
+  const margin = 18;
+  const cellW = (pageW - margin * 3) / 2;
+  const cellH = (pageH - margin * 3) / 2;
+
+  const included = [];
+  let page = null;
+  let slot = 0;
+  for (const { target, pdf } of labels) {
+    try {
+      const src = await PDFDocument.load(pdf);
+      if (layout !== "a4-4up") {
+        for (const p of await out.copyPages(src, src.getPageIndices())) out.addPage(p);
+        included.push(target);
+        continue;
+      }
+
+      // pdf-lib embeds on save(), so try it on a scratch document first; a bad page would fail the whole save
+      const probe = await PDFDocument.create();
+      for (const p of await probe.embedPdf(pdf, src.getPageIndices())) await p.embed();
+
+      const embedded = await out.embedPdf(pdf, src.getPageIndices());
+      for (const label of embedded) {
+        if (slot % 4 === 0) page = out.addPage(A4_SIZE);
+        const col = slot % 2;
+        const row = Math.floor((slot % 4) / 2);
+        const scale = Math.min(1, cellW / label.width, cellH / label.height);
+        const w = label.width * scale;
+        const h = label.height * scale;
+        page.drawPage(label, {
+          x: margin + col * (cellW + margin) + (cellW - w) / 2,
+          y: pageH - margin - (row + 1) * cellH - row * margin + (cellH - h) / 2,
+          width: w,
+          height: h,
+        });
+        slot += 1;
+      }
+      included.push(target);
+    } catch (err) {
+      failed.push({ ...target, error: `Unreadable label PDF: ${err?.message || err}` });
+    }
+  }
+
+  return included;
+}
+
+// Last page listing the labels that could not be fetched (standard font: ASCII only)
+async function addLabelFailuresPage(out, failed) {
+  const font = await out.embedFont(StandardFonts.Helvetica);
+  const ascii = (s) => String(s ?? "").replace(/[^\x20-\x7e]/g, "?");
+  let page = out.addPage(A4_SIZE);
+  let y = A4_SIZE[1] - 50;
+
+  page.drawText(`Labels not included: ${failed.length}`, { x: 40, y, size: 14, font });
+  y -= 28;
+  for (const f of failed) {
+    if (y < 40) {
+      page = out.addPage(A4_SIZE);
+      y = A4_SIZE[1] - 50;
+    }
+    const line = `${ascii(f.orderNumber || "-")}  parcel ${ascii(f.parcelId || "-")}: ${ascii(f.error)}`;
+    page.drawText(line.slice(0, 110), { x: 40, y, size: 9, font });
+    y -= 14;
+  }
+}
+
+function markLabelsPrinted(included, printedAt) {
+  const byOrder = new Map();
+  for (const { orderNumber, parcelId } of included) {
+    if (orderNumber) byOrder.set(orderNumber, [...(byOrder.get(orderNumber) || []), parcelId]);
+  }
+
+  for (const [orderNumber, parcelIds] of byOrder) {
+    orderRepository.update(orderNumber, (o) => {
+      const boxnow = { ...(o.metadata?.boxnow || {}) };
+      boxnow.labelsPrinted = { ...(boxnow.labelsPrinted || {}) };
+      for (const id of parcelIds) boxnow.labelsPrinted[id] = printedAt;
+      o.metadata = { ...o.metadata, boxnow };
+    });
+  }
+}
+
+/**
+ * Body: { orderNumbers?, parcelIds?, unprintedToday?: true, date?: "YYYY-MM-DD", layout?: "label" | "a4-4up",
+ *         markPrinted?: true, format?: "pdf" | "json" }
+ * Labels that fail are skipped, listed on a last page and counted in X-Labels-Failed.
+ */
+app.post("/api/admin/boxnow/labels/batch", requireAdmin, async (req, res) => {
+  try {
+    const b = req.body || {};
+    const layout = b.layout || "label";
+    if (!["label", "a4-4up"].includes(layout)) return res.status(400).json({ error: "layout must be label or a4-4up" });
+
+    const selection = labelTargetsFor({
+      orderNumbers: Array.isArray(b.orderNumbers) ? b.orderNumbers : [],
+      parcelIds: Array.isArray(b.parcelIds) ? b.parcelIds : [],
+    });
+    if (b.unprintedToday || b.date) {
+      const day = b.date || new Date().toISOString().slice(0, 10);
+      const known = new Set(selection.targets.map((t) => t.parcelId));
+      selection.targets.push(...unprintedLabelsForDay(day).filter((t) => !known.has(t.parcelId)));
+    }
+
+    const { targets } = selection;
+    const failed = [...selection.failed];
+    if (!targets.length) return res.status(404).json({ error: "No labels to print", failed });
+    if (targets.length > BOXNOW_LABEL_BATCH_MAX) {
+      const error = `At most ${BOXNOW_LABEL_BATCH_MAX} labels per batch`;
+      return res.status(400).json({ error, requested: targets.length });
+    }
+
+    // Sequential on purpose: BoxNow rate-limits label downloads
+    const labels = [];
+    for (const target of targets) {
+      try {
+        const { pdf } = await getParcelLabel(target.parcelId, { orderNumber: target.orderNumber });
+        labels.push({ target, pdf });
+      } catch (err) {
+        failed.push({ ...target, error: err?.message || String(err) });
+      }
+    }
+
+    const out = await PDFDocument.create();
+    const included = await mergeLabelPdfs(out, labels, layout, failed);
+
+    console.log("[LABEL_BATCH]", { requested: targets.length, included: included.length, failed: failed.length });
+    if (!included.length) return res.status(502).json({ error: "No label could be fetched", failed });
 
-  const text = await res.text();
-  if (!res.ok) throw new Error(`BoxNow auth failed: ${res.status} ${text.slice(0, 500)}`);
+    if (failed.length) await addLabelFailuresPage(out, failed);
+    const merged = Buffer.from(await out.save());
 
-  const data = JSON.parse(text);
-  const token = data.access_token;
-  const expiresIn = Number(data.expires_in || 3600);
+    const printedAt = new Date().toISOString();
+    if (b.markPrinted !== false) markLabelsPrinted(included, printedAt);
 
-  if (!token) throw new Error("BoxNow auth missing access_token");
+    if (b.format === "json") {
+      return res.json({ included, failed, printedAt, pdfBase64: merged.toString("base64") });
+    }
 
-  cachedToken = token;
-  tokenExpiryMs = Date.now() + Math.max(60, expiresIn - 300) * 1000;
-  return cachedToken;
-}
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="BOXNOW-LABELS-${printedAt.slice(0, 10)}.pdf"`);
+    res.setHeader("X-Labels-Included", String(included.length));
+    res.setHeader("X-Labels-Failed", String(failed.length));
+    return res.status(200).send(merged);
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message, ...(e.code ? { code: e.code } : {}) });
+  }
+});
 
-function buildHeaders(token) {
-  const h = {
-    Authorization: `Bearer ${token}`,
-    accept: "application/json",
+// -------------------- BOXNOW TRACKING --------------------
+const BOXNOW_TRACKING_SYNC_MINUTES = Number(process.env.BOXNOW_TRACKING_SYNC_MINUTES ?? 30); // 0 = disabled
+
+// BoxNow parcel state -> our order status (states not listed are recorded but don't move the order)
+const BOXNOW_STATE_TO_ORDER_STATUS = {
+  "accepted-to-locker": "shipped",
+  "in-depot": "shipped",
+  "final-destination": "shipped",
+  delivered: "delivered",
+  returned: "returned",
+};
+
+// Storefront-ready labels for the tracking timeline
+const BOXNOW_STATE_LABELS = {
+  new: { el: "Δημιουργήθηκε η αποστολή", en: "Shipment created" },
+  "accepted-to-locker": { el: "Παραδόθηκε στη BOX NOW", en: "Handed over to BOX NOW" },
+  "in-depot": { el: "Στο κέντρο διαλογής", en: "At the sorting depot" },
+  "final-destination": { el: "Στο locker παραλαβής", en: "Ready for pickup at the locker" },
+  delivered: { el: "Παραλήφθηκε", en: "Picked up" },
+  expired: { el: "Έληξε ο χρόνος παραλαβής", en: "Pickup time expired" },
+  "accepted-for-return": { el: "Σε επιστροφή", en: "Being returned" },
+  returned: { el: "Επιστράφηκε", en: "Returned to sender" },
+  canceled: { el: "Ακυρώθηκε", en: "Cancelled" },
+};
+
+function normalizeBoxNowEvent(ev, parcelId) {
+  const state = String(ev?.type ?? ev?.state ?? ev?.parcelState ?? ev?.event ?? "").trim().toLowerCase();
+  const rawAt = ev?.createTime ?? ev?.time ?? ev?.timestamp ?? ev?.date ?? null;
+  const d = rawAt ? new Date(rawAt) : null;
+
+  return {
+    parcelId: String(parcelId),
+    state,
+    at: d && !Number.isNaN(d.getTime()) ? d.toISOString() : null,
+    location: ev?.locationDisplayName ?? ev?.locationName ?? ev?.location ?? null,
+    note: ev?.additionalInformation ?? ev?.note ?? null,
   };
-  if (PARTNER_ID) h["X-PartnerID"] = PARTNER_ID;
-  return h;
 }
 
-async function boxnowApiFetch(p, opts = {}) {
-  const token = await authToken();
-  const url = `${API_BASE}${p.startsWith("/") ? "" : "/"}${p}`;
-  return fetch(url, {
-    ...opts,
-    headers: {
-      ...buildHeaders(token),
-      "Content-Type": "application/json",
-      ...(opts.headers || {}),
-    },
-  });
+async function fetchBoxNowParcelEvents(parcelId) {
+  const r = await boxnowApiFetch(`/api/v1/parcels?parcelId=${encodeURIComponent(parcelId)}`, { method: "GET" });
+  const text = await r.text();
+  if (!r.ok) throw new Error(`Parcel events fetch failed (${r.status}): ${text.slice(0, 200)}`);
+
+  const data = JSON.parse(text);
+  const parcel = Array.isArray(data?.data) ? data.data[0] : data?.data || data;
+  const events = Array.isArray(parcel?.events) ? parcel.events : [];
+
+  const normalized = events.map((ev) => normalizeBoxNowEvent(ev, parcelId)).filter((ev) => ev.state);
+  if (!normalized.length && parcel?.state) normalized.push(normalizeBoxNowEvent({ state: parcel.state }, parcelId));
+  return normalized;
 }
 
-// ✅ Manual supports label retrieval
-async function fetchBoxNowLabelPDF(orderNumber) {
-  const token = await authToken();
-  const url = `${API_BASE}/api/v1/delivery-requests/${encodeURIComponent(orderNumber)}/label.pdf`;
+// Order follows its parcels: delivered/returned once every parcel is, shipped as soon as any moves
+function deriveOrderStatusFromParcels(parcelIds, parcelStates) {
+  const statuses = parcelIds.map((id) => BOXNOW_STATE_TO_ORDER_STATUS[parcelStates[id]] || null);
+  if (!statuses.some(Boolean)) return null;
+  if (statuses.every((x) => x === "delivered")) return "delivered";
+  if (statuses.every((x) => x === "returned")) return "returned";
+  return "shipped";
+}
 
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), 15000);
+/**
+ * Merge normalized parcel events into order.metadata.boxnow and move the order
+ * along label_created -> shipped -> delivered/returned. Mutates `order` in place.
+ */
+function applyBoxNowParcelEvents(order, parcelId, events, { actor = "boxnow-sync" } = {}) {
+  const boxnow = { ...(order.metadata?.boxnow || {}) };
+  const known = Array.isArray(boxnow.events) ? boxnow.events : [];
+  const keys = new Set(known.map((e) => `${e.parcelId}|${e.state}|${e.at}`));
+
+  const fresh = events.filter((e) => !keys.has(`${e.parcelId}|${e.state}|${e.at}`));
+  const merged = [...known, ...fresh].sort((a, b) => String(a.at || "").localeCompare(String(b.at || "")));
+
+  const latest = merged.filter((e) => e.parcelId === String(parcelId)).pop();
+  boxnow.events = merged;
+  boxnow.parcelStates = { ...(boxnow.parcelStates || {}), ...(latest ? { [parcelId]: latest.state } : {}) };
+  boxnow.lastSyncedAt = new Date().toISOString();
+  order.metadata = { ...order.metadata, boxnow };
+
+  const parcelIds = boxnow.parcelIds?.length ? boxnow.parcelIds : [String(parcelId)];
+  const target = deriveOrderStatusFromParcels(parcelIds, boxnow.parcelStates);
+  const reason = latest ? `parcel ${parcelId}: ${latest.state}` : null;
+
+  if (target && target !== order.status) {
+    if (!canTransition(order, target) && canTransition(order, "shipped")) {
+      applyOrderTransition(order, "shipped", { actor, reason });
+    }
+    if (canTransition(order, target)) applyOrderTransition(order, target, { actor, reason });
+  }
 
-  const r = await fetch(url, {
-    method: "GET",
-    signal: controller.signal,
-    headers: { ...buildHeaders(token), accept: "application/pdf" },
-  }).finally(() => clearTimeout(t));
+  return fresh.length;
+}
 
-  const ct = (r.headers.get("content-type") || "").toLowerCase();
+async function syncOrderTracking(orderNumber) {
+  const order = orderRepository.get(orderNumber);
+  const parcelIds = order?.metadata?.boxnow?.parcelIds || [];
 
-  if (!r.ok) {
-    const txt = await r.text().catch(() => "");
-    throw new Error(`Label(order) fetch failed (${r.status}): ct=${ct} body=${txt.slice(0, 200)}`);
+  let newEvents = 0;
+  for (const parcelId of parcelIds) {
+    const events = await fetchBoxNowParcelEvents(parcelId);
+    const updated = orderRepository.update(orderNumber, (o) => {
+      newEvents += applyBoxNowParcelEvents(o, parcelId, events);
+    });
+    if (updated.status === "delivered") notifyCustomer("delivered", updated);
   }
+  return newEvents;
+}
 
-  const buf = Buffer.from(await r.arrayBuffer());
-  if (buf.length < 4 || buf.slice(0, 4).toString() !== "%PDF") {
-    const preview = buf.slice(0, 200).toString("utf8");
-    throw new Error(`Label(order) is not PDF: ct=${ct} bytes=${buf.length} preview=${preview}`);
+let trackingSyncRunning = false;
+
+async function syncInFlightParcels() {
+  if (trackingSyncRunning) return { skipped: true, reason: "already_running" };
+  trackingSyncRunning = true;
+
+  const summary = { orders: 0, newEvents: 0, errors: [] };
+  try {
+    let cursor = null;
+    do {
+      const page = orderRepository.list({ status: ["label_created", "shipped"], limit: 100, cursor });
+      for (const order of page.orders) {
+        if (!order.metadata?.boxnow?.parcelIds?.length) continue;
+        summary.orders += 1;
+        try {
+          summary.newEvents += await syncOrderTracking(order.orderNumber);
+        } catch (err) {
+          summary.errors.push({ orderNumber: order.orderNumber, error: err?.message || String(err) });
+        }
+      }
+      cursor = page.next;
+    } while (cursor);
+  } finally {
+    trackingSyncRunning = false;
   }
 
-  return buf;
+  console.log("[BOXNOW_TRACKING_SYNC]", { ...summary, errors: summary.errors.length });
+  return summary;
 }
 
-// ✅ Preferred: label by parcelId (manual response includes parcels[].id)
-async function fetchBoxNowLabelPDFByParcelId(parcelId) {
-  const token = await authToken();
-  const url = `${API_BASE}/api/v1/parcels/${encodeURIComponent(parcelId)}/label.pdf`;
+function startBoxNowTrackingSync() {
+  if (!BOXNOW_TRACKING_SYNC_MINUTES || !API_BASE || !CLIENT_ID || !CLIENT_SECRET) return;
 
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), 15000);
+  const timer = setInterval(() => {
+    syncInFlightParcels().catch((err) => console.error("[BOXNOW_TRACKING_SYNC_ERROR]", err?.message || err));
+  }, BOXNOW_TRACKING_SYNC_MINUTES * 60_000);
+  timer.unref();
+}
 
-  const r = await fetch(url, {
-    method: "GET",
-    signal: controller.signal,
-    headers: { ...buildHeaders(token), accept: "application/pdf" },
-  }).finally(() => clearTimeout(t));
+// Public timeline for the storefront (no customer details)
+app.get("/api/orders/:orderNumber/tracking", (req, res) => {
+  try {
+    const order = orderRepository.get(req.params.orderNumber);
+    if (!order) return res.status(404).json({ error: "Order not found" });
 
-  const ct = (r.headers.get("content-type") || "").toLowerCase();
+    const boxnow = order.metadata?.boxnow || {};
+    const events = (boxnow.events || []).map((e) => ({
+      at: e.at,
+      parcelId: e.parcelId,
+      state: e.state,
+      label: BOXNOW_STATE_LABELS[e.state] || { el: e.state, en: e.state },
+      location: e.location || null,
+    }));
 
-  if (!r.ok) {
-    const txt = await r.text().catch(() => "");
-    throw new Error(`Label(parcel) fetch failed (${r.status}): ct=${ct} body=${txt.slice(0, 200)}`);
+    return res.json({
+      orderNumber: order.orderNumber,
+      status: order.status,
+      trackingNumber: boxnow.trackingNumber || null,
+      locker: {
+        id: boxnow.lockerId || null,
+        name: boxnow.pickupName || null,
+        address: boxnow.pickupAddress || null,
+      },
+      parcels: (boxnow.parcelIds || []).map((id) => ({ parcelId: id, state: boxnow.parcelStates?.[id] || null })),
+      events,
+      lastSyncedAt: boxnow.lastSyncedAt || null,
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
   }
+});
 
-  const buf = Buffer.from(await r.arrayBuffer());
-  if (buf.length < 4 || buf.slice(0, 4).toString() !== "%PDF") {
-    const preview = buf.slice(0, 200).toString("utf8");
-    throw new Error(`Label(parcel) is not PDF: ct=${ct} bytes=${buf.length} preview=${preview}`);
+// Manual sync: { orderNumber } for one order, empty body for all in-flight parcels
+app.post("/api/admin/boxnow/tracking-sync", requireAdmin, async (req, res) => {
+  try {
+    const orderNumber = String(req.body?.orderNumber || "").trim();
+    if (orderNumber) {
+      if (!orderRepository.get(orderNumber)) return res.status(404).json({ error: "Order not found" });
+      const newEvents = await syncOrderTracking(orderNumber);
+      return res.json({ success: true, orderNumber, newEvents });
+    }
+    return res.json({ success: true, ...(await syncInFlightParcels()) });
+  } catch (e) {
+    return res.status(502).json({ message: "BoxNow tracking sync error", details: String(e?.message || e) });
   }
+});
 
-  return buf;
+// -------------------- BOXNOW WEBHOOK HANDLING --------------------
+// Signature: hex HMAC-SHA256 of the raw body in X-BoxNow-Signature ("sha256=" prefix allowed),
+// or BoxNow's `datasignature` field = HMAC-SHA256 of JSON.stringify(payload.data).
+function verifyBoxNowWebhook(raw, payload, header) {
+  const matches = (given, content) => {
+    if (!given) return false;
+    const expected = crypto.createHmac("sha256", BOXNOW_WEBHOOK_SECRET).update(content).digest("hex");
+    const a = Buffer.from(String(given).replace(/^sha256=/i, "").trim().toLowerCase());
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  };
+
+  if (matches(header, raw)) return true;
+  return !Array.isArray(payload) && payload?.data != null && matches(payload.datasignature, JSON.stringify(payload.data));
 }
 
-async function emailVoucherPdf({ orderNumber, pdfBuffer }) {
-  const transporter = getMailer();
-  if (!transporter) return { sent: false, reason: "mail_not_configured" };
+function addBoxNowDeadLetter(eventId, parcelId, reason, event) {
+  db.prepare(
+    "INSERT INTO boxnow_dead_letters (event_id, parcel_id, reason, payload, received_at) VALUES (?, ?, ?, ?, ?)"
+  ).run(eventId, parcelId || null, reason, JSON.stringify(event), new Date().toISOString());
+  console.warn("[BOXNOW_WEBHOOK_DEAD_LETTER]", { eventId, parcelId, reason });
+}
 
-  const toList = VOUCHER_EMAIL_TO.split(",").map((s) => s.trim()).filter(Boolean);
-  if (!toList.length) return { sent: false, reason: "empty_recipient_list" };
+// Returns { orderNumber, state } when applied, { deadLetter: reason } otherwise
+function handleBoxNowWebhookEvent(eventId, event, { deadLetter = true } = {}) {
+  const data = event?.data || event || {};
+  const parcelId = String(data.parcelId ?? data.parcel?.id ?? event?.subject ?? "").trim() || null;
+  const normalized = normalizeBoxNowEvent(
+    {
+      state: data.parcelState ?? data.state ?? data.event,
+      time: data.time ?? event?.time ?? new Date().toISOString(),
+      locationDisplayName: data.locationDisplayName ?? data.destination?.name ?? null,
+      additionalInformation: data.additionalInformation ?? null,
+    },
+    parcelId
+  );
 
-  console.log("[VOUCHER_EMAIL]", { orderNumber, to: toList, bytes: pdfBuffer?.length || 0 });
+  if (!parcelId || !normalized.state) {
+    if (deadLetter) addBoxNowDeadLetter(eventId, parcelId, "missing_parcel_or_state", event);
+    return { deadLetter: "missing_parcel_or_state" };
+  }
 
-  await transporter.sendMail({
-    from: `"Gods n Bees" <${MAIL_USER}>`,
-    to: toList,
-    subject: `BOXNOW Voucher – ${orderNumber}`,
-    text: `Επισυνάπτεται το BoxNow voucher (PDF) για την αποστολή ${orderNumber}.`,
-    attachments: [{ filename: `BOXNOW-${orderNumber}.pdf`, content: pdfBuffer }],
+  const order = orderRepository.findByParcelId(parcelId);
+  if (!order) {
+    if (deadLetter) addBoxNowDeadLetter(eventId, parcelId, "unknown_parcel", event);
+    return { deadLetter: "unknown_parcel" };
+  }
+
+  const updated = orderRepository.update(order.orderNumber, (o) => {
+    applyBoxNowParcelEvents(o, parcelId, [normalized], { actor: "boxnow-webhook" });
   });
+  if (updated.status === "delivered") notifyCustomer("delivered", updated);
 
-  return { sent: true, to: toList };
+  console.log("[BOXNOW_WEBHOOK]", { eventId, parcelId, orderNumber: order.orderNumber, state: normalized.state });
+  return { orderNumber: order.orderNumber, state: normalized.state };
 }
 
-// -------------------- ROUTES --------------------
-app.get("/health", (_req, res) => res.json({ ok: true }));
-
-app.get("/api/boxnow/destinations", async (req, res) => {
+app.get("/api/admin/boxnow/dead-letters", requireAdmin, (req, res) => {
   try {
-    const base = locationBase();
-    const qs = new URLSearchParams(req.query).toString();
-    const url = `${base}/destinations${qs ? `?${qs}` : ""}`;
-
-    const token = await authToken();
-    const r = await fetch(url, { headers: buildHeaders(token) });
-
-    const text = await r.text();
-    if (!r.ok) return res.status(r.status).send(text);
+    const resolved = parseBoolFilter(req.query.resolved);
+    const where = resolved == null ? "" : `WHERE resolved_at IS ${resolved ? "NOT NULL" : "NULL"}`;
+    const rows = db.prepare(`SELECT * FROM boxnow_dead_letters ${where} ORDER BY id DESC LIMIT 500`).all();
 
-    res.type("json").send(text);
+    return res.json({
+      deadLetters: rows.map((r) => ({
+        id: r.id,
+        eventId: r.event_id,
+        parcelId: r.parcel_id,
+        reason: r.reason,
+        receivedAt: r.received_at,
+        resolvedAt: r.resolved_at,
+        payload: JSON.parse(r.payload),
+      })),
+    });
   } catch (e) {
-    res.status(502).json({ message: "BoxNow destinations error", details: String(e?.message || e) });
+    return res.status(500).json({ error: e.message });
   }
 });
 
-app.get("/api/boxnow/origins", async (req, res) => {
+// Re-run a dead-lettered event (e.g. after the order's parcelIds were fixed)
+app.post("/api/admin/boxnow/dead-letters/:id/replay", requireAdmin, (req, res) => {
   try {
-    const base = locationBase();
-    const qs = new URLSearchParams(req.query).toString();
-    const url = `${base}/origins${qs ? `?${qs}` : ""}`;
+    const row = db.prepare("SELECT * FROM boxnow_dead_letters WHERE id = ?").get(Number(req.params.id));
+    if (!row) return res.status(404).json({ error: "Dead letter not found" });
+    if (row.resolved_at) return res.status(409).json({ error: "Already resolved" });
 
-    const token = await authToken();
-    const r = await fetch(url, { headers: buildHeaders(token) });
-
-    const text = await r.text();
-    if (!r.ok) return res.status(r.status).send(text);
+    const result = handleBoxNowWebhookEvent(row.event_id, JSON.parse(row.payload), { deadLetter: false });
+    if (result.deadLetter) return res.status(409).json({ success: false, reason: result.deadLetter });
 
-    res.type("json").send(text);
+    db.prepare("UPDATE boxnow_dead_letters SET resolved_at = ? WHERE id = ?").run(new Date().toISOString(), row.id);
+    return res.json({ success: true, ...result });
   } catch (e) {
-    res.status(502).json({ message: "BoxNow origins error", details: String(e?.message || e) });
+    return res.status(500).json({ error: e.message });
   }
 });
 
-// ✅ UPDATED delivery-requests (manual-compliant parcels parsing + notifyOnAccepted + dual email)
-app.post("/api/boxnow/delivery-requests", async (req, res) => {
-  try {
-    const order = req.body || {};
-
-    const customerName =
-      order.customer?.name ??
-      order.contactName ??
-      `${order.firstName || ""} ${order.lastName || ""}`.trim();
+// -------------------- BOXNOW COD SETTLEMENTS --------------------
+// BoxNow pays collected COD money out in batches and sends a settlement/remittance CSV. Uploading it
+// (offline, no BoxNow API calls) adds the rows to each order's ledger (metadata.payment.codCollection.rows),
+// marks COD orders paid once their rows add up to the stored total, and stores a report of mismatches,
+// partial collections, unknown rows and delivered COD orders that are still missing a settlement.
+const COD_SETTLEMENT_GRACE_DAYS = Number(process.env.COD_SETTLEMENT_GRACE_DAYS || 7);
+const COD_SETTLEMENT_MAX_BYTES = process.env.COD_SETTLEMENT_MAX_BYTES || "5mb";
+const COD_SETTLEMENT_CONTENT_TYPES = ["text/csv", "text/plain", "application/csv", "application/vnd.ms-excel"];
+
+// Normalized header (lowercase, no accents/spaces/punctuation) -> field
+const COD_SETTLEMENT_COLUMNS = {
+  orderNumber: [
+    "ordernumber",
+    "orderno",
+    "order",
+    "orderid",
+    "orderreference",
+    "reference",
+    "referencenumber",
+    "αριθμοςπαραγγελιας",
+    "παραγγελια",
+  ],
+  parcelId: ["parcelid", "parcel", "parcelnumber", "voucher", "vouchernumber", "trackingnumber", "awb", "δεμα"],
+  amount: [
+    "amount",
+    "codamount",
+    "amounttobecollected",
+    "collectedamount",
+    "settledamount",
+    "remittedamount",
+    "ποσο",
+    "ποσοαντικαταβολης",
+  ],
+  settledAt: [
+    "settledat",
+    "settlementdate",
+    "paymentdate",
+    "payoutdate",
+    "remittancedate",
+    "date",
+    "ημερομηνια",
+    "ημερομηνιαεκκαθαρισης",
+  ],
+  settlementRef: ["settlementid", "settlementreference", "remittanceid", "payoutid", "batch", "batchid"],
+};
+
+function normalizeCsvHeader(h) {
+  return String(h)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9α-ω]/g, "");
+}
 
-    const customerEmail = order.customer?.email ?? order.contactEmail ?? order.email;
-    const customerPhoneRaw = order.customer?.phone ?? order.contactPhone ?? order.phone;
-    const customerPhone = normalizePhone(customerPhoneRaw);
+// RFC 4180-ish: quoted fields, "" escapes, newlines inside quotes; delimiter guessed from the header line
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const header = src.slice(0, src.search(/\r?\n|$/));
+  const delimiter = [";", ",", "\t"].sort((a, b) => header.split(b).length - header.split(a).length)[0];
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
 
-    const destinationLocationId =
-      order.destinationLocationId ??
-      order.destination?.locationId ??
-      order.selectedLockerId ??
-      order.lockerId;
+const settlementAmountText = (raw) => String(raw ?? "").replace(/[^\d,.-]/g, "");
+
+// The file's decimal separator ("," or "."), from the amounts that can only be read one way: "1.234,56",
+// "1,234,567", "12,5". "1.234" alone says nothing. The majority wins; null when nothing (or a tie) decides.
+function settlementDecimalSeparator(values) {
+  const votes = { ",": 0, ".": 0 };
+  for (const raw of values) {
+    const s = settlementAmountText(raw);
+    const commas = s.split(",").length - 1;
+    const dots = s.split(".").length - 1;
+    if (commas && dots) votes[s.lastIndexOf(",") > s.lastIndexOf(".") ? "," : "."] += 1;
+    else if (commas > 1) votes["."] += 1;
+    else if (dots > 1) votes[","] += 1;
+    else if (/[,.]\d{1,2}$/.test(s)) votes[commas ? "," : "."] += 1;
+  }
+  if (votes[","] === votes["."]) return null;
+  return votes[","] > votes["."] ? "," : ".";
+}
 
-    const originLocationId = String(order.originLocationId || DEFAULT_ORIGIN_LOCATION_ID);
+// "12,50" / "1.234,56" / "€ 12.50" -> cents, read with the file's decimal separator. null when unparseable or
+// when it doesn't fit the separator ("1,5" in a file with decimal points); without a separator only whole amounts
+function parseSettlementAmount(raw, decimal) {
+  const s = settlementAmountText(raw);
+  if (!s) return null;
+  if (!decimal) return /^-?\d+$/.test(s) ? Number(s) * 100 : null;
+
+  const thousands = decimal === "," ? "." : ",";
+  const pattern = new RegExp(`^-?(\\d{1,3}(\\${thousands}\\d{3})+|\\d+)(\\${decimal}\\d{1,2})?$`);
+  if (!pattern.test(s)) return null;
+  const n = Number(s.split(thousands).join("").replace(decimal, "."));
+  return Number.isFinite(n) ? Math.round(n * 100) : null;
+}
 
-    const orderNumber = String(order.orderNumber || `ORD-${Date.now()}`);
-    const invoiceValueNum = Number(order.invoiceValue ?? order.total ?? order.amountToBeCollected ?? 0);
-    const invoiceValue = safeMoney(invoiceValueNum);
+// ISO or dd/mm/yyyy (also . or - separated, optional hh:mm) -> ISO string, null when unparseable
+function parseSettlementDate(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return null;
 
-    let paymentMode = mapPaymentModeToBoxNow(order.paymentMode ?? order.paymentMethod);
-    if (FORCE_PREPAID) paymentMode = "prepaid";
-    if (paymentMode === "cod" && !ALLOW_COD) paymentMode = "prepaid";
+  const m = s.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})(?:[ T](\d{1,2}):(\d{2}))?/);
+  if (m) {
+    const [, d, mo, y, h = "0", mi = "0"] = m;
+    const date = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi)));
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  const t = Date.parse(s);
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+}
 
-    const amountToBeCollected =
-      paymentMode === "cod" ? safeMoney(order.amountToBeCollected ?? invoiceValueNum) : "0.00";
+// What the customer chose at checkout; metadata.boxnow only records what a delivery request asked BoxNow for
+function isCodOrder(order) {
+  return mapPaymentModeToBoxNow(order.metadata?.payment?.method) === "cod";
+}
 
-    if (!destinationLocationId) return res.status(400).json({ error: "Missing destinationLocationId" });
-    if (!customerName || !customerEmail || !customerPhone) {
-      return res.status(400).json({ error: "Missing customer contact fields (name/email/phone)" });
-    }
+// What the locker collects: the amount sent with the delivery request, the order total until there is a label
+function codAmountToCollect(order) {
+  return toNum(order.metadata?.boxnow?.amountToBeCollected ?? order.totals?.total);
+}
 
-    const totalWeightKg = computeTotalWeightKg(order);
+// What the delivery request asked BoxNow to collect (the order total before there is a label)
+function codExpectedCents(order) {
+  return Math.round(codAmountToCollect(order) * 100);
+}
 
-    if (!Number.isFinite(totalWeightKg) || totalWeightKg <= 0) {
-      return res.status(400).json({
-        error: "MISSING_WEIGHT",
-        message: "Total weight missing/invalid. Provide cartWeightKg or item.weightKg/weight.",
-      });
-    }
+// Settled so far according to the order's ledger
+function codCollectedCents(order) {
+  const rows = order.metadata?.payment?.codCollection?.rows || [];
+  return rows.reduce((sum, r) => sum + Math.round(toNum(r.amount) * 100), 0);
+}
 
-    if (totalWeightKg > 12) {
-      return res.status(400).json({
-        error: "BOXNOW_MAX_WEIGHT_EXCEEDED",
-        maxKg: 12,
-        receivedKg: Number(totalWeightKg.toFixed(3)),
-      });
-    }
+// A parcel is paid out once; rows without a parcel id are told apart by settlement ref, date and amount
+function codRowKey(row) {
+  if (row.parcelId) return `parcel:${row.parcelId}`;
+  return `order:${row.orderNumber}|${row.settlementRef || ""}|${row.settledAt || ""}|${toNum(row.amount).toFixed(2)}`;
+}
 
-    const compartmentSize = totalWeightKg <= 5 ? 2 : 3;
+// Newest ISO date of the list (null when none)
+function latestDate(dates) {
+  return dates.filter(Boolean).sort().pop() || null;
+}
 
-    // ✅ BoxNow manual: send email only if notifyOnAccepted is populated
-    const notifyEmail = (BOXNOW_NOTIFY_EMAIL || VOUCHER_EMAIL_TO.split(",")[0] || MAIL_USER).trim();
+function deliveredAtOf(order) {
+  const entry = [...(order.history || [])].reverse().find((h) => h.to === "delivered");
+  return entry?.at || (order.status === "delivered" ? order.statusUpdatedAt || null : null);
+}
 
-    const deliveryRequest = {
-      orderNumber,
-      invoiceValue,
-      paymentMode,
-      amountToBeCollected,
-
-      // ✅ official BoxNow voucher email
-      notifyOnAccepted: notifyEmail,
-
-      origin: {
-        locationId: originLocationId,
-        contactName: String(customerName),
-        contactEmail: String(customerEmail),
-        contactNumber: String(customerPhone),
-        country: "GR",
-      },
-      destination: {
-        locationId: String(destinationLocationId),
-        contactName: String(customerName),
-        contactEmail: String(customerEmail),
-        contactNumber: String(customerPhone),
-        country: "GR",
-      },
-      items: [
-        {
-          id: "1",
-          name: String(order.parcelName || "Order"),
-          value: invoiceValue,
-          weight: Number(totalWeightKg.toFixed(2)),
-          compartmentSize,
-        },
-      ],
-    };
+// Delivered COD orders not (fully) collected, delivered before `before`
+function outstandingCodOrders(before) {
+  const outstanding = [];
+  for (const order of iterateOrders({ status: ["delivered"] })) {
+    if (!isCodOrder(order) || order.metadata?.payment?.codCollection?.complete) continue;
 
-    console.log("[BOXNOW_REQUEST]", {
-      orderNumber,
-      destinationLocationId,
-      totalWeightKg,
-      paymentMode,
-      notifyOnAccepted: notifyEmail,
+    const deliveredAt = deliveredAtOf(order);
+    if (deliveredAt && deliveredAt > before) continue;
+    const expectedCents = codExpectedCents(order);
+    outstanding.push({
+      orderNumber: order.orderNumber,
+      parcelIds: order.metadata?.boxnow?.parcelIds || [],
+      expected: centsToEur(expectedCents),
+      collected: centsToEur(codCollectedCents(order)),
+      outstanding: centsToEur(expectedCents - codCollectedCents(order)),
+      deliveredAt,
     });
+  }
+  return outstanding;
+}
 
-    const r = await boxnowApiFetch("/api/v1/delivery-requests", {
-      method: "POST",
-      body: JSON.stringify(deliveryRequest),
-    });
+// Row -> order: parcel id first (exact), then order number / delivery request reference (ORD-1-R2 -> ORD-1)
+function findSettlementOrder({ orderNumber, parcelId }) {
+  const byParcel = parcelId ? orderRepository.findByParcelId(parcelId) : null;
+  const byNumber = orderNumber
+    ? orderRepository.get(orderNumber) || orderRepository.get(orderNumber.replace(/-R\d+$/, ""))
+    : null;
 
-    const text = await r.text();
-    if (!r.ok) {
-      try {
-        updateOrderMetadata(orderNumber, {
-          boxnow: { error: text.slice(0, 200) },
-        });
-      } catch (err) {
-        console.error("[METADATA_UPDATE_ERROR]", err.message);
-      }
-      return res.status(r.status).send(text);
-    }
+  if (byParcel && byNumber && byParcel.orderNumber !== byNumber.orderNumber) {
+    return { order: byParcel, conflict: byNumber.orderNumber };
+  }
+  return { order: byParcel || byNumber, conflict: null };
+}
+
+/**
+ * Reconcile a settlement CSV against the orders. With dryRun nothing is written.
+ * Returns the report: { collected, partiallyCollected, alreadyCollected, mismatches, unknown, invalid,
+ * missingSettlements, totals }. Rows already in an order's ledger (re-uploaded files) aren't counted twice.
+ */
+function importCodSettlement(csvText, { filename = null, actor = "admin", dryRun = false } = {}) {
+  const [header, ...lines] = parseCsv(csvText);
+  if (!header) throw httpError(400, "EMPTY_FILE", "The settlement file is empty");
+
+  const columns = {};
+  header.forEach((h, i) => {
+    const key = normalizeCsvHeader(h);
+    const field = Object.keys(COD_SETTLEMENT_COLUMNS).find((f) => COD_SETTLEMENT_COLUMNS[f].includes(key));
+    if (field && columns[field] == null) columns[field] = i;
+  });
+  if ((columns.orderNumber == null && columns.parcelId == null) || columns.amount == null) {
+    const err = httpError(400, "UNRECOGNIZED_COLUMNS", "Need an order number or parcel id column and an amount column");
+    err.body = { error: err.code, message: err.message, headers: header };
+    throw err;
+  }
 
-    const responseData = JSON.parse(text);
+  const report = {
+    filename,
+    rows: lines.length,
+    collected: [],
+    alreadyCollected: [],
+    mismatches: [],
+    partiallyCollected: [],
+    unknown: [],
+    invalid: [],
+    missingSettlements: [],
+  };
 
-    // ✅ Manual response: { id: <deliveryRequestId>, parcels: [{ id: <parcelId> }, ...] }
-    const deliveryRequestId = responseData?.id || null;
+  const decimal = settlementDecimalSeparator(lines.map((cells) => cells[columns.amount]));
+
+  // Rows per order (an order with several parcels may be settled on several rows)
+  const byOrder = new Map();
+  lines.forEach((cells, i) => {
+    const cell = (field) => (columns[field] != null ? String(cells[columns[field]] ?? "").trim() : "");
+    const row = {
+      line: i + 2,
+      orderNumber: cell("orderNumber") || null,
+      parcelId: cell("parcelId") || null,
+      amountCents: parseSettlementAmount(cell("amount"), decimal),
+      settledAt: parseSettlementDate(cell("settledAt")),
+      settlementRef: cell("settlementRef") || null,
+    };
 
-    const parcelIds = Array.isArray(responseData?.parcels)
-      ? responseData.parcels.map((p) => String(p?.id || "").trim()).filter(Boolean)
-      : [];
+    if (!row.orderNumber && !row.parcelId) return report.invalid.push({ line: row.line, reason: "NO_REFERENCE" });
+    if (row.amountCents == null) {
+      return report.invalid.push({ line: row.line, reason: "INVALID_AMOUNT", value: cell("amount") });
+    }
 
-    const parcelId = parcelIds[0] || null;
+    const { order, conflict } = findSettlementOrder(row);
+    const amount = centsToEur(row.amountCents);
+    if (!order) {
+      return report.unknown.push({ line: row.line, orderNumber: row.orderNumber, parcelId: row.parcelId, amount });
+    }
+    if (conflict) {
+      return report.mismatches.push({
+        lines: [row.line],
+        orderNumber: order.orderNumber,
+        reason: "PARCEL_ORDER_CONFLICT",
+        message: `Parcel ${row.parcelId} belongs to ${order.orderNumber}, the row says ${row.orderNumber}`,
+      });
+    }
 
-    const trackingNumber =
-      responseData?.trackingNumber ||
-      responseData?.referenceNumber ||
-      responseData?.parcels?.[0]?.trackingNumber ||
-      null;
+    const group = byOrder.get(order.orderNumber) || { order, rows: [] };
+    group.rows.push(row);
+    byOrder.set(order.orderNumber, group);
+  });
 
-    console.log("[BOXNOW_SUCCESS]", { orderNumber, deliveryRequestId, parcelIds, trackingNumber });
+  const now = new Date().toISOString();
+  const toApply = [];
+  for (const { order, rows } of byOrder.values()) {
+    const collection = order.metadata?.payment?.codCollection || null;
+    const recorded = new Set((collection?.rows || []).map((r) => codRowKey({ orderNumber: order.orderNumber, ...r })));
+    const ledgerRows = rows.map((r) => ({
+      line: r.line,
+      parcelId: r.parcelId,
+      amount: centsToEur(r.amountCents),
+      settledAt: r.settledAt,
+      settlementRef: r.settlementRef,
+    }));
+    const fresh = ledgerRows.filter((r) => !recorded.has(codRowKey({ orderNumber: order.orderNumber, ...r })));
+
+    const previousCents = codCollectedCents(order);
+    const freshCents = fresh.reduce((sum, r) => sum + Math.round(r.amount * 100), 0);
+    const settledCents = previousCents + freshCents;
+    const expectedCents = codExpectedCents(order);
+    const entry = {
+      lines: rows.map((r) => r.line),
+      orderNumber: order.orderNumber,
+      parcelIds: [...new Set(rows.map((r) => r.parcelId).filter(Boolean))],
+      expected: centsToEur(expectedCents),
+      settled: centsToEur(rows.reduce((sum, r) => sum + r.amountCents, 0)),
+      ...(previousCents ? { previouslySettled: centsToEur(previousCents) } : {}),
+      settledAt: latestDate(rows.map((r) => r.settledAt)),
+    };
 
-    try {
-      updateOrderMetadata(orderNumber, {
-        boxnow: {
-          lockerId: destinationLocationId,
-          pickupName: order.pickupName || null,
-          pickupAddress: order.pickupAddress || null,
-          parcelId,
-          parcelIds,
-          trackingNumber,
-          labelUrl: null,
-          error: null,
-        },
+    // BoxNow pays each parcel out on its own row: less than expected is a partial payout while fewer rows
+    // than parcels have come in, and a mismatch after that
+    const payouts = (collection?.rows || []).length + fresh.length;
+    const morePayoutsDue = payouts < (order.metadata?.boxnow?.parcelIds || []).length;
+
+    if (collection?.complete || !fresh.length) {
+      report.alreadyCollected.push({
+        ...entry,
+        complete: !!collection?.complete,
+        collectedAt: collection?.collectedAt || null,
+        importId: collection?.importId ?? null,
       });
-    } catch (err) {
-      console.error("[METADATA_UPDATE_ERROR]", err.message);
+    } else if (!isCodOrder(order)) {
+      report.mismatches.push({ ...entry, reason: "NOT_COD" });
+    } else if (order.status === "cancelled") {
+      report.mismatches.push({ ...entry, reason: "ORDER_CANCELLED" });
+    } else if (settledCents > expectedCents || (settledCents < expectedCents && !morePayoutsDue)) {
+      report.mismatches.push({ ...entry, reason: "AMOUNT_MISMATCH" });
+    } else if (settledCents < expectedCents) {
+      report.partiallyCollected.push({ ...entry, outstanding: centsToEur(expectedCents - settledCents) });
+      toApply.push({ order, fresh, settledCents, complete: false });
+    } else {
+      report.collected.push(entry);
+      toApply.push({ order, fresh, settledCents, complete: true });
     }
+  }
 
-    // ✅ Send our own voucher copy to multiple recipients
-    let voucherEmail = { sent: false, reason: "not_attempted" };
-    try {
-      console.log("[VOUCHER] fetching label pdf...", { orderNumber, parcelId });
+  // Delivered (COD_SETTLEMENT_GRACE_DAYS before the newest settlement in the file) but not in any settlement
+  const newest = latestDate(report.collected.map((c) => c.settledAt)) || now;
+  const before = new Date(Date.parse(newest) - COD_SETTLEMENT_GRACE_DAYS * 86400_000).toISOString();
+  report.missingSettlements = outstandingCodOrders(before).filter((o) => !byOrder.has(o.orderNumber));
 
-      // Prefer parcel label; fallback to order label (both described in manual)
-      let pdf;
-      if (parcelId) {
-        pdf = await fetchBoxNowLabelPDFByParcelId(parcelId);
-      } else {
-        pdf = await fetchBoxNowLabelPDF(orderNumber);
-      }
+  const amountCents = (cells) => parseSettlementAmount(cells[columns.amount], decimal) || 0;
+  report.totals = {
+    settled: centsToEur(lines.reduce((sum, cells) => sum + amountCents(cells), 0)),
+    collected: centsToEur(toApply.reduce((sum, a) => sum + a.settledCents - codCollectedCents(a.order), 0)),
+  };
+  if (dryRun) return { dryRun: true, ...report };
+
+  // All or nothing: a crash halfway must not leave some orders collected and no import record
+  const result = db.transaction(() => {
+    const importId = Number(
+      db
+        .prepare(
+          `INSERT INTO cod_settlement_imports (filename, rows, collected, issues, actor, report, created_at)
+           VALUES (?, ?, ?, ?, ?, '{}', ?)`
+        )
+        .run(
+          filename,
+          report.rows,
+          report.collected.length,
+          report.mismatches.length + report.unknown.length + report.invalid.length,
+          actor,
+          now
+        ).lastInsertRowid
+    );
+
+    for (const { order, fresh, settledCents, complete } of toApply) {
+      const rows = [...(order.metadata?.payment?.codCollection?.rows || []), ...fresh.map((r) => ({ ...r, importId }))];
+      const codCollection = {
+        amount: centsToEur(settledCents),
+        expected: centsToEur(codExpectedCents(order)),
+        complete,
+        settledAt: latestDate(rows.map((r) => r.settledAt)),
+        parcelIds: [...new Set(rows.map((r) => r.parcelId).filter(Boolean))],
+        rows,
+        importId,
+        collectedAt: complete ? now : null,
+      };
+      applyPaymentUpdate(order.orderNumber, {
+        type: "boxnow.cod_settlement",
+        ...(complete ? { status: "paid" } : {}),
+        actor,
+        fields: { ...(complete ? { paidAt: codCollection.settledAt || now } : {}), codCollection },
+      });
+    }
 
-      console.log("[VOUCHER] sending email...", { orderNumber, to: VOUCHER_EMAIL_TO || MAIL_USER });
-      voucherEmail = await emailVoucherPdf({ orderNumber, pdfBuffer: pdf });
+    const imported = { importId, ...report };
+    db.prepare("UPDATE cod_settlement_imports SET report = ? WHERE id = ?").run(JSON.stringify(imported), importId);
+    return imported;
+  })();
+
+  console.log("[COD_SETTLEMENT_IMPORTED]", {
+    importId: result.importId,
+    filename,
+    rows: report.rows,
+    collected: report.collected.length,
+    partial: report.partiallyCollected.length,
+    mismatches: report.mismatches.length,
+    unknown: report.unknown.length,
+    missing: report.missingSettlements.length,
+  });
+  return result;
+}
 
-      console.log("[EMAIL_SENT]", { orderNumber, ...voucherEmail });
-    } catch (err) {
-      console.error("[EMAIL_ERROR]", { orderNumber, error: err?.message || String(err) });
-      voucherEmail = { sent: false, reason: err?.message || String(err) };
+// Body: the CSV itself (Content-Type text/csv) or JSON { csv, filename }. ?dryRun=1 only reports.
+app.post(
+  "/api/admin/boxnow/cod-settlements",
+  requireAdmin,
+  express.text({ type: COD_SETTLEMENT_CONTENT_TYPES, limit: COD_SETTLEMENT_MAX_BYTES }),
+  (req, res) => {
+    try {
+      const csv = typeof req.body === "string" ? req.body : req.body?.csv;
+      if (!csv || typeof csv !== "string") {
+        return res.status(400).json({ error: "Send the settlement CSV as the body" });
+      }
+
+      const filename = String(req.query.filename || req.get("X-Filename") || req.body?.filename || "").trim() || null;
+      const report = importCodSettlement(csv, {
+        filename,
+        actor: adminActor(req),
+        dryRun: parseBoolFilter(req.query.dryRun) === true,
+      });
+      return res.json({ success: true, ...report });
+    } catch (e) {
+      if (e.body !== undefined) return res.status(e.status).json(e.body);
+      return res.status(e.status || 500).json({ error: e.message, ...(e.code ? { code: e.code } : {}) });
     }
+  }
+);
 
+app.get("/api/admin/boxnow/cod-settlements", requireAdmin, (_req, res) => {
+  try {
+    const rows = db
+      .prepare(
+        "SELECT id, filename, rows, collected, issues, actor, created_at FROM cod_settlement_imports ORDER BY id DESC"
+      )
+      .all();
     return res.json({
-      success: true,
-      orderNumber,
-      deliveryRequestId,
-      parcelId,
-      parcelIds,
-      trackingNumber,
-      voucherEmail,
-      notifyOnAccepted: notifyEmail,
+      imports: rows.map((r) => ({
+        id: r.id,
+        filename: r.filename,
+        rows: r.rows,
+        collected: r.collected,
+        issues: r.issues,
+        actor: r.actor,
+        createdAt: r.created_at,
+      })),
     });
   } catch (e) {
-    console.error("[BOXNOW_ERROR]", e?.message || e);
-    return res.status(502).json({ message: "BoxNow error", details: String(e?.message || e) });
+    return res.status(500).json({ error: e.message });
   }
 });
 
-// Optional: serve label pdf by orderNumber (manual supports)
-app.get("/api/boxnow/labels/order/:orderNumber", async (req, res) => {
+// Delivered COD orders still waiting for BoxNow's payout (older than COD_SETTLEMENT_GRACE_DAYS)
+app.get("/api/admin/boxnow/cod-settlements/outstanding", requireAdmin, (_req, res) => {
   try {
-    const orderNumber = String(req.params.orderNumber || "").trim();
-    if (!orderNumber) return res.status(400).json({ error: "Missing orderNumber" });
-
-    const pdf = await fetchBoxNowLabelPDF(orderNumber);
-
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader("Content-Disposition", `inline; filename="BOXNOW-${orderNumber}.pdf"`);
-    return res.status(200).send(pdf);
+    const before = new Date(Date.now() - COD_SETTLEMENT_GRACE_DAYS * 86400_000).toISOString();
+    const orders = outstandingCodOrders(before);
+    const outstanding = centsToEur(orders.reduce((sum, o) => sum + Math.round(o.outstanding * 100), 0));
+    return res.json({ graceDays: COD_SETTLEMENT_GRACE_DAYS, count: orders.length, outstanding, orders });
   } catch (e) {
-    return res.status(502).json({ message: "BoxNow order label error", details: String(e?.message || e) });
+    return res.status(500).json({ error: e.message });
   }
 });
 
-// Optional: serve label pdf by parcelId
-app.get("/api/boxnow/labels/parcel/:parcelId", async (req, res) => {
+app.get("/api/admin/boxnow/cod-settlements/:id", requireAdmin, (req, res) => {
   try {
-    const parcelId = String(req.params.parcelId || "").trim();
-    if (!parcelId) return res.status(400).json({ error: "Missing parcelId" });
-
-    const pdf = await fetchBoxNowLabelPDFByParcelId(parcelId);
-
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader("Content-Disposition", `inline; filename="BOXNOW-PARCEL-${parcelId}.pdf"`);
-    return res.status(200).send(pdf);
+    const row = db.prepare("SELECT report FROM cod_settlement_imports WHERE id = ?").get(Number(req.params.id));
+    if (!row) return res.status(404).json({ error: "Settlement import not found" });
+    return res.json(JSON.parse(row.report));
   } catch (e) {
-    return res.status(502).json({ message: "BoxNow parcel label error", details: String(e?.message || e) });
+    return res.status(500).json({ error: e.message });
   }
 });
 
 const PORT = Number(process.env.PORT || 3001);
-app.listen(PORT, () => console.log(`BoxNow server running on port ${PORT}`));
+app.listen(PORT, () => {
+  console.log(`BoxNow server running on port ${PORT}`);
+  startBoxNowTrackingSync();
+  startOutboxWorker();
+  startLockerDirectoryRefresh();
+  startLabelArchiveCleanup();
+  startStoreSyncWorker();
+  startStockReservationExpiry();
+});
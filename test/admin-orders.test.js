@@ -0,0 +1,50 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { CUSTOMER, createOrder, startServer } from "./helpers/server.js";
+
+describe("admin order search", () => {
+  let server;
+  const orders = {};
+
+  before(async () => {
+    server = await startServer();
+    for (const email of ["an_na@example.com", "anxna@example.com", "nikos@example.com"]) {
+      orders[email] = await createOrder(server, { paymentMethod: "cod", customer: { ...CUSTOMER, email } });
+    }
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  const search = (query) => server.get(`/api/admin/orders?${new URLSearchParams(query)}`, { admin: true });
+
+  test("_ and % in the email filter match literally", async () => {
+    const res = await search({ email: "an_na" });
+    assert.equal(res.status, 200, res.text);
+    assert.deepEqual(
+      res.body.orders.map((o) => o.orderNumber),
+      [orders["an_na@example.com"].orderNumber]
+    );
+
+    assert.equal((await search({ email: "%@example" })).body.orders.length, 0);
+  });
+
+  test("paging by total walks every order once", async () => {
+    const seen = [];
+    let cursor = "";
+    do {
+      const res = await search({ sort: "total", direction: "asc", limit: "1", ...(cursor ? { cursor } : {}) });
+      assert.equal(res.status, 200, res.text);
+      seen.push(...res.body.orders.map((o) => o.orderNumber));
+      cursor = res.body.nextCursor;
+    } while (cursor && seen.length < 10);
+
+    assert.deepEqual(
+      seen.sort(),
+      Object.values(orders)
+        .map((o) => o.orderNumber)
+        .sort()
+    );
+  });
+});
@@ -0,0 +1,119 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { CUSTOMER, createOrder, getOrder, startServer } from "./helpers/server.js";
+import { startBoxNowStub } from "./helpers/boxnow-stub.js";
+import { PAYPAL_CLIENT_ID, PAYPAL_CLIENT_SECRET, PAYPAL_WEBHOOK_ID, startPayPalStub } from "./helpers/paypal-stub.js";
+
+describe("BoxNow cancel / re-issue", () => {
+  let boxnow;
+  let paypal;
+  let server;
+
+  before(async () => {
+    boxnow = await startBoxNowStub();
+    paypal = await startPayPalStub();
+    server = await startServer({
+      env: { ...boxnow.env, PAYPAL_API_URL: paypal.url, PAYPAL_CLIENT_ID, PAYPAL_CLIENT_SECRET, PAYPAL_WEBHOOK_ID },
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await paypal?.close();
+    await boxnow?.close();
+  });
+
+  const requestLabel = (orderNumber) =>
+    server.post("/api/boxnow/delivery-requests", { orderNumber, destinationLocationId: "4", customer: CUSTOMER });
+
+  const cancel = (orderNumber, body = {}) =>
+    server.post(`/api/admin/orders/${orderNumber}/boxnow/cancel`, body, { admin: true });
+
+  async function paidPayPalOrder() {
+    const order = await createOrder(server, { paymentMethod: "paypal" });
+    assert.equal((await server.post("/api/paypal/create-order", { orderNumber: order.orderNumber })).status, 200);
+    const capture = await server.post("/api/paypal/capture-order", { orderNumber: order.orderNumber });
+    assert.equal(capture.status, 200, capture.text);
+    return order;
+  }
+
+  test("a late payment webhook doesn't move a labelled order back to paid", async () => {
+    const order = await paidPayPalOrder();
+    assert.equal((await requestLabel(order.orderNumber)).status, 200);
+
+    const stored = await getOrder(server, order.orderNumber);
+    const event = {
+      id: "WH-LATE-COMPLETED",
+      event_type: "PAYMENT.CAPTURE.COMPLETED",
+      resource: {
+        id: stored.metadata.payment.paypalCaptureId,
+        status: "COMPLETED",
+        custom_id: order.orderNumber,
+        amount: { currency_code: "EUR", value: order.totals.total.toFixed(2) },
+      },
+    };
+    const hook = await server.post("/api/paypal/webhook", event, { headers: paypal.signWebhook(event) });
+    assert.equal(hook.status, 200, hook.text);
+
+    assert.equal((await getOrder(server, order.orderNumber)).status, "label_created");
+  });
+
+  test("the admin status endpoint can't move a labelled order backwards", async () => {
+    const order = await paidPayPalOrder();
+    assert.equal((await requestLabel(order.orderNumber)).status, 200);
+
+    const res = await server.post(`/api/admin/orders/${order.orderNumber}/status`, { status: "paid" }, { admin: true });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, "INVALID_TRANSITION");
+  });
+
+  test("cancelling the label moves a paid order back to paid and a COD order back to pending", async () => {
+    const paid = await paidPayPalOrder();
+    assert.equal((await requestLabel(paid.orderNumber)).status, 200);
+    const paidCancel = await cancel(paid.orderNumber, { reason: "wrong locker" });
+    assert.equal(paidCancel.status, 200, paidCancel.text);
+    assert.equal(paidCancel.body.status, "paid");
+
+    const cod = await createOrder(server, { paymentMethod: "cod" });
+    assert.equal((await requestLabel(cod.orderNumber)).status, 200);
+    const codCancel = await cancel(cod.orderNumber);
+    assert.equal(codCancel.status, 200, codCancel.text);
+    assert.equal(codCancel.body.status, "pending");
+
+    const stored = await getOrder(server, cod.orderNumber);
+    assert.deepEqual(stored.metadata.boxnow.parcelIds, []);
+    assert.equal(stored.metadata.boxnow.cancelledRequests.length, 1);
+  });
+
+  test("a partly failed cancel keeps only the live parcels, so the retry doesn't cancel the others again", async () => {
+    // 4 x 4 kg gift boxes don't fit one 12 kg parcel
+    const order = await createOrder(server, { paymentMethod: "cod", items: [{ sku: "GIFT-BOX", quantity: 4 }] });
+    const label = await requestLabel(order.orderNumber);
+    assert.equal(label.status, 200, label.text);
+    const [first, second] = label.body.parcelIds;
+    assert.ok(second, "expected two parcels");
+
+    boxnow.failCancel(second);
+    const partial = await cancel(order.orderNumber);
+    assert.equal(partial.status, 502);
+    assert.equal(partial.body.error, "BOXNOW_CANCEL_FAILED");
+
+    let stored = await getOrder(server, order.orderNumber);
+    assert.deepEqual(stored.metadata.boxnow.parcelIds, [second]);
+    assert.equal(stored.metadata.boxnow.parcelId, second);
+    assert.equal(stored.status, "label_created");
+
+    boxnow.failCancel(second, false);
+    const retry = await cancel(order.orderNumber);
+    assert.equal(retry.status, 200, retry.text);
+    assert.deepEqual(
+      retry.body.results.map((r) => r.parcelId),
+      [second]
+    );
+    assert.equal(boxnow.cancelled.filter((id) => id === first).length, 1);
+
+    stored = await getOrder(server, order.orderNumber);
+    assert.equal(stored.status, "pending");
+    assert.deepEqual(stored.metadata.boxnow.cancelledRequests.at(-1).parcelIds, [first, second]);
+  });
+});
@@ -0,0 +1,124 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { CATALOG, CUSTOMER, createOrder, startServer } from "./helpers/server.js";
+import { startBoxNowStub } from "./helpers/boxnow-stub.js";
+
+const PACKING_CATALOG = [
+  ...CATALOG,
+  { sku: "JAR-1KG", name: "Μέλι 1kg", priceCents: 1000, weightKg: 1, vatRate: 13 },
+  { sku: "CRATE", name: "Κιβώτιο 6 βάζων", priceCents: 3333, weightKg: 7, vatRate: 13 },
+  { sku: "BARREL", name: "Δοχείο 13kg", priceCents: 9000, weightKg: 13, vatRate: 13 },
+];
+
+const cents = (value) => Math.round(Number(value) * 100);
+
+describe("BoxNow parcel packing", () => {
+  let boxnow;
+  let server;
+
+  before(async () => {
+    boxnow = await startBoxNowStub();
+    server = await startServer({ env: { ...boxnow.env, BOXNOW_MAX_PARCELS: "2" }, catalog: PACKING_CATALOG });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await boxnow?.close();
+  });
+
+  async function deliveryRequestFor(items) {
+    const order = await createOrder(server, { paymentMethod: "cod", items });
+    const res = await server.post("/api/boxnow/delivery-requests", {
+      orderNumber: order.orderNumber,
+      destinationLocationId: "4",
+      customer: CUSTOMER,
+    });
+    assert.equal(res.status, 200, res.text);
+    return { order, res, sent: boxnow.deliveryRequests.at(-1) };
+  }
+
+  test("an order up to 12 kg ships as one parcel worth the whole order", async () => {
+    const { order, res, sent } = await deliveryRequestFor([{ sku: "THYME-450", quantity: 2 }]);
+
+    assert.equal(res.body.parcelIds.length, 1);
+    assert.equal(sent.items.length, 1);
+    assert.deepEqual(sent.items[0], {
+      id: "1",
+      name: "Order",
+      value: order.totals.total.toFixed(2),
+      weight: 1.3,
+      compartmentSize: 2,
+    });
+    assert.equal(sent.invoiceValue, order.totals.total.toFixed(2));
+    assert.equal(sent.amountToBeCollected, order.totals.total.toFixed(2));
+  });
+
+  test("a heavier order is split into parcels that each fit a compartment", async () => {
+    const { order, res, sent } = await deliveryRequestFor([
+      { sku: "CRATE", quantity: 2 },
+      { sku: "JAR-1KG", quantity: 3 },
+    ]);
+
+    // First fit, heaviest first: crate + 3 jars, then the second crate
+    assert.equal(res.body.parcelIds.length, 2);
+    assert.deepEqual(
+      sent.items.map(({ name, weight, compartmentSize }) => ({ name, weight, compartmentSize })),
+      [
+        { name: "Order (1/2)", weight: 10, compartmentSize: 3 },
+        { name: "Order (2/2)", weight: 7, compartmentSize: 3 },
+      ]
+    );
+
+    // Value split by contents price (63.33 : 33.33 of a 98.16 total), the last parcel takes the remainder
+    assert.equal(order.totals.total, 98.16);
+    assert.deepEqual(
+      sent.items.map((p) => p.value),
+      ["64.31", "33.85"]
+    );
+    assert.equal(cents(sent.items[0].value) + cents(sent.items[1].value), cents(sent.invoiceValue));
+    assert.equal(sent.amountToBeCollected, "98.16");
+  });
+
+  test("parcel values add up to the cent for totals that don't divide evenly", async () => {
+    const { sent } = await deliveryRequestFor([
+      { sku: "CRATE", quantity: 1 },
+      { sku: "GIFT-BOX", quantity: 2 },
+      { sku: "PINE-950", quantity: 1 },
+    ]);
+
+    assert.equal(sent.items.length, 2);
+    const valuesCents = sent.items.map((p) => cents(p.value));
+    assert.ok(valuesCents.every((v) => v > 0));
+    assert.equal(
+      valuesCents.reduce((a, b) => a + b, 0),
+      cents(sent.invoiceValue)
+    );
+    assert.equal(sent.amountToBeCollected, sent.invoiceValue);
+  });
+
+  test("an item that fits no compartment or too many parcels is refused before BoxNow is called", async () => {
+    const requests = boxnow.deliveryRequests.length;
+
+    const oversized = await server.post("/api/orders/create", {
+      items: [{ sku: "BARREL", quantity: 1 }],
+      customer: CUSTOMER,
+      paymentMethod: "cod",
+    });
+    assert.equal(oversized.status, 400);
+    assert.equal(oversized.body.error, "BOXNOW_MAX_WEIGHT_EXCEEDED");
+    assert.equal(oversized.body.maxKg, 12);
+    assert.equal(oversized.body.receivedKg, 13);
+
+    const tooMany = await server.post("/api/boxnow/delivery-requests", {
+      destinationLocationId: "4",
+      customer: CUSTOMER,
+      paymentMode: "prepaid",
+      invoiceValue: 99.99,
+      items: [{ sku: "CRATE", quantity: 3 }],
+    });
+    assert.equal(tooMany.status, 400);
+    assert.deepEqual(tooMany.body, { error: "BOXNOW_TOO_MANY_PARCELS", maxParcels: 2, requiredParcels: 3 });
+
+    assert.equal(boxnow.deliveryRequests.length, requests);
+  });
+});
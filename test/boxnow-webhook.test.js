@@ -0,0 +1,102 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { CUSTOMER, createOrder, getOrder, startServer } from "./helpers/server.js";
+import { startBoxNowStub } from "./helpers/boxnow-stub.js";
+
+// Recorded-style payloads in test/fixtures/boxnow-webhook, signed with this secret:
+//   openssl dgst -sha256 -hmac boxnow-fixture-secret -hex < final-destination.json
+// delivered-datasignature.json carries its signature inside (HMAC of JSON.stringify(data)).
+const BOXNOW_WEBHOOK_SECRET = "boxnow-fixture-secret";
+const SIGNATURES = {
+  "final-destination.json": "734ae0df8292ad56498bf8cb9c9f61783862000a41b367648963f88302723ac3",
+  "early-event.json": "fdfd93670cb6d48789a501481983296c422e3f319f876b2ff40ccce9c1ad332b",
+};
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/boxnow-webhook/${name}`, import.meta.url), "utf8");
+
+describe("BoxNow webhook", () => {
+  let boxnow;
+  let server;
+  let order;
+
+  before(async () => {
+    boxnow = await startBoxNowStub();
+    server = await startServer({ env: { ...boxnow.env, BOXNOW_WEBHOOK_SECRET } });
+
+    // The fixtures are about parcel 900011, the stub's first parcel
+    order = await createOrder(server, { paymentMethod: "cod" });
+    const label = await requestLabel(order.orderNumber);
+    assert.deepEqual(label.body.parcelIds, ["900011"]);
+  });
+
+  after(async () => {
+    await server?.stop();
+    await boxnow?.close();
+  });
+
+  const requestLabel = (orderNumber) =>
+    server.post("/api/boxnow/delivery-requests", { orderNumber, destinationLocationId: "4", customer: CUSTOMER });
+
+  const deliver = (payload, signature) =>
+    server.post("/api/boxnow/webhook", payload, {
+      headers: { "Content-Type": "application/json", ...(signature ? { "X-BoxNow-Signature": signature } : {}) },
+    });
+
+  test("a payload signed in X-BoxNow-Signature is applied once", async () => {
+    const payload = fixture("final-destination.json");
+    const res = await deliver(payload, SIGNATURES["final-destination.json"]);
+    assert.equal(res.status, 200, res.text);
+    assert.deepEqual(res.body.results, [
+      { eventId: "bn-evt-0001", orderNumber: order.orderNumber, state: "final-destination" },
+    ]);
+    assert.equal((await getOrder(server, order.orderNumber)).status, "shipped");
+
+    const again = await deliver(payload, `sha256=${SIGNATURES["final-destination.json"].toUpperCase()}`);
+    assert.equal(again.status, 200, again.text);
+    assert.deepEqual(again.body.results, [{ eventId: "bn-evt-0001", duplicate: true }]);
+  });
+
+  test("a payload with its signature in datasignature is applied", async () => {
+    const res = await deliver(fixture("delivered-datasignature.json"));
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.results[0].state, "delivered");
+    assert.equal((await getOrder(server, order.orderNumber)).status, "delivered");
+  });
+
+  test("tampered or unsigned payloads are rejected", async () => {
+    const tampered = fixture("final-destination.json").replace("final-destination", "delivered");
+    assert.equal((await deliver(tampered, SIGNATURES["final-destination.json"])).status, 401);
+
+    const signedInside = JSON.parse(fixture("delivered-datasignature.json"));
+    signedInside.data.parcelId = "900099";
+    assert.equal((await deliver(JSON.stringify(signedInside))).status, 401);
+
+    assert.equal((await deliver(fixture("early-event.json"))).status, 401);
+  });
+
+  test("an event for an unknown parcel is dead-lettered and can be replayed once the parcel exists", async () => {
+    const res = await deliver(fixture("early-event.json"), SIGNATURES["early-event.json"]);
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.results[0].deadLetter, "unknown_parcel");
+
+    const list = await server.get("/api/admin/boxnow/dead-letters?resolved=0", { admin: true });
+    const letter = list.body.deadLetters.find((d) => d.eventId === "bn-evt-0002");
+    assert.equal(letter.parcelId, "900021");
+    assert.equal(letter.reason, "unknown_parcel");
+
+    const replay = () => server.post(`/api/admin/boxnow/dead-letters/${letter.id}/replay`, {}, { admin: true });
+    const tooEarly = await replay();
+    assert.equal(tooEarly.status, 409);
+    assert.equal(tooEarly.body.reason, "unknown_parcel");
+
+    const second = await createOrder(server, { paymentMethod: "cod" });
+    assert.deepEqual((await requestLabel(second.orderNumber)).body.parcelIds, ["900021"]);
+
+    const replayed = await replay();
+    assert.equal(replayed.status, 200, replayed.text);
+    assert.equal(replayed.body.orderNumber, second.orderNumber);
+    assert.equal((await getOrder(server, second.orderNumber)).status, "shipped");
+    assert.equal((await replay()).status, 409);
+  });
+});
@@ -0,0 +1,196 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import Database from "better-sqlite3";
+import { CUSTOMER, createOrder, getOrder, startServer } from "./helpers/server.js";
+import { startBoxNowStub } from "./helpers/boxnow-stub.js";
+
+describe("BoxNow COD settlements", () => {
+  let boxnow;
+  let server;
+
+  before(async () => {
+    boxnow = await startBoxNowStub();
+    server = await startServer({ env: { ...boxnow.env, COD_SETTLEMENT_GRACE_DAYS: "0" } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await boxnow?.close();
+  });
+
+  const upload = (csv, query = "") =>
+    server.post(`/api/admin/boxnow/cod-settlements${query}`, csv, {
+      admin: true,
+      headers: { "Content-Type": "text/csv" },
+    });
+
+  const eur = (n) => n.toFixed(2).replace(".", ",");
+
+  // COD order with a BoxNow label, delivered; GIFT-BOX x4 needs two parcels
+  async function deliveredCodOrder(items = [{ sku: "THYME-450", quantity: 1 }]) {
+    const order = await createOrder(server, { paymentMethod: "cod", items });
+    const label = await server.post("/api/boxnow/delivery-requests", {
+      orderNumber: order.orderNumber,
+      destinationLocationId: "4",
+      customer: CUSTOMER,
+    });
+    assert.equal(label.status, 200, label.text);
+    for (const status of ["shipped", "delivered"]) {
+      const res = await server.post(`/api/admin/orders/${order.orderNumber}/status`, { status }, { admin: true });
+      assert.equal(res.status, 200, res.text);
+    }
+    return { ...order, parcelIds: label.body.parcelIds };
+  }
+
+  test("reads BoxNow's Greek export: BOM, ; delimiter, decimal commas and dd/mm/yyyy dates", async () => {
+    const order = await deliveredCodOrder();
+    const csv =
+      "\uFEFFΑριθμός Παραγγελίας;Δέμα;Ποσό;Ημερομηνία\r\n" +
+      `${order.orderNumber};${order.parcelIds[0]};${eur(order.totals.total)};03/02/2026\r\n`;
+
+    const dry = await upload(csv, "?dryRun=1");
+    assert.equal(dry.status, 200, dry.text);
+    assert.equal(dry.body.dryRun, true);
+    assert.equal(dry.body.collected.length, 1);
+    assert.equal(dry.body.collected[0].settledAt, "2026-02-03T00:00:00.000Z");
+    assert.equal((await getOrder(server, order.orderNumber)).metadata.payment.status, "pending");
+
+    const res = await upload(csv, "?filename=remittance-feb.csv");
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.filename, "remittance-feb.csv");
+    assert.deepEqual(
+      res.body.collected.map((c) => c.orderNumber),
+      [order.orderNumber]
+    );
+
+    const payment = (await getOrder(server, order.orderNumber)).metadata.payment;
+    assert.equal(payment.status, "paid");
+    assert.equal(payment.codCollection.complete, true);
+    assert.equal(payment.codCollection.importId, res.body.importId);
+  });
+
+  test("a multi-parcel order settled across two files is partial first, then paid; re-uploads count once", async () => {
+    const order = await deliveredCodOrder([{ sku: "GIFT-BOX", quantity: 4 }]);
+    const [first, second] = order.parcelIds;
+    assert.ok(second, "expected two parcels");
+    const totalCents = Math.round(order.totals.total * 100);
+    const firstCents = Math.round(totalCents / 2);
+
+    const fileA = `order,parcel id,amount\n${order.orderNumber},${first},${(firstCents / 100).toFixed(2)}\n`;
+    const partial = await upload(fileA);
+    assert.equal(partial.status, 200, partial.text);
+    assert.equal(partial.body.partiallyCollected.length, 1);
+    assert.equal(partial.body.partiallyCollected[0].outstanding, (totalCents - firstCents) / 100);
+    assert.equal(partial.body.mismatches.length, 0);
+
+    let stored = await getOrder(server, order.orderNumber);
+    assert.equal(stored.metadata.payment.status, "pending");
+    assert.equal(stored.metadata.payment.codCollection.complete, false);
+
+    const outstanding = await server.get("/api/admin/boxnow/cod-settlements/outstanding", { admin: true });
+    const listed = outstanding.body.orders.find((o) => o.orderNumber === order.orderNumber);
+    assert.equal(listed.outstanding, (totalCents - firstCents) / 100);
+
+    const again = await upload(fileA);
+    assert.equal(again.body.partiallyCollected.length, 0);
+    assert.equal(again.body.alreadyCollected[0].complete, false);
+    assert.equal(again.body.totals.collected, 0);
+
+    const restAmount = ((totalCents - firstCents) / 100).toFixed(2);
+    const fileB = `order,parcel id,amount\n${order.orderNumber},${second},${restAmount}\n`;
+    const rest = await upload(fileB);
+    assert.equal(rest.status, 200, rest.text);
+    assert.equal(rest.body.collected.length, 1);
+    assert.equal(rest.body.collected[0].previouslySettled, firstCents / 100);
+
+    stored = await getOrder(server, order.orderNumber);
+    assert.equal(stored.metadata.payment.status, "paid");
+    assert.equal(stored.metadata.payment.codCollection.amount, totalCents / 100);
+    assert.equal(stored.metadata.payment.codCollection.rows.length, 2);
+
+    const replay = await upload(fileB);
+    assert.equal(replay.body.alreadyCollected[0].complete, true);
+  });
+
+  test("a short payout for a single-parcel order is a mismatch", async () => {
+    const order = await deliveredCodOrder();
+    const res = await upload(`order,amount\n${order.orderNumber},1.00\n`);
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.mismatches[0].reason, "AMOUNT_MISMATCH");
+    assert.equal((await getOrder(server, order.orderNumber)).metadata.payment.status, "pending");
+  });
+
+  test("the export's COD amount is what the label asked BoxNow to collect", async () => {
+    const order = await deliveredCodOrder();
+    const { amountToBeCollected } = (await getOrder(server, order.orderNumber)).metadata.boxnow;
+    assert.ok(amountToBeCollected > 0);
+
+    const csv = await server.get("/api/admin/orders/export?format=csv&paymentMethod=cod", { admin: true });
+    assert.equal(csv.status, 200, csv.text);
+    const [header, ...rows] = csv.text
+      .replace(/^\uFEFF/, "")
+      .trim()
+      .split("\r\n");
+    const row = rows.map((r) => r.split(",")).find((cells) => cells[0] === order.orderNumber);
+    assert.equal(Number(row[header.split(",").indexOf("COD amount")]), amountToBeCollected);
+  });
+
+  test("orders are matched against the amount the label asked BoxNow to collect", async () => {
+    const order = await deliveredCodOrder();
+    // A label re-issued for less than the order total
+    const adjusted = Math.round(order.totals.total * 100 - 150) / 100;
+    const db = new Database(path.join(server.dir, "test.db"));
+    db.prepare(
+      "UPDATE orders SET data = json_set(data, '$.metadata.boxnow.amountToBeCollected', ?) WHERE order_number = ?"
+    ).run(adjusted, order.orderNumber);
+    db.close();
+
+    const full = await upload(`order,amount\n${order.orderNumber},${order.totals.total.toFixed(2)}\n`, "?dryRun=1");
+    assert.equal(full.body.mismatches[0].reason, "AMOUNT_MISMATCH");
+    assert.equal(full.body.mismatches[0].expected, adjusted);
+
+    const res = await upload(`order,amount\n${order.orderNumber},${adjusted.toFixed(2)}\n`);
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.collected.length, 1);
+    assert.equal((await getOrder(server, order.orderNumber)).metadata.payment.status, "paid");
+  });
+
+  test("the decimal separator is read once per file, thousands separators included", async () => {
+    const amounts = async (csv) => {
+      const res = await upload(csv, "?dryRun=1");
+      assert.equal(res.status, 200, res.text);
+      return { unknown: res.body.unknown.map((u) => u.amount), invalid: res.body.invalid.map((i) => i.value) };
+    };
+
+    const greek = "order;amount\nNO-SUCH-ORDER;1.234,56\nNO-SUCH-ORDER;1.234\nNO-SUCH-ORDER;12,5\n";
+    assert.deepEqual(await amounts(greek), { unknown: [1234.56, 1234, 12.5], invalid: [] });
+
+    const english = 'order,amount\nNO-SUCH-ORDER,"1,234.56"\nNO-SUCH-ORDER,"1,234"\nNO-SUCH-ORDER,12.5\n';
+    assert.deepEqual(await amounts(english), { unknown: [1234.56, 1234, 12.5], invalid: [] });
+
+    // Nothing in the file says whether 1.234 is 1234 or 1.234
+    assert.deepEqual(await amounts("order,amount\nNO-SUCH-ORDER,1.234\nNO-SUCH-ORDER,12\n"), {
+      unknown: [12],
+      invalid: ["1.234"],
+    });
+
+    // A comma amount in a file with decimal points doesn't fit
+    assert.deepEqual(await amounts('order,amount\nNO-SUCH-ORDER,12.50\nNO-SUCH-ORDER,3.40\nNO-SUCH-ORDER,"1,5"\n'), {
+      unknown: [12.5, 3.4],
+      invalid: ["1,5"],
+    });
+  });
+
+  test("unknown orders and unparseable amounts are reported, unrecognised headers refused", async () => {
+    const res = await upload("order,amount\nNO-SUCH-ORDER,12.50\nNO-SUCH-ORDER,abc\n");
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.unknown.length, 1);
+    assert.equal(res.body.invalid[0].reason, "INVALID_AMOUNT");
+
+    const bad = await upload("foo,bar\n1,2\n");
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error, "UNRECOGNIZED_COLUMNS");
+    assert.deepEqual(bad.body.headers, ["foo", "bar"]);
+  });
+});
@@ -0,0 +1,73 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { CUSTOMER, startServer } from "./helpers/server.js";
+import { startStripeStub } from "./helpers/stripe-stub.js";
+
+describe("coupon usage limits", () => {
+  let stripe;
+  let server;
+
+  before(async () => {
+    stripe = await startStripeStub();
+    // Unpaid orders hold stock (and their coupon) for 1.2 s
+    server = await startServer({ env: { ...stripe.env, STOCK_RESERVATION_MINUTES: "0.02" } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await stripe?.close();
+  });
+
+  const createCoupon = (code) =>
+    server.post("/api/admin/coupons", { code, type: "percent", percent: 10, maxUses: 1 }, { admin: true });
+
+  const orderWith = (couponCode, paymentMethod = "card") =>
+    server.post("/api/orders/create", {
+      items: [{ sku: "THYME-450", quantity: 1 }],
+      customer: CUSTOMER,
+      paymentMethod,
+      couponCode,
+    });
+
+  const holdExpires = () => new Promise((resolve) => setTimeout(resolve, 1500));
+
+  test("an unpaid order holds the last use only until its reservation expires", async () => {
+    assert.equal((await createCoupon("ONCE")).status, 200);
+    assert.equal((await orderWith("ONCE")).status, 200);
+
+    const taken = await orderWith("ONCE");
+    assert.equal(taken.status, 400);
+    assert.equal(taken.body.error, "COUPON_USAGE_LIMIT");
+
+    await holdExpires();
+    assert.equal((await orderWith("ONCE")).status, 200);
+  });
+
+  test("a paid order keeps its use after the hold", async () => {
+    assert.equal((await createCoupon("PAIDONCE")).status, 200);
+    const order = await orderWith("PAIDONCE");
+    const intent = await server.post("/api/stripe/create-payment-intent", { orderNumber: order.body.orderNumber });
+    const { payload, headers } = stripe.event("payment_intent.succeeded", stripe.succeed(intent.body.id));
+    assert.equal((await server.post("/api/stripe/webhook", payload, { headers })).status, 200);
+
+    await holdExpires();
+    assert.equal((await orderWith("PAIDONCE")).body.error, "COUPON_USAGE_LIMIT");
+  });
+
+  test("a COD order counts right away, until it is cancelled", async () => {
+    assert.equal((await createCoupon("CODONCE")).status, 200);
+    const order = await orderWith("CODONCE", "cod");
+    assert.equal(order.status, 200, order.text);
+
+    await holdExpires();
+    assert.equal((await orderWith("CODONCE")).body.error, "COUPON_USAGE_LIMIT");
+
+    const cancel = await server.post(
+      `/api/admin/orders/${order.body.orderNumber}/status`,
+      { status: "cancelled" },
+      { admin: true }
+    );
+    assert.equal(cancel.status, 200, cancel.text);
+    assert.equal((await orderWith("CODONCE")).status, 200);
+  });
+});
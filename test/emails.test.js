@@ -0,0 +1,65 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import Database from "better-sqlite3";
+import { CUSTOMER, createOrder, startServer } from "./helpers/server.js";
+import { startBoxNowStub } from "./helpers/boxnow-stub.js";
+
+describe("email preview", () => {
+  const servers = [];
+  const start = async (env) => {
+    const server = await startServer({ env });
+    servers.push(server);
+    return server;
+  };
+
+  after(async () => {
+    for (const server of servers) await server.stop();
+  });
+
+  test("is off unless EMAIL_PREVIEW=true", async () => {
+    const server = await start();
+    assert.equal((await server.get("/api/dev/emails/order_confirmation", { admin: true })).status, 404);
+  });
+
+  test("needs the admin token, since it renders real orders", async () => {
+    const server = await start({ EMAIL_PREVIEW: "true" });
+    const { orderNumber } = await createOrder(server);
+    const path = `/api/dev/emails/order_confirmation?orderNumber=${orderNumber}&format=text`;
+
+    assert.equal((await server.get(path)).status, 401);
+    const res = await server.get(path, { admin: true });
+    assert.equal(res.status, 200);
+    assert.match(res.text, new RegExp(orderNumber));
+  });
+
+  test("the COD amount due is the one on the label", async () => {
+    const boxnow = await startBoxNowStub();
+    try {
+      const server = await start({ ...boxnow.env, EMAIL_PREVIEW: "true" });
+      const { orderNumber, totals } = await createOrder(server, { paymentMethod: "cod" });
+      const label = await server.post("/api/boxnow/delivery-requests", {
+        orderNumber,
+        destinationLocationId: "4",
+        customer: CUSTOMER,
+      });
+      assert.equal(label.status, 200, label.text);
+
+      // A label re-issued for a different amount than the order total
+      const db = new Database(path.join(server.dir, "test.db"));
+      db.prepare(
+        "UPDATE orders SET data = json_set(data, '$.metadata.boxnow.amountToBeCollected', 12.34) WHERE order_number = ?"
+      ).run(orderNumber);
+      db.close();
+      assert.notEqual(totals.total, 12.34);
+
+      const res = await server.get(`/api/dev/emails/parcel_shipped?orderNumber=${orderNumber}&format=text`, {
+        admin: true,
+      });
+      assert.equal(res.status, 200, res.text);
+      assert.match(res.text, /12[.,]34/);
+    } finally {
+      await boxnow.close();
+    }
+  });
+});
@@ -0,0 +1,99 @@
+import { PDFDocument, StandardFonts } from "pdf-lib";
+import { startStub } from "./server.js";
+
+async function labelPdf(parcelId) {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([288, 432]);
+  page.drawText(`BoxNow ${parcelId}`, { x: 30, y: 200, size: 18, font: await doc.embedFont(StandardFonts.Helvetica) });
+  return Buffer.from(await doc.save());
+}
+
+/**
+ * Local BoxNow partner API stand-in: auth, delivery requests (numbered parcels), parcel cancel and labels.
+ * `failCancel(parcelId, on)` makes that parcel's cancel fail (or work again); `deliveryRequests` keeps every
+ * request body. `failDeliveryRequests(on)` answers new delivery requests with a 500, and `holdDeliveryRequests()`
+ * keeps them waiting until the function it returns is called.
+ * `setParcelEvents(parcelId, events)` sets what the parcel tracking API returns for a parcel.
+ * The location API answers with `setLockers(lockers)`'s list (`failLockers(on)` makes it a 503); until then it is a
+ * 404, so the server runs without a locker directory (lockers aren't validated).
+ */
+export async function startBoxNowStub() {
+  const deliveryRequests = [];
+  const cancelled = [];
+  const failingCancels = new Set();
+  let failingDeliveryRequests = false;
+  const parcelEvents = new Map();
+  let lockers = null;
+  let failingLockers = false;
+  let held = null;
+  let seq = 0;
+
+  const stub = await startStub(async ({ method, path, query, body }) => {
+    if (method === "POST" && path === "/api/v1/auth-sessions") {
+      return { json: { access_token: "boxnow-stub-token", expires_in: 3600 } };
+    }
+
+    if (method === "POST" && path === "/api/v1/delivery-requests") {
+      await held;
+      if (failingDeliveryRequests) return { status: 500, json: { message: "Delivery requests unavailable" } };
+      const id = String(++seq);
+      deliveryRequests.push(body);
+      return {
+        json: { id: `DR${id}`, parcels: body.items.map((_, i) => ({ id: `9${id.padStart(4, "0")}${i + 1}` })) },
+      };
+    }
+
+    const cancel = path.match(/^\/api\/v1\/parcels\/([^/]+):cancel$/);
+    if (method === "POST" && cancel) {
+      const parcelId = decodeURIComponent(cancel[1]);
+      if (failingCancels.has(parcelId)) return { status: 500, json: { message: "Parcel cancel unavailable" } };
+      cancelled.push(parcelId);
+      return { json: {} };
+    }
+
+    const label = path.match(/^\/api\/v1\/parcels\/([^/]+)\/label\.pdf$/);
+    if (method === "GET" && label) {
+      return { type: "application/pdf", body: await labelPdf(decodeURIComponent(label[1])) };
+    }
+
+    if (method === "GET" && path === "/api/v1/parcels") {
+      const parcelId = query.get("parcelId");
+      return {
+        json: { data: parcelEvents.has(parcelId) ? [{ id: parcelId, events: parcelEvents.get(parcelId) }] : [] },
+      };
+    }
+
+    if (method === "GET" && path === "/locations/destinations" && lockers) {
+      if (failingLockers) return { status: 503, json: { message: "Location API unavailable" } };
+      return { json: { data: lockers } };
+    }
+    return null;
+  });
+
+  return {
+    ...stub,
+    deliveryRequests,
+    cancelled,
+    failCancel: (parcelId, on = true) => (on ? failingCancels.add(parcelId) : failingCancels.delete(parcelId)),
+    failDeliveryRequests: (on = true) => (failingDeliveryRequests = on),
+    setParcelEvents: (parcelId, events) => parcelEvents.set(String(parcelId), events),
+    setLockers: (list) => (lockers = list),
+    failLockers: (on = true) => (failingLockers = on),
+    holdDeliveryRequests() {
+      let release;
+      held = new Promise((resolve) => (release = resolve));
+      return () => {
+        held = null;
+        release();
+      };
+    },
+    env: {
+      BOXNOW_API_URL: stub.url,
+      BOXNOW_LOCATION_API_URL: `${stub.url}/locations`,
+      BOXNOW_CLIENT_ID: "boxnow-client",
+      BOXNOW_CLIENT_SECRET: "boxnow-secret",
+      BOXNOW_ALLOW_COD: "true",
+      BOXNOW_TRACKING_SYNC_MINUTES: "0",
+    },
+  };
+}
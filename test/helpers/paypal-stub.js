@@ -0,0 +1,101 @@
+import crypto from "crypto";
+import { startStub } from "./server.js";
+
+export const PAYPAL_CLIENT_ID = "test-client";
+export const PAYPAL_CLIENT_SECRET = "test-secret";
+export const PAYPAL_WEBHOOK_ID = "WH-TEST";
+
+// Stand-in for PayPal's certificate signature: HMAC over the same fields PayPal signs (id|time|webhook id|body hash)
+const SIGNING_KEY = "paypal-stub-signing-key";
+
+function transmissionSig({ transmissionId, transmissionTime, webhookId, event }) {
+  const bodyHash = crypto.createHash("sha256").update(JSON.stringify(event)).digest("hex");
+  return crypto
+    .createHmac("sha256", SIGNING_KEY)
+    .update(`${transmissionId}|${transmissionTime}|${webhookId}|${bodyHash}`)
+    .digest("base64");
+}
+
+/**
+ * Local PayPal REST stand-in: OAuth, Orders v2 (create / capture / get) and verify-webhook-signature.
+ * `payWith(paypalOrderId, amount)` simulates a buyer who approved a different amount than we created.
+ */
+export async function startPayPalStub() {
+  const orders = new Map();
+  let seq = 0;
+
+  const stub = await startStub(({ method, path, headers, body }) => {
+    if (method === "POST" && path === "/v1/oauth2/token") {
+      const basic = Buffer.from(`${PAYPAL_CLIENT_ID}:${PAYPAL_CLIENT_SECRET}`).toString("base64");
+      if (headers.authorization !== `Basic ${basic}`) return { status: 401, json: { error: "invalid_client" } };
+      return { json: { access_token: "stub-token", token_type: "Bearer", expires_in: 32400 } };
+    }
+
+    if (headers.authorization !== "Bearer stub-token") return { status: 401, json: { name: "AUTHENTICATION_FAILURE" } };
+
+    if (method === "POST" && path === "/v1/notifications/verify-webhook-signature") {
+      const expected = transmissionSig({
+        transmissionId: body.transmission_id,
+        transmissionTime: body.transmission_time,
+        webhookId: body.webhook_id,
+        event: body.webhook_event,
+      });
+      const ok = body.webhook_id === PAYPAL_WEBHOOK_ID && body.transmission_sig === expected;
+      return { json: { verification_status: ok ? "SUCCESS" : "FAILURE" } };
+    }
+
+    if (method === "POST" && path === "/v2/checkout/orders") {
+      const unit = body.purchase_units[0];
+      const id = `PAYPAL-ORDER-${++seq}`;
+      orders.set(id, { id, status: "CREATED", unit, amount: { ...unit.amount }, capture: null });
+      return { status: 201, json: { id, status: "CREATED" } };
+    }
+
+    const match = path.match(/^\/v2\/checkout\/orders\/([^/]+)(\/capture)?$/);
+    const order = match && orders.get(decodeURIComponent(match[1]));
+    if (!order) return { status: 404, json: { name: "RESOURCE_NOT_FOUND" } };
+
+    if (method === "POST" && match[2]) {
+      if (order.capture) {
+        return { status: 422, json: { name: "UNPROCESSABLE_ENTITY", details: [{ issue: "ORDER_ALREADY_CAPTURED" }] } };
+      }
+      order.status = "COMPLETED";
+      order.capture = {
+        id: `CAPTURE-${order.id}`,
+        status: "COMPLETED",
+        amount: order.amount,
+        custom_id: order.unit.custom_id,
+        create_time: new Date().toISOString(),
+      };
+    }
+
+    return {
+      status: match[2] ? 201 : 200,
+      json: {
+        id: order.id,
+        status: order.status,
+        purchase_units: [{ ...order.unit, payments: { captures: order.capture ? [order.capture] : [] } }],
+      },
+    };
+  });
+
+  return {
+    ...stub,
+    orders,
+    payWith(paypalOrderId, amount) {
+      orders.get(paypalOrderId).amount = amount;
+    },
+    // Headers for POST /api/paypal/webhook; sign one event and send another to simulate tampering
+    signWebhook(event, { webhookId = PAYPAL_WEBHOOK_ID } = {}) {
+      const transmissionId = crypto.randomUUID();
+      const transmissionTime = new Date().toISOString();
+      return {
+        "paypal-auth-algo": "SHA256withRSA",
+        "paypal-cert-url": `${stub.url}/certs/stub.pem`,
+        "paypal-transmission-id": transmissionId,
+        "paypal-transmission-time": transmissionTime,
+        "paypal-transmission-sig": transmissionSig({ transmissionId, transmissionTime, webhookId, event }),
+      };
+    },
+  };
+}
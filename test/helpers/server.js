@@ -0,0 +1,188 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import http from "http";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+export const ADMIN_TOKEN = "test-admin-token";
+
+export const CATALOG = [
+  { sku: "THYME-450", name: "Θυμαρίσιο μέλι 450g", priceCents: 1250, weightKg: 0.65, vatRate: 13 },
+  { sku: "PINE-950", name: "Πευκόμελο 950g", priceCents: 1990, weightKg: 1.2, vatRate: 13 },
+  { sku: "GIFT-BOX", name: "Gift box", priceCents: 3900, weightKg: 4, vatRate: 24 },
+];
+
+export const CUSTOMER = { name: "Maria Papadopoulou", email: "maria@example.com", phone: "6900000000" };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(url, child, logs) {
+  const deadline = Date.now() + 15_000;
+  while (Date.now() < deadline) {
+    if (child.exitCode != null) throw new Error(`Server exited with ${child.exitCode}:\n${logs()}`);
+    try {
+      const r = await fetch(`${url}/health`);
+      if (r.ok) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Server did not start:\n${logs()}`);
+}
+
+async function request(base, method, p, { body, headers = {}, admin = false } = {}) {
+  const isText = typeof body === "string";
+  const r = await fetch(`${base}${p}`, {
+    method,
+    headers: {
+      ...(body !== undefined ? { "Content-Type": isText ? "text/plain" : "application/json" } : {}),
+      ...(admin ? { Authorization: `Bearer ${ADMIN_TOKEN}` } : {}),
+      ...headers,
+    },
+    body: body === undefined ? undefined : isText ? body : JSON.stringify(body),
+  });
+
+  const text = await r.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // not JSON (PDF, CSV, plain text errors)
+  }
+  return { status: r.status, headers: r.headers, body: json, text };
+}
+
+/**
+ * Boots src/index.js on a free port with its own SQLite file and catalog (a fresh shop per call).
+ * Provider stand-ins are wired in through `env` (PAYPAL_API_URL, STRIPE_API_URL, BOXNOW_API_URL, ...).
+ */
+export async function startServer({ env = {}, catalog = CATALOG } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "godsnbees-test-"));
+  fs.writeFileSync(path.join(dir, "catalog.json"), JSON.stringify({ products: catalog }));
+
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT, "src/index.js")], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      DB_FILE: path.join(dir, "test.db"),
+      CATALOG_FILE: path.join(dir, "catalog.json"),
+      SHIPPING_RATES_FILE: path.join(dir, "shipping-rates.json"),
+      ADMIN_TOKEN,
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  child.stdout.on("data", (d) => (output += d));
+  child.stderr.on("data", (d) => (output += d));
+  const logs = () => output;
+
+  const url = `http://127.0.0.1:${port}`;
+  try {
+    await waitForHealth(url, child, logs);
+  } catch (err) {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw err;
+  }
+
+  return {
+    url,
+    dir,
+    logs,
+    get: (p, opts) => request(url, "GET", p, opts),
+    post: (p, body, opts) => request(url, "POST", p, { ...opts, body }),
+    async stop() {
+      if (child.exitCode == null) {
+        const exited = new Promise((resolve) => child.once("exit", resolve));
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+export async function createOrder(server, { items = [{ sku: "THYME-450", quantity: 2 }], ...rest } = {}) {
+  const res = await server.post("/api/orders/create", { items, customer: CUSTOMER, ...rest });
+  if (res.status !== 200) throw new Error(`Order create failed (${res.status}): ${res.text}`);
+  return res.body;
+}
+
+export async function getOrder(server, orderNumber) {
+  const res = await server.get(`/api/admin/orders/${encodeURIComponent(orderNumber)}`, { admin: true });
+  if (res.status !== 200) throw new Error(`Order read failed (${res.status}): ${res.text}`);
+  return res.body.order;
+}
+
+/**
+ * Minimal HTTP stand-in for a provider API. `handler(request)` returns { status, json } | { status, body, type }
+ * (or nothing for 404); every request is kept in `requests` for assertions.
+ */
+export async function startStub(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", async () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      let body = raw;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        // form-encoded (OAuth, Stripe) or plain text
+      }
+      const url = new URL(req.url, "http://stub");
+      const entry = {
+        method: req.method,
+        path: url.pathname,
+        query: url.searchParams,
+        headers: req.headers,
+        body,
+        raw,
+      };
+      requests.push(entry);
+
+      try {
+        const out = (await handler(entry)) || { status: 404, json: { error: "not found" } };
+        if (out.json !== undefined) {
+          res.writeHead(out.status || 200, { "Content-Type": "application/json" });
+          return res.end(JSON.stringify(out.json));
+        }
+        res.writeHead(out.status || 200, { "Content-Type": out.type || "application/octet-stream" });
+        return res.end(out.body);
+      } catch (err) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ error: err.message }));
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
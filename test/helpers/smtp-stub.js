@@ -0,0 +1,107 @@
+import net from "net";
+
+export const MAIL_USER = "shop@example.com";
+
+/**
+ * Local SMTP stand-in (plain text, AUTH PLAIN/LOGIN accepted). Every accepted message is kept in `messages`
+ * as { from, to, subject, raw }; `fail(on)` answers MAIL FROM with a 451 so the send fails.
+ */
+export async function startSmtpStub() {
+  const messages = [];
+  const sockets = new Set();
+  let failing = false;
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.on("error", () => {});
+
+    let buffer = "";
+    let data = null;
+    let auth = null;
+    let envelope = { from: null, to: [] };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const command = (line) => {
+      if (auth === "user") {
+        auth = "pass";
+        return reply("334 UGFzc3dvcmQ6");
+      }
+      if (auth === "pass") {
+        auth = null;
+        return reply("235 Authenticated");
+      }
+
+      const verb = line.split(" ")[0].toUpperCase();
+      const address = () =>
+        line
+          .replace(/^\w+ \w+:\s*/, "")
+          .replace(/[<>]/g, "")
+          .split(" ")[0];
+      switch (verb) {
+        case "EHLO":
+        case "HELO":
+          return reply("250-smtp.stub\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME");
+        case "AUTH":
+          if (!/^AUTH LOGIN/i.test(line)) return reply("235 Authenticated");
+          auth = "user";
+          return reply("334 VXNlcm5hbWU6");
+        case "MAIL":
+          if (failing) return reply("451 Mailbox temporarily unavailable");
+          envelope = { from: address(), to: [] };
+          return reply("250 OK");
+        case "RCPT":
+          envelope.to.push(address());
+          return reply("250 OK");
+        case "DATA":
+          data = [];
+          return reply("354 End data with <CR><LF>.<CR><LF>");
+        case "QUIT":
+          reply("221 Bye");
+          return socket.end();
+        default:
+          return reply("250 OK");
+      }
+    };
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let i;
+      while ((i = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        if (!data) {
+          command(line);
+        } else if (line === ".") {
+          const raw = data.join("\r\n");
+          const subject = raw.match(/^Subject: (.*)$/m)?.[1] || "";
+          messages.push({ ...envelope, subject, raw });
+          data = null;
+          reply("250 Queued");
+        } else {
+          data.push(line.startsWith("..") ? line.slice(1) : line);
+        }
+      }
+    });
+
+    reply("220 smtp.stub ESMTP");
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    messages,
+    fail: (on = true) => (failing = on),
+    env: {
+      MAIL_HOST: "127.0.0.1",
+      MAIL_PORT: String(server.address().port),
+      MAIL_SECURE: "false",
+      MAIL_USER,
+      MAIL_PASS: "smtp-pass",
+    },
+    close: () =>
+      new Promise((resolve) => {
+        for (const socket of sockets) socket.destroy();
+        server.close(resolve);
+      }),
+  };
+}
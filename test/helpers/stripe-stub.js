@@ -0,0 +1,109 @@
+import Stripe from "stripe";
+import { startStub } from "./server.js";
+
+export const STRIPE_SECRET_KEY = "sk_test_stub";
+export const STRIPE_WEBHOOK_SECRET = "whsec_stub";
+
+// Stripe sends form-encoded bodies ("metadata[orderNumber]=..."); nested keys stay flat here
+function formFields(raw) {
+  return Object.fromEntries(new URLSearchParams(typeof raw === "string" ? raw : ""));
+}
+
+function metadataOf(fields) {
+  const metadata = {};
+  for (const [k, v] of Object.entries(fields)) {
+    const m = k.match(/^metadata\[(.+)\]$/);
+    if (m) metadata[m[1]] = v;
+  }
+  return metadata;
+}
+
+/**
+ * Local Stripe API stand-in: PaymentIntents (create / retrieve / update / cancel) and refunds (create / list).
+ * `event(type, object)` builds a signed webhook delivery for POST /api/stripe/webhook.
+ */
+export async function startStripeStub() {
+  const intents = new Map();
+  const refunds = [];
+  let seq = 0;
+
+  const stub = await startStub(({ method, path, query, raw }) => {
+    const fields = formFields(raw);
+
+    if (method === "POST" && path === "/v1/payment_intents") {
+      const id = `pi_stub_${++seq}`;
+      const intent = {
+        id,
+        object: "payment_intent",
+        amount: Number(fields.amount),
+        amount_received: 0,
+        currency: fields.currency,
+        status: "requires_payment_method",
+        client_secret: `${id}_secret`,
+        metadata: metadataOf(fields),
+      };
+      intents.set(id, intent);
+      return { json: intent };
+    }
+
+    const intentPath = path.match(/^\/v1\/payment_intents\/([^/]+)(\/cancel)?$/);
+    if (intentPath) {
+      const intent = intents.get(intentPath[1]);
+      if (!intent) {
+        return { status: 404, json: { error: { type: "invalid_request_error", message: "No such intent" } } };
+      }
+      if (method === "POST" && intentPath[2]) intent.status = "canceled";
+      else if (method === "POST" && fields.amount) intent.amount = Number(fields.amount);
+      return { json: intent };
+    }
+
+    if (method === "POST" && path === "/v1/refunds") {
+      const refund = {
+        id: `re_stub_${++seq}`,
+        object: "refund",
+        amount: Number(fields.amount),
+        status: "succeeded",
+        reason: fields.reason || null,
+        payment_intent: fields.payment_intent,
+        created: Math.floor(Date.now() / 1000),
+      };
+      refunds.push(refund);
+      return { json: refund };
+    }
+
+    if (method === "GET" && path === "/v1/refunds") {
+      const data = refunds.filter((r) => r.payment_intent === query.get("payment_intent"));
+      return { json: { object: "list", has_more: false, data } };
+    }
+
+    return null;
+  });
+
+  return {
+    ...stub,
+    intents,
+    refunds,
+    env: { STRIPE_API_URL: stub.url, STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET },
+    // The buyer confirmed the intent (for `amount` cents, default the intent's amount)
+    succeed(id, { amount, currency } = {}) {
+      const intent = intents.get(id);
+      Object.assign(intent, {
+        status: "succeeded",
+        amount_received: amount ?? intent.amount,
+        ...(currency ? { currency } : {}),
+      });
+      return { ...intent };
+    },
+    event(type, object, id = `evt_stub_${++seq}`) {
+      const payload = JSON.stringify({
+        id,
+        object: "event",
+        type,
+        created: Math.floor(Date.now() / 1000),
+        data: { object },
+      });
+      const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: STRIPE_WEBHOOK_SECRET });
+      return { payload, headers: { "Content-Type": "application/json", "Stripe-Signature": signature } };
+    },
+  };
+}
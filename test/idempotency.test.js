@@ -0,0 +1,125 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { CUSTOMER, createOrder, getOrder, startServer } from "./helpers/server.js";
+import { startStripeStub } from "./helpers/stripe-stub.js";
+import { startBoxNowStub } from "./helpers/boxnow-stub.js";
+
+describe("Idempotency-Key", () => {
+  let boxnow;
+  let stripe;
+  let server;
+
+  before(async () => {
+    boxnow = await startBoxNowStub();
+    stripe = await startStripeStub();
+    server = await startServer({ env: { ...boxnow.env, ...stripe.env } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await stripe?.close();
+    await boxnow?.close();
+  });
+
+  const orderBody = { items: [{ sku: "THYME-450", quantity: 1 }], customer: CUSTOMER, paymentMethod: "cod" };
+  const keyed = (key) => ({ headers: { "Idempotency-Key": key } });
+
+  const requestLabel = (orderNumber, key) =>
+    server.post(
+      "/api/boxnow/delivery-requests",
+      { orderNumber, destinationLocationId: "4", customer: CUSTOMER },
+      keyed(key)
+    );
+
+  test("a retried request gets the first response back, marked as replayed", async () => {
+    const first = await server.post("/api/orders/create", orderBody, keyed("create-1"));
+    assert.equal(first.status, 200, first.text);
+    assert.equal(first.headers.get("idempotent-replayed"), null);
+
+    const retry = await server.post("/api/orders/create", orderBody, keyed("create-1"));
+    assert.equal(retry.status, 200, retry.text);
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.equal(retry.body.orderNumber, first.body.orderNumber);
+  });
+
+  test("a client-chosen order number must have the ORD-<digits>-<hex> shape", async () => {
+    for (const orderNumber of ["../../labels/x", "ORD-1-ABC", `ORD-${Date.now()}-ABCDEF/..`, "x".repeat(300)]) {
+      const res = await server.post("/api/orders/create", { ...orderBody, orderNumber });
+      assert.equal(res.status, 400, orderNumber);
+      assert.equal(res.body.error, "INVALID_ORDER_NUMBER");
+    }
+
+    const orderNumber = `ORD-${Date.now()}-0A1B2C`;
+    const res = await server.post("/api/orders/create", { ...orderBody, orderNumber });
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.orderNumber, orderNumber);
+  });
+
+  test("a key reused with a different body is rejected", async () => {
+    assert.equal((await server.post("/api/orders/create", orderBody, keyed("create-2"))).status, 200);
+
+    const other = { ...orderBody, items: [{ sku: "PINE-950", quantity: 1 }] };
+    const res = await server.post("/api/orders/create", other, keyed("create-2"));
+    assert.equal(res.status, 422);
+    assert.equal(res.body.error, "IDEMPOTENCY_KEY_REUSED");
+  });
+
+  test("a retry while the first request is still running gets a 409", async () => {
+    const order = await createOrder(server, { paymentMethod: "cod" });
+    const release = boxnow.holdDeliveryRequests();
+    const first = requestLabel(order.orderNumber, "label-1");
+    try {
+      // Let the first request claim the key before retrying
+      const deadline = Date.now() + 5000;
+      let retry;
+      do {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        retry = await requestLabel(order.orderNumber, "label-1");
+      } while (retry.status !== 409 && Date.now() < deadline);
+      assert.equal(retry.status, 409, retry.text);
+      assert.equal(retry.body.error, "IDEMPOTENCY_IN_PROGRESS");
+      assert.equal(retry.headers.get("retry-after"), "2");
+    } finally {
+      release();
+    }
+    assert.equal((await first).status, 200);
+    assert.equal(boxnow.deliveryRequests.filter((r) => r.orderNumber === order.orderNumber).length, 1);
+  });
+
+  test("a 5xx response frees the key for a retry", async () => {
+    const order = await createOrder(server, { paymentMethod: "cod" });
+    boxnow.failDeliveryRequests();
+    try {
+      const failed = await requestLabel(order.orderNumber, "label-2");
+      assert.ok(failed.status >= 500, failed.text);
+    } finally {
+      boxnow.failDeliveryRequests(false);
+    }
+
+    const retry = await requestLabel(order.orderNumber, "label-2");
+    assert.equal(retry.status, 200, retry.text);
+    assert.equal(retry.headers.get("idempotent-replayed"), null);
+  });
+
+  async function paidCardOrder() {
+    const order = await createOrder(server, { paymentMethod: "card" });
+    const intent = await server.post("/api/stripe/create-payment-intent", { orderNumber: order.orderNumber });
+    const { payload, headers } = stripe.event("payment_intent.succeeded", stripe.succeed(intent.body.id));
+    assert.equal((await server.post("/api/stripe/webhook", payload, { headers })).status, 200);
+    return order;
+  }
+
+  test("a key reused on another order's URL is rejected, not replayed", async () => {
+    const first = await paidCardOrder();
+    const second = await paidCardOrder();
+    const headers = { "Idempotency-Key": "refund-1" };
+
+    const refund = await server.post(`/api/admin/orders/${first.orderNumber}/refunds`, {}, { admin: true, headers });
+    assert.equal(refund.status, 200, refund.text);
+
+    const other = await server.post(`/api/admin/orders/${second.orderNumber}/refunds`, {}, { admin: true, headers });
+    assert.equal(other.status, 422);
+    assert.equal(other.body.error, "IDEMPOTENCY_KEY_REUSED");
+    assert.equal((await getOrder(server, second.orderNumber)).metadata.payment.status, "paid");
+  });
+});
@@ -0,0 +1,104 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument } from "pdf-lib";
+import { CUSTOMER, createOrder, getOrder, startServer } from "./helpers/server.js";
+import { startBoxNowStub } from "./helpers/boxnow-stub.js";
+
+describe("BoxNow batch labels", () => {
+  let boxnow;
+  let server;
+
+  before(async () => {
+    boxnow = await startBoxNowStub();
+    server = await startServer({ env: boxnow.env });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await boxnow?.close();
+  });
+
+  async function labelledOrder(items) {
+    const order = await createOrder(server, { paymentMethod: "cod", ...(items ? { items } : {}) });
+    const res = await server.post("/api/boxnow/delivery-requests", {
+      orderNumber: order.orderNumber,
+      destinationLocationId: "4",
+      customer: CUSTOMER,
+    });
+    assert.equal(res.status, 200, res.text);
+    return { orderNumber: order.orderNumber, parcelIds: res.body.parcelIds };
+  }
+
+  const batch = (body) => server.post("/api/admin/boxnow/labels/batch", { format: "json", ...body }, { admin: true });
+  const pageCount = async (res) => (await PDFDocument.load(Buffer.from(res.body.pdfBase64, "base64"))).getPageCount();
+
+  test("a batch needs orders with labels", async () => {
+    const empty = await batch({});
+    assert.equal(empty.status, 404);
+    assert.deepEqual(empty.body.failed, []);
+
+    const unknown = await batch({ orderNumbers: ["ORD-1700000000000-ABCDEF"] });
+    assert.equal(unknown.status, 404);
+    assert.deepEqual(unknown.body.failed, [
+      { orderNumber: "ORD-1700000000000-ABCDEF", parcelId: null, error: "Order not found" },
+    ]);
+
+    const layout = await batch({ orderNumbers: ["ORD-1700000000000-ABCDEF"], layout: "a5" });
+    assert.equal(layout.status, 400);
+
+    const unauthorized = await server.post("/api/admin/boxnow/labels/batch", {});
+    assert.equal(unauthorized.status, 401);
+  });
+
+  test("every label is one page, or four to an A4 page in 4-up", async () => {
+    const single = await labelledOrder();
+    const double = await labelledOrder([{ sku: "GIFT-BOX", quantity: 4 }]);
+    const more = [await labelledOrder(), await labelledOrder()];
+    const orderNumbers = [single, double, ...more].map((o) => o.orderNumber);
+    assert.equal(double.parcelIds.length, 2);
+
+    const labels = await batch({ orderNumbers, markPrinted: false });
+    assert.equal(labels.status, 200, labels.text);
+    assert.deepEqual(
+      labels.body.included.map((t) => t.parcelId),
+      [single, double, ...more].flatMap((o) => o.parcelIds)
+    );
+    assert.equal(await pageCount(labels), 5);
+
+    const fourUp = await batch({ orderNumbers, layout: "a4-4up" });
+    assert.equal(fourUp.status, 200, fourUp.text);
+    assert.equal(fourUp.body.included.length, 5);
+    assert.equal(await pageCount(fourUp), 2);
+
+    const { metadata } = await getOrder(server, double.orderNumber);
+    assert.deepEqual(Object.keys(metadata.boxnow.labelsPrinted), double.parcelIds);
+    assert.equal(metadata.boxnow.labelsPrinted[double.parcelIds[0]], fourUp.body.printedAt);
+  });
+
+  test("orders without labels are reported next to the labels that were printed", async () => {
+    const labelled = await labelledOrder();
+    const unlabelled = await createOrder(server, { paymentMethod: "cod" });
+
+    const res = await batch({ orderNumbers: [labelled.orderNumber, unlabelled.orderNumber] });
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.included.length, 1);
+    assert.deepEqual(res.body.failed, [
+      { orderNumber: unlabelled.orderNumber, parcelId: null, error: "Order has no BoxNow parcels" },
+    ]);
+    assert.equal(await pageCount(res), 2, "the label and the page listing what was left out");
+
+    const pdf = await server.post(
+      "/api/admin/boxnow/labels/batch",
+      { orderNumbers: [labelled.orderNumber, unlabelled.orderNumber] },
+      { admin: true }
+    );
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get("content-type"), "application/pdf");
+    assert.equal(pdf.headers.get("x-labels-included"), "1");
+    assert.equal(pdf.headers.get("x-labels-failed"), "1");
+
+    const none = await batch({ orderNumbers: [unlabelled.orderNumber] });
+    assert.equal(none.status, 404);
+    assert.equal(none.body.failed.length, 1);
+  });
+});
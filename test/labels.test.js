@@ -0,0 +1,90 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { ADMIN_TOKEN, CUSTOMER, createOrder, getOrder, startServer } from "./helpers/server.js";
+import { startBoxNowStub } from "./helpers/boxnow-stub.js";
+
+const LABEL_URL_SECRET = "label-url-secret";
+const PUBLIC_BASE_URL = "https://shop.example";
+
+describe("signed label links", () => {
+  let boxnow;
+  let server;
+  let derived;
+
+  before(async () => {
+    boxnow = await startBoxNowStub();
+    server = await startServer({ env: { ...boxnow.env, LABEL_URL_SECRET, PUBLIC_BASE_URL } });
+    derived = await startServer({ env: boxnow.env });
+  });
+
+  after(async () => {
+    await derived?.stop();
+    await server?.stop();
+    await boxnow?.close();
+  });
+
+  async function labelledOrder(srv) {
+    const order = await createOrder(srv, { paymentMethod: "cod" });
+    const res = await srv.post("/api/boxnow/delivery-requests", {
+      orderNumber: order.orderNumber,
+      destinationLocationId: "4",
+      customer: CUSTOMER,
+    });
+    assert.equal(res.status, 200, res.text);
+    const { metadata } = await getOrder(srv, order.orderNumber);
+    return { ...metadata.boxnow, returnedUrl: res.body.labelUrl };
+  }
+
+  const sign = (parcelId, exp) =>
+    crypto.createHmac("sha256", LABEL_URL_SECRET).update(`label:${parcelId}:${exp}`).digest("hex").slice(0, 32);
+
+  test("a link carries a signed expiry and opens the label until then", async () => {
+    const { parcelIds, labelUrl } = await labelledOrder(server);
+    const url = new URL(labelUrl);
+    assert.equal(url.origin, PUBLIC_BASE_URL);
+    const exp = Number(url.searchParams.get("exp"));
+    assert.ok(exp > Date.now() / 1000 + 29 * 86400, "valid for LABEL_URL_TTL_DAYS (30)");
+
+    const res = await server.get(`${url.pathname}${url.search}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/pdf");
+
+    const extended = `${url.pathname}?exp=${exp + 86400}&sig=${url.searchParams.get("sig")}`;
+    assert.equal((await server.get(extended)).status, 403);
+
+    const past = Math.floor(Date.now() / 1000) - 60;
+    const expired = await server.get(`${url.pathname}?exp=${past}&sig=${sign(parcelIds[0], past)}`);
+    assert.equal(expired.status, 403);
+    assert.equal(expired.body.error, "Link expired");
+  });
+
+  test("without LABEL_URL_SECRET links are signed with a key derived from the admin token", async () => {
+    const { parcelIds, labelUrl, returnedUrl } = await labelledOrder(derived);
+    assert.match(returnedUrl, /^\/api\/boxnow\/labels\/signed\/\d+\.pdf\?exp=\d+&sig=[0-9a-f]{32}$/);
+    assert.match(labelUrl, /\?exp=\d+&sig=[0-9a-f]{32}$/);
+    assert.equal((await derived.get(labelUrl)).status, 200);
+
+    const url = new URL(labelUrl, derived.url);
+    const sig = url.searchParams.get("sig");
+    const tampered = `${url.pathname}?exp=${url.searchParams.get("exp")}&sig=${sig.slice(0, -1)}${
+      sig.endsWith("0") ? "1" : "0"
+    }`;
+    assert.equal((await derived.get(tampered)).status, 403);
+
+    const key = crypto.createHmac("sha256", ADMIN_TOKEN).update("label-url-signing").digest("hex");
+    const past = Math.floor(Date.now() / 1000) - 60;
+    const pastSig = crypto.createHmac("sha256", key).update(`label:${parcelIds[0]}:${past}`).digest("hex").slice(0, 32);
+    assert.equal((await derived.get(`${url.pathname}?exp=${past}&sig=${pastSig}`)).status, 403);
+
+    // The admin token itself doesn't sign links
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    const forged = crypto
+      .createHmac("sha256", ADMIN_TOKEN)
+      .update(`label:${parcelIds[0]}:${exp}`)
+      .digest("hex")
+      .slice(0, 32);
+    const res = await derived.get(`/api/boxnow/labels/signed/${parcelIds[0]}.pdf?exp=${exp}&sig=${forged}`);
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,122 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+import { startBoxNowStub } from "./helpers/boxnow-stub.js";
+
+const locker = (id, name, addressLine1, postalCode, lat, lng) => ({
+  id,
+  name,
+  addressLine1,
+  postalCode,
+  lat: String(lat),
+  lng: String(lng),
+  country: "GR",
+});
+
+const ATHENS = [
+  locker("101", "BOX NOW Σύνταγμα", "Φιλελλήνων 10", "105 57", 37.9755, 23.7348),
+  locker("102", "BOX NOW Κολωνάκι", "Σκουφά 20", "106 73", 37.9786, 23.7417),
+  locker("103", "BOX NOW Παγκράτι", "Υμηττού 45", "116 33", 37.9681, 23.7516),
+  locker("104", "BOX NOW Κηφισιά", "Κολοκοτρώνη 3", "145 62", 38.0742, 23.8113),
+];
+const THESSALONIKI = locker("201", "BOX NOW Καμάρα", "Εγνατία 120", "546 22", 40.6325, 22.9516);
+
+describe("BoxNow locker directory", () => {
+  let boxnow;
+  let server;
+
+  before(async () => {
+    boxnow = await startBoxNowStub();
+    boxnow.setLockers(ATHENS);
+    server = await startServer({ env: boxnow.env });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await boxnow?.close();
+  });
+
+  const search = (qs) => server.get(`/api/boxnow/lockers/search?${qs}`);
+
+  test("the directory is cached and an admin refresh picks up BoxNow's changes", async () => {
+    const cached = await server.get("/api/boxnow/destinations");
+    assert.equal(cached.status, 200, cached.text);
+    assert.equal(cached.headers.get("x-cache"), "fresh");
+    assert.deepEqual(
+      cached.body.data.map((l) => l.id),
+      ATHENS.map((l) => l.id)
+    );
+
+    boxnow.setLockers([...ATHENS, THESSALONIKI]);
+    assert.equal((await server.get("/api/boxnow/lockers/201")).status, 404, "served from the cache until refreshed");
+
+    const refresh = await server.post("/api/admin/boxnow/lockers/refresh", {}, { admin: true });
+    assert.equal(refresh.status, 200, refresh.text);
+    assert.equal(refresh.body.lockers, 5);
+    assert.equal(refresh.body.stale, false);
+
+    const found = await server.get("/api/boxnow/lockers/201");
+    assert.equal(found.status, 200, found.text);
+    assert.equal(found.body.locker.name, "BOX NOW Καμάρα");
+    assert.equal(found.body.locker.postalCode, "54622");
+  });
+
+  test("search filters by text and distance, with limit and total", async () => {
+    const text = await search(`q=${encodeURIComponent("box now συνταγμα")}`);
+    assert.equal(text.status, 200, text.text);
+    assert.deepEqual(
+      text.body.lockers.map((l) => l.id),
+      ["101"]
+    );
+
+    const near = await search("lat=37.9755&lng=23.7348&radiusKm=5");
+    assert.equal(near.body.total, 3);
+    assert.deepEqual(
+      near.body.lockers.map((l) => l.id),
+      ["101", "102", "103"]
+    );
+    assert.equal(near.body.lockers[0].distanceKm, 0);
+
+    const limited = await search("lat=37.9755&lng=23.7348&limit=2");
+    assert.equal(limited.body.total, 5);
+    assert.deepEqual(
+      limited.body.lockers.map((l) => l.id),
+      ["101", "102"]
+    );
+
+    const byPostalCode = await search("postalCode=546%2022");
+    assert.equal(byPostalCode.body.lockers[0].id, "201");
+
+    assert.equal((await search("postalCode=99999")).status, 404);
+    assert.equal((await search("lat=95&lng=23")).status, 400);
+    assert.equal((await search("")).status, 400);
+  });
+
+  test("when BoxNow is down the last good directory is served as stale", async () => {
+    boxnow.failLockers();
+    try {
+      const refresh = await server.post("/api/admin/boxnow/lockers/refresh", {}, { admin: true });
+      assert.equal(refresh.status, 502);
+      assert.equal(refresh.body.success, false);
+      assert.match(refresh.body.error, /503/);
+      assert.equal(refresh.body.cache.lockers, 5);
+      assert.equal(refresh.body.cache.stale, true);
+
+      const destinations = await server.get("/api/boxnow/destinations");
+      assert.equal(destinations.status, 200);
+      assert.equal(destinations.headers.get("x-cache"), "stale");
+      assert.equal(destinations.body.data.length, 5);
+
+      const near = await search("lat=40.63&lng=22.95&limit=1");
+      assert.equal(near.status, 200);
+      assert.equal(near.body.lockers[0].id, "201");
+      assert.equal(near.body.cache.stale, true);
+    } finally {
+      boxnow.failLockers(false);
+    }
+
+    const recovered = await server.post("/api/admin/boxnow/lockers/refresh", {}, { admin: true });
+    assert.equal(recovered.status, 200, recovered.text);
+    assert.equal(recovered.body.stale, false);
+  });
+});
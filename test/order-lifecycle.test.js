@@ -0,0 +1,119 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { CUSTOMER, createOrder, getOrder, startServer } from "./helpers/server.js";
+import { startBoxNowStub } from "./helpers/boxnow-stub.js";
+import { startStripeStub } from "./helpers/stripe-stub.js";
+
+describe("order lifecycle", () => {
+  let boxnow;
+  let stripe;
+  let server;
+
+  before(async () => {
+    boxnow = await startBoxNowStub();
+    stripe = await startStripeStub();
+    server = await startServer({ env: { ...boxnow.env, ...stripe.env } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await stripe?.close();
+    await boxnow?.close();
+  });
+
+  const setStatus = (orderNumber, status) =>
+    server.post(`/api/admin/orders/${orderNumber}/status`, { status, reason: "test" }, { admin: true });
+
+  const requestLabel = (orderNumber) =>
+    server.post("/api/boxnow/delivery-requests", { orderNumber, destinationLocationId: "4", customer: CUSTOMER });
+
+  test("a COD order walks pending -> label_created -> shipped -> delivered with history", async () => {
+    const { orderNumber } = await createOrder(server, { paymentMethod: "cod" });
+
+    for (const status of ["label_created", "shipped", "delivered"]) {
+      const res = await setStatus(orderNumber, status);
+      assert.equal(res.status, 200, res.text);
+      assert.equal(res.body.status, status);
+    }
+
+    const order = await getOrder(server, orderNumber);
+    assert.deepEqual(
+      order.history.map((h) => [h.from, h.to]),
+      [
+        ["pending", "label_created"],
+        ["label_created", "shipped"],
+        ["shipped", "delivered"],
+      ]
+    );
+    assert.equal(order.history[0].actor, "admin:admin");
+  });
+
+  test("moves outside the state machine are rejected", async () => {
+    const { orderNumber } = await createOrder(server, { paymentMethod: "cod" });
+
+    const skip = await setStatus(orderNumber, "delivered");
+    assert.equal(skip.status, 409);
+    assert.equal(skip.body.code, "INVALID_TRANSITION");
+
+    const unknown = await setStatus(orderNumber, "lost");
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, "INVALID_STATUS");
+
+    assert.equal((await setStatus(orderNumber, "cancelled")).status, 200);
+    const revive = await setStatus(orderNumber, "pending");
+    assert.equal(revive.status, 409);
+  });
+
+  test("an unpaid card order can't get a label, a COD order can", async () => {
+    const card = await createOrder(server, { paymentMethod: "card" });
+    const cod = await createOrder(server, { paymentMethod: "cod" });
+
+    const cardDetail = await server.get(`/api/admin/orders/${card.orderNumber}`, { admin: true });
+    assert.deepEqual(cardDetail.body.allowedTransitions, ["paid", "cancelled"]);
+    const codDetail = await server.get(`/api/admin/orders/${cod.orderNumber}`, { admin: true });
+    assert.deepEqual(codDetail.body.allowedTransitions, ["paid", "label_created", "cancelled"]);
+
+    const manual = await setStatus(card.orderNumber, "label_created");
+    assert.equal(manual.status, 409);
+
+    const before = boxnow.deliveryRequests.length;
+    const label = await requestLabel(card.orderNumber);
+    assert.equal(label.status, 409);
+    assert.equal(label.body.error, "ORDER_NOT_PAID");
+    assert.equal(boxnow.deliveryRequests.length, before, "BoxNow must not be asked for a label");
+
+    const codLabel = await requestLabel(cod.orderNumber);
+    assert.equal(codLabel.status, 200, codLabel.text);
+    assert.equal((await getOrder(server, cod.orderNumber)).status, "label_created");
+  });
+
+  test("a card order paid at Stripe gets its label even before the webhook arrives", async () => {
+    const order = await createOrder(server, { paymentMethod: "card" });
+    const intent = await server.post("/api/stripe/create-payment-intent", { orderNumber: order.orderNumber });
+    assert.equal(intent.status, 200, intent.text);
+    stripe.succeed(intent.body.id);
+
+    const label = await requestLabel(order.orderNumber);
+    assert.equal(label.status, 200, label.text);
+
+    const stored = await getOrder(server, order.orderNumber);
+    assert.equal(stored.metadata.payment.status, "paid");
+    assert.equal(stored.status, "label_created");
+  });
+
+  test("a label uses the weights the order was sold with, even after the SKU is deactivated", async () => {
+    const order = await createOrder(server, { paymentMethod: "cod", items: [{ sku: "PINE-950", quantity: 2 }] });
+    const sync = await server.post(
+      "/api/admin/catalog/sync",
+      { products: [{ sku: "PINE-950", name: "Πευκόμελο 950g", priceCents: 1990, weightKg: 9, active: false }] },
+      { admin: true }
+    );
+    assert.equal(sync.status, 200, sync.text);
+
+    const label = await requestLabel(order.orderNumber);
+    assert.equal(label.status, 200, label.text);
+    const parcels = boxnow.deliveryRequests.at(-1).items;
+    assert.equal(parcels.length, 1);
+    assert.equal(parcels[0].weight, 2.4);
+  });
+});
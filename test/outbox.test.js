@@ -0,0 +1,118 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createOrder, startServer } from "./helpers/server.js";
+import { startSmtpStub } from "./helpers/smtp-stub.js";
+
+async function confirmationEmail(server, orderNumber, until = () => true) {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const res = await server.get(`/api/admin/outbox?status=all&orderNumber=${orderNumber}`, { admin: true });
+    assert.equal(res.status, 200, res.text);
+    const message = res.body.messages.find((m) => m.payload.type === "order_confirmation");
+    if ((message && message.status !== "sending" && until(message)) || Date.now() > deadline) return message;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+const sentTo = (smtp, orderNumber) => smtp.messages.filter((m) => m.raw.includes(orderNumber));
+
+describe("email outbox backoff", () => {
+  let smtp;
+  let server;
+
+  before(async () => {
+    smtp = await startSmtpStub();
+    server = await startServer({ env: smtp.env });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await smtp?.close();
+  });
+
+  test("a failed send is kept and rescheduled OUTBOX_RETRY_BASE_SECONDS later", async () => {
+    smtp.fail();
+    const { orderNumber } = await createOrder(server, { paymentMethod: "cod" });
+    const message = await confirmationEmail(server, orderNumber);
+    smtp.fail(false);
+
+    assert.equal(message.status, "pending");
+    assert.equal(message.attempts, 1);
+    assert.match(message.lastError, /451/);
+    const delay = Date.parse(message.nextAttemptAt) - Date.parse(message.updatedAt);
+    assert.ok(Math.abs(delay - 60_000) < 2000, `retry in ~60 s, got ${delay} ms`);
+
+    const failed = await server.get("/api/admin/outbox", { admin: true });
+    assert.ok(!failed.body.messages.some((m) => m.id === message.id), "not failed yet");
+  });
+});
+
+describe("email outbox retries", () => {
+  let smtp;
+  let server;
+
+  before(async () => {
+    smtp = await startSmtpStub();
+    server = await startServer({
+      env: {
+        ...smtp.env,
+        OUTBOX_MAX_ATTEMPTS: "3",
+        OUTBOX_RETRY_BASE_SECONDS: "0.1",
+        OUTBOX_POLL_SECONDS: "0.1",
+      },
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await smtp?.close();
+  });
+
+  test("the worker retries until the send goes through", async () => {
+    smtp.fail();
+    const { orderNumber } = await createOrder(server, { paymentMethod: "cod" });
+    await confirmationEmail(server, orderNumber, (m) => m.attempts >= 1);
+    smtp.fail(false);
+
+    const message = await confirmationEmail(server, orderNumber, (m) => m.status === "sent");
+    assert.equal(message.status, "sent");
+    assert.ok(message.attempts >= 2);
+    assert.equal(message.lastError, null);
+    assert.equal(sentTo(smtp, orderNumber).length, 1);
+  });
+
+  test("after OUTBOX_MAX_ATTEMPTS the message is failed until an admin resends it", async () => {
+    smtp.fail();
+    const { orderNumber } = await createOrder(server, { paymentMethod: "cod" });
+    const message = await confirmationEmail(server, orderNumber, (m) => m.status === "failed");
+    assert.equal(message.status, "failed");
+    assert.equal(message.attempts, 3);
+
+    const failed = await server.get("/api/admin/outbox", { admin: true });
+    assert.ok(failed.body.messages.some((m) => m.id === message.id));
+
+    // Still failing: the resend is one more attempt, then back to the normal backoff
+    const retry = await server.post(`/api/admin/outbox/${message.id}/resend`, {}, { admin: true });
+    assert.equal(retry.status, 200, retry.text);
+    assert.equal(retry.body.success, false);
+    assert.equal(retry.body.message.attempts, 1);
+
+    smtp.fail(false);
+    const resent = await confirmationEmail(server, orderNumber, (m) => m.status === "sent");
+    assert.equal(resent.status, "sent");
+    assert.equal(sentTo(smtp, orderNumber).length, 1);
+  });
+
+  test("resending a message that was already sent doesn't send it again", async () => {
+    const { orderNumber } = await createOrder(server, { paymentMethod: "cod" });
+    const message = await confirmationEmail(server, orderNumber, (m) => m.status === "sent");
+    assert.equal(message.status, "sent");
+
+    const res = await server.post(`/api/admin/outbox/${message.id}/resend`, {}, { admin: true });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, "Message was already sent");
+    assert.equal(sentTo(smtp, orderNumber).length, 1);
+
+    assert.equal((await server.post("/api/admin/outbox/999999/resend", {}, { admin: true })).status, 404);
+  });
+});
@@ -0,0 +1,165 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createOrder, getOrder, startServer } from "./helpers/server.js";
+import { PAYPAL_CLIENT_ID, PAYPAL_CLIENT_SECRET, PAYPAL_WEBHOOK_ID, startPayPalStub } from "./helpers/paypal-stub.js";
+
+describe("PayPal checkout", () => {
+  let paypal;
+  let server;
+
+  before(async () => {
+    paypal = await startPayPalStub();
+    server = await startServer({
+      env: {
+        PAYPAL_API_URL: paypal.url,
+        PAYPAL_CLIENT_ID,
+        PAYPAL_CLIENT_SECRET,
+        PAYPAL_WEBHOOK_ID,
+      },
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await paypal?.close();
+  });
+
+  async function createPayPalOrder() {
+    const order = await createOrder(server, { paymentMethod: "paypal" });
+    const res = await server.post("/api/paypal/create-order", { orderNumber: order.orderNumber });
+    assert.equal(res.status, 200, res.text);
+    return { order, paypalOrderId: res.body.id, amount: res.body.amount };
+  }
+
+  function captureEvent(orderNumber, amount, id = `WH-${Math.random().toString(36).slice(2)}`) {
+    return {
+      id,
+      event_type: "PAYMENT.CAPTURE.COMPLETED",
+      resource: { id: `CAPTURE-${id}`, status: "COMPLETED", custom_id: orderNumber, amount },
+    };
+  }
+
+  function postWebhook(event, headers) {
+    return server.post("/api/paypal/webhook", event, { headers });
+  }
+
+  test("create-order charges the stored total, not anything the client sends", async () => {
+    const order = await createOrder(server, { paymentMethod: "paypal" });
+    const res = await server.post("/api/paypal/create-order", { orderNumber: order.orderNumber, amount: "0.01" });
+
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.amount, order.totals.total);
+    const created = paypal.orders.get(res.body.id);
+    assert.deepEqual(created.amount, { currency_code: "EUR", value: order.totals.total.toFixed(2) });
+    assert.equal(created.unit.custom_id, order.orderNumber);
+
+    const stored = await getOrder(server, order.orderNumber);
+    assert.equal(stored.metadata.payment.paypalOrderId, res.body.id);
+  });
+
+  test("create-order refuses unknown orders", async () => {
+    const res = await server.post("/api/paypal/create-order", { orderNumber: "GNB-NOPE" });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "ORDER_NOT_FOUND");
+  });
+
+  test("capture-order marks the order paid and a second capture is refused", async () => {
+    const { order, paypalOrderId } = await createPayPalOrder();
+
+    const res = await server.post("/api/paypal/capture-order", { orderNumber: order.orderNumber });
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.paypalOrderId, paypalOrderId);
+    assert.equal(res.body.paymentStatus, "paid");
+
+    const stored = await getOrder(server, order.orderNumber);
+    assert.equal(stored.status, "paid");
+    assert.equal(stored.metadata.payment.paypalCaptureId, `CAPTURE-${paypalOrderId}`);
+
+    const again = await server.post("/api/paypal/capture-order", { orderNumber: order.orderNumber });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, "ORDER_ALREADY_PAID");
+  });
+
+  test("capture-order with the wrong amount flags amount_mismatch and leaves the order unpaid", async () => {
+    const { order, paypalOrderId } = await createPayPalOrder();
+    paypal.payWith(paypalOrderId, { currency_code: "EUR", value: "0.01" });
+
+    const res = await server.post("/api/paypal/capture-order", { orderNumber: order.orderNumber });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.captured, 0.01);
+    assert.equal(res.body.expected, order.totals.total);
+
+    const stored = await getOrder(server, order.orderNumber);
+    assert.equal(stored.status, "pending");
+    assert.equal(stored.metadata.payment.status, "amount_mismatch");
+
+    // PayPal's COMPLETED webhook for that capture arrives afterwards and must not turn it into "paid"
+    const event = captureEvent(order.orderNumber, { currency_code: "EUR", value: order.totals.total.toFixed(2) });
+    const hook = await postWebhook(event, paypal.signWebhook(event));
+    assert.equal(hook.status, 200, hook.text);
+    const later = await getOrder(server, order.orderNumber);
+    assert.equal(later.metadata.payment.status, "amount_mismatch");
+    assert.equal(later.status, "pending");
+
+    const retry = await server.post("/api/paypal/create-order", { orderNumber: order.orderNumber });
+    assert.equal(retry.status, 409);
+    assert.equal(retry.body.code, "PAYMENT_NEEDS_REVIEW");
+  });
+
+  test("capture-order in another currency is a mismatch too", async () => {
+    const { order, paypalOrderId } = await createPayPalOrder();
+    paypal.payWith(paypalOrderId, { currency_code: "USD", value: order.totals.total.toFixed(2) });
+
+    const res = await server.post("/api/paypal/capture-order", { orderNumber: order.orderNumber });
+    assert.equal(res.status, 409);
+    assert.equal((await getOrder(server, order.orderNumber)).metadata.payment.status, "amount_mismatch");
+  });
+
+  test("a signed PAYMENT.CAPTURE.COMPLETED webhook for the full total marks the order paid", async () => {
+    const order = await createOrder(server, { paymentMethod: "paypal" });
+    const event = captureEvent(order.orderNumber, { currency_code: "EUR", value: order.totals.total.toFixed(2) });
+
+    const res = await postWebhook(event, paypal.signWebhook(event));
+    assert.equal(res.status, 200, res.text);
+    assert.equal((await getOrder(server, order.orderNumber)).metadata.payment.status, "paid");
+
+    const duplicate = await postWebhook(event, paypal.signWebhook(event));
+    assert.equal(duplicate.status, 200);
+    assert.equal(duplicate.body.duplicate, true);
+  });
+
+  test("a webhook capture of a smaller amount (buyer-made PayPal order with our custom_id) is not paid", async () => {
+    const order = await createOrder(server, { paymentMethod: "paypal" });
+    const event = captureEvent(order.orderNumber, { currency_code: "EUR", value: "0.01" });
+
+    const res = await postWebhook(event, paypal.signWebhook(event));
+    assert.equal(res.status, 200, res.text);
+
+    const stored = await getOrder(server, order.orderNumber);
+    assert.equal(stored.metadata.payment.status, "amount_mismatch");
+    assert.equal(stored.status, "pending");
+  });
+
+  test("webhooks with a bad signature are rejected without touching the order", async () => {
+    const order = await createOrder(server, { paymentMethod: "paypal" });
+    const signed = captureEvent(order.orderNumber, { currency_code: "EUR", value: "0.01" }, "WH-TAMPERED");
+    const headers = paypal.signWebhook(signed);
+    const tampered = {
+      ...signed,
+      resource: { ...signed.resource, amount: { currency_code: "EUR", value: order.totals.total.toFixed(2) } },
+    };
+
+    const res = await postWebhook(tampered, headers);
+    assert.equal(res.status, 400);
+
+    const otherHook = captureEvent(order.orderNumber, { currency_code: "EUR", value: order.totals.total.toFixed(2) });
+    const wrongWebhookId = await postWebhook(otherHook, paypal.signWebhook(otherHook, { webhookId: "WH-OTHER" }));
+    assert.equal(wrongWebhookId.status, 400);
+
+    const unsigned = await postWebhook(otherHook, {});
+    assert.equal(unsigned.status, 400);
+
+    const stored = await getOrder(server, order.orderNumber);
+    assert.equal(stored.metadata.payment.status, "pending");
+  });
+});
@@ -0,0 +1,141 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createOrder, getOrder, startServer } from "./helpers/server.js";
+import { startStripeStub } from "./helpers/stripe-stub.js";
+import { startBoxNowStub } from "./helpers/boxnow-stub.js";
+
+const cents = (eur) => Math.round(eur * 100);
+
+describe("VAT and receipts", () => {
+  let boxnow;
+  let stripe;
+  let server;
+
+  before(async () => {
+    boxnow = await startBoxNowStub();
+    stripe = await startStripeStub();
+    server = await startServer({ env: { ...boxnow.env, ...stripe.env } });
+
+    for (const coupon of [
+      { code: "MINUS640", type: "fixed", amount: 6.4 },
+      { code: "GIFT10", type: "percent", percent: 10, skus: ["GIFT-BOX"] },
+    ]) {
+      const res = await server.post("/api/admin/coupons", coupon, { admin: true });
+      assert.equal(res.status, 200, res.text);
+    }
+  });
+
+  after(async () => {
+    await server?.stop();
+    await stripe?.close();
+    await boxnow?.close();
+  });
+
+  const mixedCart = [
+    { sku: "THYME-450", quantity: 2 },
+    { sku: "GIFT-BOX", quantity: 1 },
+  ];
+
+  const setStatus = (orderNumber, status) =>
+    server.post(`/api/admin/orders/${orderNumber}/status`, { status, reason: "test" }, { admin: true });
+
+  async function paidCardOrder() {
+    const order = await createOrder(server, { paymentMethod: "card" });
+    const intent = await server.post("/api/stripe/create-payment-intent", { orderNumber: order.orderNumber });
+    assert.equal(intent.status, 200, intent.text);
+    const { payload, headers } = stripe.event("payment_intent.succeeded", stripe.succeed(intent.body.id));
+    assert.equal((await server.post("/api/stripe/webhook", payload, { headers })).status, 200);
+    return order;
+  }
+
+  // Per rate: gross = goods - discount + shipping, net/VAT from the VAT-inclusive gross; rates add up to the total
+  function assertVatConsistent(totals) {
+    const { vat } = totals;
+    for (const r of vat.rates) {
+      assert.equal(cents(r.net) + cents(r.vat), cents(r.gross));
+      assert.equal(cents(r.net), Math.round((cents(r.gross) * 100) / (100 + r.rate)));
+    }
+    assert.equal(
+      vat.rates.reduce((sum, r) => sum + cents(r.gross), 0),
+      cents(totals.total)
+    );
+    assert.equal(
+      vat.rates.reduce((sum, r) => sum + cents(r.shipping), 0),
+      cents(totals.shipping)
+    );
+    assert.equal(cents(vat.gross), cents(totals.total));
+  }
+
+  test("a mixed-rate order splits the discount by line value and shipping by discounted value", async () => {
+    // Free shipping over 50, so the only shipping left is the COD surcharge
+    const order = await createOrder(server, { paymentMethod: "cod", items: mixedCart, couponCode: "MINUS640" });
+    const { totals } = order;
+    assert.equal(totals.subtotal, 64);
+    assert.equal(totals.discount, 6.4);
+    assertVatConsistent(totals);
+
+    const [high, low] = totals.vat.rates;
+    assert.deepEqual([high.rate, low.rate], [24, 13]);
+    // 6.40 over 39.00 + 25.00 of goods
+    assert.equal(high.discount, 3.9);
+    assert.equal(low.discount, 2.5);
+    // Shipping follows 35.10 : 22.50
+    const shippingCents = cents(totals.shipping);
+    assert.ok(shippingCents > 0);
+    assert.equal(cents(high.shipping), Math.round((shippingCents * 3510) / 5760));
+    assert.equal(cents(high.gross), 3510 + cents(high.shipping));
+  });
+
+  test("a SKU-restricted coupon only discounts its own rate", async () => {
+    const { totals } = await createOrder(server, { paymentMethod: "card", items: mixedCart, couponCode: "GIFT10" });
+    assert.equal(totals.discount, 3.9);
+    assertVatConsistent(totals);
+    assert.deepEqual(
+      totals.vat.rates.map((r) => [r.rate, r.discount]),
+      [
+        [24, 3.9],
+        [13, 0],
+      ]
+    );
+  });
+
+  test("a card order gets its receipt when the payment is confirmed, not when it is created", async () => {
+    const created = await createOrder(server, { paymentMethod: "card" });
+    assert.equal(created.receipt, undefined);
+    const early = await server.get(`/api/orders/${created.orderNumber}/receipt.pdf`);
+    assert.equal(early.status, 404);
+    assert.equal(early.body.code, "NO_RECEIPT");
+    assert.equal((await getOrder(server, created.orderNumber)).receipt ?? null, null);
+
+    const paid = await paidCardOrder();
+    const first = (await getOrder(server, paid.orderNumber)).receipt;
+    assert.match(first.label, /^A-\d{6}$/);
+
+    const pdf = await server.get(`/api/orders/${paid.orderNumber}/receipt.pdf`);
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get("content-type"), "application/pdf");
+
+    const next = (await getOrder(server, (await paidCardOrder()).orderNumber)).receipt;
+    assert.equal(next.number, first.number + 1);
+  });
+
+  test("a COD order gets its receipt on delivery", async () => {
+    const { orderNumber } = await createOrder(server, { paymentMethod: "cod" });
+    for (const status of ["label_created", "shipped"]) assert.equal((await setStatus(orderNumber, status)).status, 200);
+    assert.equal((await getOrder(server, orderNumber)).receipt ?? null, null);
+
+    assert.equal((await setStatus(orderNumber, "delivered")).status, 200);
+    assert.ok((await getOrder(server, orderNumber)).receipt.label);
+    assert.equal((await server.get(`/api/orders/${orderNumber}/receipt.pdf`)).status, 200);
+  });
+
+  test("cancelling a paid order voids its receipt", async () => {
+    const { orderNumber } = await paidCardOrder();
+    assert.ok((await getOrder(server, orderNumber)).receipt);
+
+    const res = await setStatus(orderNumber, "cancelled");
+    assert.equal(res.status, 200, res.text);
+    assert.equal((await getOrder(server, orderNumber)).receipt, null);
+    assert.equal((await server.get(`/api/orders/${orderNumber}/receipt.pdf`)).status, 404);
+  });
+});
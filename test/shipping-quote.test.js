@@ -0,0 +1,147 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { CATALOG, CUSTOMER, createOrder, startServer } from "./helpers/server.js";
+
+const RATES = {
+  bands: [
+    { maxKg: 1, price: 2.5 },
+    { maxKg: 5, price: 3.5 },
+    { maxKg: 12, price: 5 },
+  ],
+  codSurcharge: 2,
+  freeShippingThreshold: 200,
+};
+
+const QUOTE_CATALOG = [
+  ...CATALOG,
+  { sku: "BARREL", name: "Δοχείο 13kg", priceCents: 9000, weightKg: 13, vatRate: 13 },
+  { sku: "OLD-JAR", name: "Παλιό βάζο", priceCents: 800, weightKg: 0.5, vatRate: 13, active: false },
+];
+
+describe("shipping quote", () => {
+  let ratesDir;
+  let server;
+
+  before(async () => {
+    ratesDir = fs.mkdtempSync(path.join(os.tmpdir(), "godsnbees-rates-"));
+    const ratesFile = path.join(ratesDir, "shipping-rates.json");
+    fs.writeFileSync(ratesFile, JSON.stringify(RATES));
+    server = await startServer({
+      env: { SHIPPING_RATES_FILE: ratesFile, BOXNOW_ALLOW_COD: "true" },
+      catalog: QUOTE_CATALOG,
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    if (ratesDir) fs.rmSync(ratesDir, { recursive: true, force: true });
+  });
+
+  const quote = (items, extra = {}) => server.post("/api/shipping/quote", { items, ...extra });
+  const prices = (res) => Object.fromEntries(res.body.options.map((o) => [o.id, o.price]));
+
+  test("each parcel is priced by its weight band, plus the COD surcharge", async () => {
+    const light = await quote([{ sku: "THYME-450", quantity: 1 }]);
+    assert.equal(light.status, 200, light.text);
+    assert.equal(light.body.totalWeightKg, 0.65);
+    assert.deepEqual(prices(light), { boxnow_prepaid: 2.5, boxnow_cod: 4.5 });
+
+    const middle = await quote([{ sku: "PINE-950", quantity: 2 }]);
+    assert.deepEqual(prices(middle), { boxnow_prepaid: 3.5, boxnow_cod: 5.5 });
+
+    const heavy = await quote([
+      { sku: "GIFT-BOX", quantity: 1 },
+      { sku: "THYME-450", quantity: 2 },
+    ]);
+    assert.equal(heavy.body.totalWeightKg, 5.3);
+    assert.deepEqual(prices(heavy), { boxnow_prepaid: 5, boxnow_cod: 7 });
+
+    // 16 kg: two parcels (12 + 4 kg), each in its own band
+    const split = await quote([{ sku: "GIFT-BOX", quantity: 4 }], { paymentMethod: "card" });
+    assert.deepEqual(split.body.parcels, [
+      { weightKg: 12, compartmentSize: 3, price: 5 },
+      { weightKg: 4, compartmentSize: 2, price: 3.5 },
+    ]);
+    assert.deepEqual(prices(split), { boxnow_prepaid: 8.5, boxnow_cod: 10.5 });
+    assert.equal(split.body.selected, "boxnow_prepaid");
+  });
+
+  test("shipping is free from the threshold on, except for the COD surcharge", async () => {
+    const below = await quote([{ sku: "GIFT-BOX", quantity: 5 }]);
+    assert.equal(below.body.subtotal, 195);
+    assert.equal(below.body.freeShipping, false);
+    assert.equal(below.body.freeShippingThreshold, 200);
+    assert.equal(below.body.amountToFreeShipping, 5);
+
+    const reached = await quote([
+      { sku: "GIFT-BOX", quantity: 5 },
+      { sku: "THYME-450", quantity: 1 },
+    ]);
+    assert.equal(reached.body.subtotal, 207.5);
+    assert.equal(reached.body.freeShipping, true);
+    assert.equal(reached.body.freeShippingReason, "threshold");
+    assert.equal(reached.body.amountToFreeShipping, null);
+    assert.deepEqual(prices(reached), { boxnow_prepaid: 0, boxnow_cod: 2 });
+  });
+
+  test("carts that can't be quoted are refused", async () => {
+    const empty = await quote([]);
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.error, "No items in cart");
+
+    const unknown = await quote([
+      { sku: "THYME-450", quantity: 1 },
+      { sku: "NOPE", quantity: 1 },
+    ]);
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, "UNKNOWN_SKU");
+    assert.deepEqual(unknown.body.unknownSkus, ["NOPE"]);
+
+    const inactive = await quote([{ sku: "OLD-JAR", quantity: 1 }]);
+    assert.equal(inactive.status, 400);
+    assert.equal(inactive.body.error, "INACTIVE_SKU");
+    assert.deepEqual(inactive.body.inactiveSkus, ["OLD-JAR"]);
+
+    const oversized = await quote([{ sku: "BARREL", quantity: 1 }]);
+    assert.equal(oversized.status, 400);
+    assert.equal(oversized.body.error, "BOXNOW_MAX_WEIGHT_EXCEEDED");
+  });
+
+  test("order create charges the quoted shipping and ignores the client's", async () => {
+    const items = [
+      { sku: "GIFT-BOX", quantity: 1 },
+      { sku: "THYME-450", quantity: 2 },
+    ];
+
+    for (const paymentMethod of ["card", "cod"]) {
+      const quoted = await quote(items, { paymentMethod });
+      const option = quoted.body.options.find((o) => o.id === quoted.body.selected);
+
+      const order = await createOrder(server, { items, paymentMethod, shippingCost: 0 });
+      assert.equal(order.totals.shipping, option.price, paymentMethod);
+      assert.equal(order.totals.shippingOption, option.id);
+      assert.equal(order.totals.subtotal, quoted.body.subtotal);
+      assert.equal(order.totals.total, Number((quoted.body.subtotal + option.price).toFixed(2)));
+    }
+
+    const free = await createOrder(server, {
+      items: [
+        { sku: "GIFT-BOX", quantity: 5 },
+        { sku: "THYME-450", quantity: 1 },
+      ],
+      paymentMethod: "card",
+    });
+    assert.equal(free.totals.shipping, 0);
+    assert.equal(free.totals.freeShipping, true);
+
+    const refused = await server.post("/api/orders/create", {
+      items: [{ sku: "BARREL", quantity: 1 }],
+      customer: CUSTOMER,
+    });
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.error, "BOXNOW_MAX_WEIGHT_EXCEEDED");
+  });
+});
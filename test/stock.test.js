@@ -0,0 +1,120 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createOrder, startServer } from "./helpers/server.js";
+import { startStripeStub } from "./helpers/stripe-stub.js";
+
+async function trackStock(server, sku, onHand) {
+  const res = await server.post(`/api/admin/stock/${sku}/adjust`, { onHand, reason: "test" }, { admin: true });
+  assert.equal(res.status, 200, res.text);
+}
+
+async function stockOf(server, sku) {
+  const res = await server.get(`/api/admin/stock/${sku}`, { admin: true });
+  assert.equal(res.status, 200, res.text);
+  const { onHand, reserved, available } = res.body;
+  return { onHand, reserved, available };
+}
+
+async function cardOrderWithIntent(server, items) {
+  const order = await createOrder(server, { paymentMethod: "card", items });
+  const intent = await server.post("/api/stripe/create-payment-intent", { orderNumber: order.orderNumber });
+  assert.equal(intent.status, 200, intent.text);
+  return { order, intentId: intent.body.id };
+}
+
+describe("stock", () => {
+  let stripe;
+  let server;
+
+  before(async () => {
+    stripe = await startStripeStub();
+    server = await startServer({ env: stripe.env });
+    await trackStock(server, "PINE-950", 5);
+  });
+
+  after(async () => {
+    await server?.stop();
+    await stripe?.close();
+  });
+
+  const sendEvent = ({ payload, headers }) => server.post("/api/stripe/webhook", payload, { headers });
+
+  test("an order reserves its quantities and refuses what isn't available", async () => {
+    await createOrder(server, { paymentMethod: "cod", items: [{ sku: "PINE-950", quantity: 2 }] });
+    assert.deepEqual(await stockOf(server, "PINE-950"), { onHand: 5, reserved: 2, available: 3 });
+
+    const res = await server.post("/api/orders/create", {
+      items: [{ sku: "PINE-950", quantity: 4 }],
+      customer: { name: "A B", email: "a@example.com", phone: "6900000001" },
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, "OUT_OF_STOCK");
+    assert.equal((await stockOf(server, "PINE-950")).reserved, 2);
+  });
+
+  test("a failed payment releases the reservation; a retry reserves it again and paying commits it", async () => {
+    const before = await stockOf(server, "PINE-950");
+    const { order, intentId } = await cardOrderWithIntent(server, [{ sku: "PINE-950", quantity: 1 }]);
+    assert.equal((await stockOf(server, "PINE-950")).reserved, before.reserved + 1);
+
+    const declined = { ...stripe.intents.get(intentId), last_payment_error: { message: "Your card was declined." } };
+    assert.equal((await sendEvent(stripe.event("payment_intent.payment_failed", declined))).status, 200);
+    assert.equal((await stockOf(server, "PINE-950")).reserved, before.reserved);
+
+    const retry = await server.post("/api/stripe/create-payment-intent", { orderNumber: order.orderNumber });
+    assert.equal(retry.status, 200, retry.text);
+    assert.equal((await stockOf(server, "PINE-950")).reserved, before.reserved + 1);
+
+    assert.equal((await sendEvent(stripe.event("payment_intent.succeeded", stripe.succeed(intentId)))).status, 200);
+    const after = await stockOf(server, "PINE-950");
+    assert.equal(after.onHand, before.onHand - 1);
+    assert.equal(after.reserved, before.reserved);
+  });
+
+  test("cancelling an order releases its reservation", async () => {
+    const before = await stockOf(server, "PINE-950");
+    const order = await createOrder(server, { paymentMethod: "cod", items: [{ sku: "PINE-950", quantity: 1 }] });
+    const res = await server.post(
+      `/api/admin/orders/${order.orderNumber}/status`,
+      { status: "cancelled" },
+      { admin: true }
+    );
+    assert.equal(res.status, 200, res.text);
+    assert.deepEqual(await stockOf(server, "PINE-950"), before);
+  });
+});
+
+describe("stock reservation expiry", () => {
+  let stripe;
+  let server;
+
+  before(async () => {
+    stripe = await startStripeStub();
+    // 1.2 s reservations, checked every 0.1 s
+    server = await startServer({
+      env: { ...stripe.env, STOCK_RESERVATION_MINUTES: "0.02", STOCK_EXPIRY_POLL_SECONDS: "0.1" },
+    });
+    await trackStock(server, "PINE-950", 3);
+  });
+
+  after(async () => {
+    await server?.stop();
+    await stripe?.close();
+  });
+
+  test("an unpaid card order's reservation expires and its PaymentIntent is canceled", async () => {
+    const { intentId } = await cardOrderWithIntent(server, [{ sku: "PINE-950", quantity: 2 }]);
+    assert.equal((await stockOf(server, "PINE-950")).reserved, 2);
+
+    const deadline = Date.now() + 5000;
+    while ((await stockOf(server, "PINE-950")).reserved && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    assert.equal((await stockOf(server, "PINE-950")).reserved, 0);
+
+    while (stripe.intents.get(intentId).status !== "canceled" && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    assert.equal(stripe.intents.get(intentId).status, "canceled");
+  });
+});
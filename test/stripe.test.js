@@ -0,0 +1,165 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createOrder, getOrder, startServer } from "./helpers/server.js";
+import { startStripeStub } from "./helpers/stripe-stub.js";
+
+describe("Stripe payments", () => {
+  let stripe;
+  let server;
+
+  before(async () => {
+    stripe = await startStripeStub();
+    server = await startServer({ env: stripe.env });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await stripe?.close();
+  });
+
+  const sendEvent = ({ payload, headers }) => server.post("/api/stripe/webhook", payload, { headers });
+
+  async function orderWithIntent() {
+    const order = await createOrder(server, { paymentMethod: "card" });
+    const res = await server.post("/api/stripe/create-payment-intent", { orderNumber: order.orderNumber });
+    assert.equal(res.status, 200, res.text);
+    return { order, intentId: res.body.id };
+  }
+
+  test("the PaymentIntent amount comes from the stored order total", async () => {
+    const order = await createOrder(server, { paymentMethod: "card" });
+    const res = await server.post("/api/stripe/create-payment-intent", {
+      orderNumber: order.orderNumber,
+      amount: 50,
+      metadata: { orderNumber: "SOMEONE-ELSE" },
+    });
+
+    assert.equal(res.status, 200, res.text);
+    const intent = stripe.intents.get(res.body.id);
+    assert.equal(intent.amount, Math.round(order.totals.total * 100));
+    assert.deepEqual(intent.metadata, { orderNumber: order.orderNumber });
+    assert.equal((await getOrder(server, order.orderNumber)).metadata.payment.stripeIntentId, res.body.id);
+  });
+
+  test("client amounts are refused unless explicitly enabled", async () => {
+    const res = await server.post("/api/stripe/create-payment-intent", { amount: 50, metadata: { orderNumber: "X" } });
+    assert.equal(res.status, 400);
+  });
+
+  test("order creation ignores client-sent payment status and intent ids", async () => {
+    const order = await createOrder(server, {
+      paymentMethod: "card",
+      paymentDetails: { status: "paid", stripeIntentId: "pi_someone_elses" },
+    });
+    const stored = await getOrder(server, order.orderNumber);
+    assert.equal(stored.metadata.payment.status, "pending");
+    assert.equal(stored.metadata.payment.stripeIntentId, null);
+  });
+
+  test("payment_intent.succeeded for the stored intent and full amount marks the order paid", async () => {
+    const { order, intentId } = await orderWithIntent();
+
+    const res = await sendEvent(stripe.event("payment_intent.succeeded", stripe.succeed(intentId)));
+    assert.equal(res.status, 200, res.text);
+
+    const stored = await getOrder(server, order.orderNumber);
+    assert.equal(stored.metadata.payment.status, "paid");
+    assert.equal(stored.status, "paid");
+  });
+
+  test("an intent that isn't stored on the order doesn't pay it, whatever its metadata says", async () => {
+    const victim = await createOrder(server, { paymentMethod: "card" });
+    const foreign = {
+      id: "pi_not_ours",
+      object: "payment_intent",
+      amount: 50,
+      amount_received: 50,
+      currency: "eur",
+      status: "succeeded",
+      metadata: { orderNumber: victim.orderNumber },
+    };
+
+    const res = await sendEvent(stripe.event("payment_intent.succeeded", foreign));
+    assert.equal(res.status, 200, res.text);
+    assert.equal((await getOrder(server, victim.orderNumber)).metadata.payment.status, "pending");
+  });
+
+  test("a succeeded intent with the wrong amount or currency is flagged, not paid", async () => {
+    const short = await orderWithIntent();
+    await sendEvent(stripe.event("payment_intent.succeeded", stripe.succeed(short.intentId, { amount: 50 })));
+    let stored = await getOrder(server, short.order.orderNumber);
+    assert.equal(stored.metadata.payment.status, "amount_mismatch");
+    assert.equal(stored.metadata.payment.capturedAmount, 0.5);
+    assert.equal(stored.status, "pending");
+
+    const usd = await orderWithIntent();
+    await sendEvent(stripe.event("payment_intent.succeeded", stripe.succeed(usd.intentId, { currency: "usd" })));
+    stored = await getOrder(server, usd.order.orderNumber);
+    assert.equal(stored.metadata.payment.status, "amount_mismatch");
+
+    const retry = await server.post("/api/stripe/create-payment-intent", { orderNumber: usd.order.orderNumber });
+    assert.equal(retry.status, 409);
+    assert.equal(retry.body.code, "PAYMENT_NEEDS_REVIEW");
+  });
+
+  test("events with a bad signature are rejected", async () => {
+    const { order, intentId } = await orderWithIntent();
+    const delivery = stripe.event("payment_intent.succeeded", stripe.succeed(intentId));
+
+    const res = await sendEvent({ payload: delivery.payload.replace("evt_", "evt_x"), headers: delivery.headers });
+    assert.equal(res.status, 400);
+    assert.equal((await getOrder(server, order.orderNumber)).metadata.payment.status, "pending");
+  });
+  test("a refund that fails afterwards puts the order back to paid", async () => {
+    const { order, intentId } = await orderWithIntent();
+    await sendEvent(stripe.event("payment_intent.succeeded", stripe.succeed(intentId)));
+
+    const refund = await server.post(`/api/admin/orders/${order.orderNumber}/refunds`, {}, { admin: true });
+    assert.equal(refund.status, 200, refund.text);
+    assert.equal(refund.body.paymentStatus, "refunded");
+
+    const failed = { ...stripe.refunds.find((r) => r.payment_intent === intentId), status: "failed" };
+    const charge = {
+      id: "ch_stub_refund_failed",
+      object: "charge",
+      payment_intent: intentId,
+      amount: failed.amount,
+      amount_refunded: 0,
+      refunds: { object: "list", data: [failed] },
+    };
+    const res = await sendEvent(stripe.event("charge.refunded", charge));
+    assert.equal(res.status, 200, res.text);
+
+    const payment = (await getOrder(server, order.orderNumber)).metadata.payment;
+    assert.equal(payment.status, "paid");
+    assert.equal(payment.amountRefunded, 0);
+  });
+});
+
+describe("Stripe webhook event log", () => {
+  let stripe;
+  let server;
+
+  before(async () => {
+    stripe = await startStripeStub();
+    // ~0.9 s retention
+    server = await startServer({ env: { ...stripe.env, WEBHOOK_EVENT_RETENTION_DAYS: "0.00001" } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await stripe?.close();
+  });
+
+  const sendEvent = ({ payload, headers }) => server.post("/api/stripe/webhook", payload, { headers });
+
+  test("redeliveries are skipped, and event ids past the retention are pruned", async () => {
+    const first = stripe.event("customer.created", { id: "cus_stub", object: "customer" });
+    assert.equal((await sendEvent(first)).body.duplicate, undefined);
+    assert.equal((await sendEvent(first)).body.duplicate, true);
+
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    await sendEvent(stripe.event("customer.created", { id: "cus_stub_2", object: "customer" }));
+    assert.equal((await sendEvent(first)).body.duplicate, undefined);
+  });
+});
@@ -0,0 +1,154 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { CUSTOMER, createOrder, getOrder, startServer } from "./helpers/server.js";
+import { startBoxNowStub } from "./helpers/boxnow-stub.js";
+import { startSmtpStub } from "./helpers/smtp-stub.js";
+
+describe("BoxNow tracking sync", () => {
+  let boxnow;
+  let smtp;
+  let server;
+
+  before(async () => {
+    boxnow = await startBoxNowStub();
+    smtp = await startSmtpStub();
+    server = await startServer({ env: { ...boxnow.env, ...smtp.env } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await smtp?.close();
+    await boxnow?.close();
+  });
+
+  async function labelledOrder(items) {
+    const order = await createOrder(server, { paymentMethod: "cod", ...(items ? { items } : {}) });
+    const res = await server.post("/api/boxnow/delivery-requests", {
+      orderNumber: order.orderNumber,
+      destinationLocationId: "4",
+      customer: CUSTOMER,
+    });
+    assert.equal(res.status, 200, res.text);
+    return { orderNumber: order.orderNumber, parcelIds: res.body.parcelIds };
+  }
+
+  const syncAll = () => server.post("/api/admin/boxnow/tracking-sync", {}, { admin: true });
+  const syncOrder = (orderNumber) => server.post("/api/admin/boxnow/tracking-sync", { orderNumber }, { admin: true });
+  const at = (minutes) => new Date(Date.UTC(2026, 2, 2, 9, minutes)).toISOString();
+
+  test("parcel events move the order along and show up on the public tracking page", async () => {
+    const { orderNumber, parcelIds } = await labelledOrder();
+    boxnow.setParcelEvents(parcelIds[0], [
+      { type: "new", createTime: at(0) },
+      { type: "accepted-to-locker", createTime: at(10), locationDisplayName: "Athens depot" },
+      { type: "final-destination", createTime: at(30), locationDisplayName: "Syntagma locker" },
+    ]);
+
+    const sync = await syncAll();
+    assert.equal(sync.status, 200, sync.text);
+    assert.ok(sync.body.orders >= 1);
+    assert.deepEqual(sync.body.errors, []);
+
+    const res = await server.get(`/api/orders/${orderNumber}/tracking`);
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.status, "shipped");
+    assert.deepEqual(res.body.parcels, [{ parcelId: parcelIds[0], state: "final-destination" }]);
+    assert.deepEqual(
+      res.body.events.map((e) => [e.state, e.label.en, e.location]),
+      [
+        ["new", "Shipment created", null],
+        ["accepted-to-locker", "Handed over to BOX NOW", "Athens depot"],
+        ["final-destination", "Ready for pickup at the locker", "Syntagma locker"],
+      ]
+    );
+    assert.ok(!JSON.stringify(res.body).includes(CUSTOMER.email), "no customer details");
+
+    assert.equal((await syncOrder(orderNumber)).body.newEvents, 0);
+    assert.equal((await server.get("/api/orders/ORD-NOPE/tracking")).status, 404);
+  });
+
+  test("an older event reported late doesn't move a parcel back", async () => {
+    const { orderNumber, parcelIds } = await labelledOrder();
+    boxnow.setParcelEvents(parcelIds[0], [{ type: "delivered", createTime: at(50) }]);
+    await syncOrder(orderNumber);
+    assert.equal((await getOrder(server, orderNumber)).status, "delivered");
+
+    boxnow.setParcelEvents(parcelIds[0], [
+      { type: "in-depot", createTime: at(20) },
+      { type: "delivered", createTime: at(50) },
+    ]);
+    assert.equal((await syncOrder(orderNumber)).body.newEvents, 1);
+
+    const tracking = (await server.get(`/api/orders/${orderNumber}/tracking`)).body;
+    assert.equal(tracking.status, "delivered");
+    assert.equal(tracking.parcels[0].state, "delivered");
+    assert.deepEqual(
+      tracking.events.map((e) => e.state),
+      ["in-depot", "delivered"]
+    );
+  });
+
+  test("a multi-parcel order is delivered once every parcel is, and the customer hears about it once", async () => {
+    const { orderNumber, parcelIds } = await labelledOrder([{ sku: "GIFT-BOX", quantity: 4 }]);
+    assert.equal(parcelIds.length, 2);
+
+    boxnow.setParcelEvents(parcelIds[0], [{ type: "delivered", createTime: at(40) }]);
+    boxnow.setParcelEvents(parcelIds[1], [{ type: "final-destination", createTime: at(45) }]);
+    await syncOrder(orderNumber);
+    assert.equal((await getOrder(server, orderNumber)).status, "shipped");
+
+    boxnow.setParcelEvents(parcelIds[1], [
+      { type: "final-destination", createTime: at(45) },
+      { type: "delivered", createTime: at(55) },
+    ]);
+    await syncOrder(orderNumber);
+    await syncOrder(orderNumber);
+    assert.equal((await getOrder(server, orderNumber)).status, "delivered");
+
+    const deliveredEmails = async () => {
+      const outbox = await server.get(`/api/admin/outbox?status=all&orderNumber=${orderNumber}`, { admin: true });
+      return outbox.body.messages.filter((m) => m.payload.type === "delivered");
+    };
+    const deadline = Date.now() + 5000;
+    while ((await deliveredEmails()).some((m) => m.status !== "sent") && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    const delivered = await deliveredEmails();
+    assert.equal(delivered.length, 1);
+    assert.equal(delivered[0].status, "sent");
+  });
+});
+
+describe("BoxNow tracking polling", () => {
+  let boxnow;
+  let server;
+
+  before(async () => {
+    boxnow = await startBoxNowStub();
+    // Every 0.6 s
+    server = await startServer({ env: { ...boxnow.env, BOXNOW_TRACKING_SYNC_MINUTES: "0.01" } });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await boxnow?.close();
+  });
+
+  test("in-flight parcels are polled without anyone asking", async () => {
+    const order = await createOrder(server, { paymentMethod: "cod" });
+    const label = await server.post("/api/boxnow/delivery-requests", {
+      orderNumber: order.orderNumber,
+      destinationLocationId: "4",
+      customer: CUSTOMER,
+    });
+    assert.equal(label.status, 200, label.text);
+    boxnow.setParcelEvents(label.body.parcelIds[0], [{ type: "in-depot", createTime: new Date().toISOString() }]);
+
+    const deadline = Date.now() + 5000;
+    let status;
+    while ((status = (await getOrder(server, order.orderNumber)).status) !== "shipped" && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    assert.equal(status, "shipped");
+  });
+});